@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+// Standalone local Nostr relay (in memory, NIP-01 only), for running the app
+// and scripts without the public relays:
+//
+//   node local-relay.js
+//   NOSTR_RELAYS=ws://localhost:12097 npm start
+//
+// LOCAL_RELAY_PORT   port (default 12097)
+// LOCAL_RELAY_HOST   interface to listen on (default 127.0.0.1)
+
+import { LocalRelay } from './utils/localRelay.js'
+
+const relay = new LocalRelay({
+  port: parseInt(process.env.LOCAL_RELAY_PORT) || 12097,
+  host: process.env.LOCAL_RELAY_HOST || '127.0.0.1'
+})
+
+await relay.start()
+
+const shutdown = async () => {
+  console.log(`Stopping local relay (${relay.events.size} events)`)
+  await relay.stop()
+  process.exit(0)
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
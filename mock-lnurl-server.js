@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+// Mock LNURL-pay server with NIP-57 support, for testing zaps without a
+// Lightning node. Every lightning address name@localhost:<port> resolves
+// here; invoices are fake and "paid" on request, which signs a zap receipt
+// (kind 9735), publishes it to the zap request's relays and optionally
+// posts it to the app.
+//
+//   node mock-lnurl-server.js
+//   # start the app with LNURL_ALLOW_INSECURE=true to reach it over HTTP
+//   # create an object with lud16 "artist@localhost:12098" and zap it, then
+//   curl -X POST localhost:12098/pay -H 'Content-Type: application/json' -d '{"invoice":"lnbc..."}'
+//
+// MOCK_LNURL_PORT          port (default 12098, 0 picks a free one)
+// MOCK_LNURL_PRIVATE_KEY   hex key signing the receipts (default: random)
+// MOCK_LNURL_NOTIFY_URL    also POST receipts here, e.g.
+//                          http://localhost:12001/api/zaps/receipts
+
+import express from 'express'
+import { randomBytes, createHash } from 'crypto'
+import WebSocket from 'ws'
+import { generateSecretKey, getPublicKey, finalizeEvent, SimplePool, nip57 } from 'nostr-tools'
+
+global.WebSocket = WebSocket
+
+const PORT = process.env.MOCK_LNURL_PORT ? parseInt(process.env.MOCK_LNURL_PORT) : 12098
+const privateKey = process.env.MOCK_LNURL_PRIVATE_KEY
+  ? Uint8Array.from(Buffer.from(process.env.MOCK_LNURL_PRIVATE_KEY, 'hex'))
+  : generateSecretKey()
+const nostrPubkey = getPublicKey(privateKey)
+const notifyUrl = process.env.MOCK_LNURL_NOTIFY_URL
+
+const MIN_SENDABLE = 1000 // msats
+const MAX_SENDABLE = 100000000000
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+const pool = new SimplePool()
+const invoices = new Map() // bolt11 -> { zapRequest, amountMsats, paid }
+
+// Random bech32 payload behind a real amount prefix: enough for amount
+// parsing, not a payable invoice
+function fakeInvoice(amountMsats) {
+  const payload = Array.from(randomBytes(180), byte => BECH32_CHARSET[byte % 32]).join('')
+  return `lnbc${amountMsats / 100}n1p${payload}`
+}
+
+const app = express()
+app.use(express.json())
+
+app.get('/.well-known/lnurlp/:name', (req, res) => {
+  const { name } = req.params
+  const host = req.get('host')
+
+  res.json({
+    tag: 'payRequest',
+    callback: `http://${host}/lnurlp/${name}/callback`,
+    minSendable: MIN_SENDABLE,
+    maxSendable: MAX_SENDABLE,
+    metadata: JSON.stringify([['text/plain', `Zap ${name}`], ['text/identifier', `${name}@${host}`]]),
+    commentAllowed: 280,
+    allowsNostr: true,
+    nostrPubkey
+  })
+})
+
+app.get('/lnurlp/:name/callback', (req, res) => {
+  const amountMsats = parseInt(req.query.amount)
+  if (!amountMsats || amountMsats < MIN_SENDABLE || amountMsats > MAX_SENDABLE || amountMsats % 100 !== 0) {
+    return res.json({ status: 'ERROR', reason: 'Invalid amount' })
+  }
+
+  const { nostr } = req.query
+  if (nostr) {
+    const error = nip57.validateZapRequest(nostr)
+    if (error) {
+      return res.json({ status: 'ERROR', reason: error })
+    }
+    const amountTag = JSON.parse(nostr).tags.find(tag => tag[0] === 'amount')
+    if (amountTag && parseInt(amountTag[1]) !== amountMsats) {
+      return res.json({ status: 'ERROR', reason: 'Amount does not match the zap request' })
+    }
+  }
+
+  const invoice = fakeInvoice(amountMsats)
+  invoices.set(invoice, { zapRequest: nostr || null, amountMsats, paid: false })
+  console.log(`Invoice for ${amountMsats / 1000} sats to ${req.params.name}${nostr ? ' (zap)' : ''}`)
+
+  res.json({ pr: invoice, routes: [] })
+})
+
+// Simulate the payment of an invoice
+app.post('/pay', async (req, res) => {
+  const { invoice } = req.body
+  const pending = invoices.get(invoice)
+  if (!pending) {
+    return res.status(404).json({ error: 'Unknown invoice' })
+  }
+  if (pending.paid) {
+    return res.status(409).json({ error: 'Invoice already paid' })
+  }
+  pending.paid = true
+
+  if (!pending.zapRequest) {
+    return res.json({ success: true })
+  }
+
+  const preimage = randomBytes(32).toString('hex')
+  const receipt = finalizeEvent(nip57.makeZapReceipt({
+    zapRequest: pending.zapRequest,
+    preimage,
+    bolt11: invoice,
+    paidAt: new Date()
+  }), privateKey)
+
+  const relays = JSON.parse(pending.zapRequest).tags.find(tag => tag[0] === 'relays')?.slice(1) || []
+  const published = await Promise.allSettled(pool.publish(relays, receipt))
+  console.log(`Paid ${pending.amountMsats / 1000} sats, receipt ${receipt.id} published to ${published.filter(result => result.status === 'fulfilled').length}/${relays.length} relays`)
+
+  let notified = null
+  if (notifyUrl) {
+    try {
+      const response = await fetch(notifyUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ receipt })
+      })
+      notified = response.status
+    } catch (error) {
+      console.warn('Receipt notification failed:', error.message)
+    }
+  }
+
+  res.json({
+    success: true,
+    paymentHash: createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex'),
+    receipt,
+    notified
+  })
+})
+
+const server = app.listen(PORT, () => {
+  const { port } = server.address()
+  console.log(`Mock LNURL server on http://localhost:${port}`)
+  console.log(`Lightning addresses: <name>@localhost:${port}`)
+  console.log(`Receipts signed by ${nostrPubkey}`)
+})
@@ -4,17 +4,27 @@ import multer from 'multer'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
-import { NostrClient, generateObjectId, calculateImageHash } from '../utils/nostr.js'
+import { NostrClient, OWNERSHIP_TRANSFER_KIND, generateObjectId, calculateImageHash, loadObjectKind } from '../utils/nostr.js'
 import { imageProcessor } from '../utils/imageProcessing.js'
 import { AdvancedImageMatcher } from '../utils/advancedImageMatching.js'
 import { PhysicalIdentifier } from '../utils/physicalIdentifier.js'
-import { qrGenerator } from '../utils/qrCode.js'
+import { qrGenerator, certificateTemplate, canonicalNaddr } from '../utils/qrCode.js'
+import { createStore, StorageConflictError } from '../utils/storage.js'
+import { RelaySync } from '../utils/relaySync.js'
+import { Outbox } from '../utils/outbox.js'
+import { LocalRelay } from '../utils/localRelay.js'
+import { CertificateVerifier } from '../utils/certificateVerification.js'
+import { LabelSheet, LabelSheetError, LABEL_TEMPLATES, parseLabelOptions } from '../utils/labelSheet.js'
+import { loadHashProfiles } from '../utils/hashProfiles.js'
+import { loadCertificateTemplates } from '../utils/certificateTemplates.js'
+import { imageRectifier } from '../utils/imageRectification.js'
+import { ZapService, ZapError } from '../utils/zaps.js'
+import { loadRevenueSplit, normalizeSplit, effectiveSplit, sumShares } from '../utils/revenueSplit.js'
+import { PayPerViewService, PayPerViewError, parsePrice } from '../utils/payPerView.js'
+import { TRANSFER_TYPES, parsePubkey, buildProvenanceChain, transferToLink } from '../utils/provenance.js'
+import { SignatureError, DraftStore, verifyUserEvent, verifySignedTemplate } from '../utils/userSigning.js'
 import fs from 'fs/promises'
-import sharp from 'sharp'
-import { imageHash } from 'image-hash'
-import { promisify } from 'util'
-
-const imageHashAsync = promisify(imageHash)
+import { randomBytes, timingSafeEqual } from 'crypto'
 
 dotenv.config()
 
@@ -39,9 +49,59 @@ try {
 } catch (error) {
   console.log('Uploads directory already exists')
 }
+// High-resolution originals of pay-per-view objects; never served by /api/images
+const premiumDir = path.join(uploadsDir, 'premium')
+await fs.mkdir(premiumDir, { recursive: true })
+const highResPath = (objectId, imageIndex) =>
+  path.join(premiumDir, `${imageIndex === 0 ? objectId : `${objectId}_${imageIndex}`}.jpg`)
+// Images of objects waiting for their creator's signature; never served.
+// Drafts don't survive a restart, so neither do their files.
+const draftsDir = path.join(uploadsDir, 'drafts')
+await fs.rm(draftsDir, { recursive: true, force: true })
+await fs.mkdir(draftsDir, { recursive: true })
+const DRAFT_IMAGE_BUFFERS = ['hashBuffer', 'processedImage', 'highResImage', 'thumbnail']
+
+// Write a draft's image buffers and features to files, keeping their paths
+const stashDraftImages = (uniqueId, images) => Promise.all(images.map(async (image, imageIndex) => {
+  const { features, ...stashed } = image
+  stashed.files = { features: path.join(draftsDir, `${uniqueId}_${imageIndex}_features.json`) }
+  await fs.writeFile(stashed.files.features, JSON.stringify(features))
+  for (const key of DRAFT_IMAGE_BUFFERS) {
+    delete stashed[key]
+    if (image[key]) {
+      stashed.files[key] = path.join(draftsDir, `${uniqueId}_${imageIndex}_${key}`)
+      await fs.writeFile(stashed.files[key], image[key])
+    }
+  }
+  return stashed
+}))
+
+// Read a draft's images back from stashDraftImages' files
+const restoreDraftImages = (images) => Promise.all(images.map(async ({ files, ...image }) => {
+  const restored = { ...image, features: JSON.parse(await fs.readFile(files.features, 'utf8')), highResImage: null }
+  for (const key of DRAFT_IMAGE_BUFFERS) {
+    if (files[key]) {
+      restored[key] = await fs.readFile(files[key])
+    }
+  }
+  return restored
+}))
+
+const removeDraftImages = (images) =>
+  Promise.allSettled(images.flatMap(image => Object.values(image.files)).map(file => fs.unlink(file)))
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage()
+const allowedImageTypes = [
+  'image/jpeg', 'image/png', 'image/webp',
+  'image/heic', 'image/heif', 'image/avif', 'image/tiff'
+]
+// Browsers without HEIC/HEIF support often send these with an empty or
+// generic mimetype, so fall back to the extension
+const allowedImageExtensions = ['.heic', '.heif', '.avif', '.tif', '.tiff']
+// Images per object (the 'image' field plus the 'images' field)
+const MAX_OBJECT_IMAGES = 8
+
 const upload = multer({ 
   storage,
   limits: {
@@ -49,27 +109,59 @@ const upload = multer({
     fieldSize: 1024 * 1024 // 1MB field size limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp']
-    if (allowedTypes.includes(file.mimetype)) {
+    const extension = path.extname(file.originalname || '').toLowerCase()
+    const genericType = !file.mimetype || file.mimetype === 'application/octet-stream'
+    if (allowedImageTypes.includes(file.mimetype) || (genericType && allowedImageExtensions.includes(extension))) {
       cb(null, true)
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, and WebP are allowed.'))
+      cb(new Error('Invalid file type. Only JPEG, PNG, WebP, HEIC/HEIF, AVIF and TIFF are allowed.'))
     }
   }
 })
 
 // Initialize services
+// Embedded in-memory relay for development (LOCAL_RELAY=true), used when no
+// NOSTR_RELAYS are configured
+let localRelay = null
+if (process.env.LOCAL_RELAY === 'true') {
+  localRelay = new LocalRelay({ port: parseInt(process.env.LOCAL_RELAY_PORT) || 12097 })
+  await localRelay.start()
+}
+
 const nostrClient = new NostrClient(
   process.env.NOSTR_PRIVATE_KEY,
-  process.env.NOSTR_RELAYS?.split(',') || []
+  process.env.NOSTR_RELAYS?.split(',') || (localRelay ? [localRelay.url] : []),
+  // Addressable kind of object identity events (NOSTR_OBJECT_KIND)
+  { objectKind: loadObjectKind() }
 )
-const advancedMatcher = new AdvancedImageMatcher()
-const physicalIdentifier = new PhysicalIdentifier()
-
-// In-memory storage for demo (use database in production)
-const objectDatabase = new Map()
-const hashDatabase = new Map() // pHash -> objectId mapping
-const physicalIdDatabase = new Map() // physicalId -> objectId mapping
+// Hash algorithm and distance thresholds per object type (HASH_PROFILES)
+const hashProfiles = loadHashProfiles()
+const advancedMatcher = new AdvancedImageMatcher(hashProfiles)
+// Physical certificate layouts and branding per object type (CERTIFICATE_TEMPLATES)
+const certificateTemplates = loadCertificateTemplates()
+const physicalIdentifier = new PhysicalIdentifier({ certificateTemplates })
+
+// Object storage (objects, pHash -> objectId and physicalId -> objectId indexes)
+const store = await createStore({
+  filePath: process.env.STORAGE_PATH || path.join(__dirname, '../data/objects.json')
+})
+// Publishes signed events and retries the relays that didn't accept them
+const outbox = new Outbox(nostrClient, store)
+const relaySync = new RelaySync(nostrClient, store, uploadsDir, outbox)
+// Verdicts on scanned certificate QR codes
+const certificateVerifier = new CertificateVerifier(store, nostrClient, qrGenerator)
+// Default revenue split between artist, object, platform and owner (REVENUE_SPLIT)
+const revenueSplit = loadRevenueSplit()
+// NIP-57 zaps to the artists' lightning addresses. LNURL_ALLOW_INSECURE=true
+// (development only) lets them reach LNURL servers on localhost over HTTP.
+const zapService = new ZapService(nostrClient, store, {
+  revenueSplit,
+  allowInsecureHosts: process.env.LNURL_ALLOW_INSECURE === 'true'
+})
+// Premium content released to verification sessions whose payment settled
+const payPerView = new PayPerViewService(store, zapService)
+// Objects waiting for their creator to sign the identity event
+const objectDrafts = new DraftStore({ onExpire: (pending) => removeDraftImages(pending.draft.images) })
 
 // API Routes
 
@@ -87,6 +179,9 @@ const handleMulterError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FIELD_VALUE') {
       return res.status(400).json({ error: 'Field value too large.' })
     }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Too many images. Maximum is ${MAX_OBJECT_IMAGES} per object.` })
+    }
     return res.status(400).json({ error: `Upload error: ${err.message}` })
   }
   if (err) {
@@ -96,24 +191,247 @@ const handleMulterError = (err, req, res, next) => {
 }
 
 // Create object identity
-app.post('/api/objects', upload.single('image'), handleMulterError, async (req, res) => {
+const objectImageFields = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_OBJECT_IMAGES }
+])
+
+// Existing objects that any of a new object's images duplicates, using
+// robust pHash matching with a very strict threshold. The images' own
+// hashes (made with algorithm) are reused; they are only hashed again for
+// the other algorithms stored objects use.
+const findDuplicateImages = async (images, algorithm) => {
+  const similarObjects = []
+  for (const [imageIndex, image] of images.entries()) {
+    const knownHashes = { [algorithm]: { primary: image.pHash, variants: image.variants } }
+    const duplicateMatch = await imageProcessor.findBestMatch(image.hashBuffer, store.getHashIndexes(), hashProfiles, 'duplicate', knownHashes)
+    if (duplicateMatch) {
+      console.log(`Duplicate found for image ${imageIndex}: ${duplicateMatch.objectId} with distance ${duplicateMatch.distance}`)
+      similarObjects.push({
+        objectId: duplicateMatch.objectId,
+        hash: duplicateMatch.hash,
+        algorithm: duplicateMatch.algorithm,
+        distance: duplicateMatch.distance,
+        imageIndex
+      })
+    }
+  }
+  return similarObjects
+}
+
+// Finish creating an object once its identity event is signed: save the
+// images, generate physical IDs and certificates, store it and publish the
+// event (only once stored, so a conflict leaves nothing on the relays).
+// The certificate is signed by the minting key: the server's, or the
+// creator's (certificateEvent, signed with the identity event).
+const completeObjectCreation = async (draft, nostrEvent, naddr, res, certificateEvent = null) => {
+  const {
+    uniqueId, name, artist, type, description, customPhysicalId, lud16,
+    objectRevenueSplit, payPerViewPrice, gateHighRes,
+    images, objectImages, pHash, pHashAlgorithm, hashVariants, imageHash, metadata
+  } = draft
+
+  // Save processed images; the main image keeps the original file names
+  for (const [imageIndex, image] of images.entries()) {
+    await fs.writeFile(objectImages[imageIndex].imagePath, image.processedImage)
+    await fs.writeFile(objectImages[imageIndex].thumbnailPath, image.thumbnail)
+    if (image.highResImage) {
+      await fs.writeFile(highResPath(uniqueId, imageIndex), image.highResImage)
+    }
+  }
+  const { imagePath, thumbnailPath } = objectImages[0]
+
+  // Generate physical identifier and verification methods
+  const physicalVerification = await physicalIdentifier.generateVerificationMethods({
+    name,
+    artist,
+    type,
+    description,
+    customPhysicalId: customPhysicalId.trim() || null
+  }, uniqueId)
+
+  // Generate QR code certificate, signed over the object id, hash and naddr
+  const certificate = certificateEvent
+    ? await qrGenerator.generateSignedCertificate(certificateEvent)
+    : await qrGenerator.generateSecureCertificate({ id: uniqueId, naddr, hash: imageHash }, nostrClient.privateKey)
+  const certificatePath = path.join(uploadsDir, `${uniqueId}_cert.png`)
+  const physicalCertPath = path.join(uploadsDir, `${uniqueId}_physical_cert.png`)
+  
+  await fs.writeFile(certificatePath, certificate.qrCode)
+  await fs.writeFile(physicalCertPath, physicalVerification.certificate)
+
+  // Store in database
+  const objectRecord = {
+    id: uniqueId,
+    name,
+    artist,
+    type,
+    description,
+    lud16: lud16 || null,
+    revenueSplit: objectRevenueSplit,
+    payPerView: payPerViewPrice ? { price: payPerViewPrice, highResImages: gateHighRes } : null,
+    // Current owner and the transfer events of the provenance chain
+    ownerPubkey: null,
+    transfers: [],
+    imageHash,
+    pHash,
+    pHashAlgorithm,
+    naddr,
+    nostrEventId: nostrEvent.id,
+    // Key that signed the identity event: the creator's own, or this server's
+    pubkey: nostrEvent.pubkey,
+    imagePath,
+    thumbnailPath,
+    images: objectImages,
+    certificatePath,
+    // Signed certificate payload (the certificate QR code's content)
+    certificate: certificate.data,
+    physicalCertPath,
+    physicalCertTemplate: physicalVerification.certificateTemplate,
+    metadata,
+    satsBalance: 0,
+    createdAt: Date.now(),
+    views: 0,
+    // Physical verification data
+    physicalId: physicalVerification.physicalId,
+    shortId: physicalVerification.shortId,
+    numericId: physicalVerification.numericId,
+    verificationMethods: physicalVerification.verificationMethods
+  }
+
+  // Store object with the primary hash of each image (only primaries are
+  // used for duplicate detection, to prevent false positives), their
+  // rotation/scale variants for verification, color/edge features and
+  // physical ID mappings in a single write
   try {
-    if (!req.file) {
+    await store.createObject(objectRecord, {
+      hashes: images.map(image => ({ hash: image.pHash, algorithm: pHashAlgorithm })),
+      hashVariants,
+      features: images.map(image => image.features),
+      physicalIds: [
+        physicalVerification.physicalId,
+        physicalVerification.shortId,
+        physicalVerification.numericId
+      ]
+    })
+  } catch (storeError) {
+    if (storeError instanceof StorageConflictError) {
+      const writtenFiles = [
+        ...objectImages.flatMap(image => [image.imagePath, image.thumbnailPath]),
+        ...objectImages.map((image, imageIndex) => highResPath(uniqueId, imageIndex)),
+        certificatePath,
+        physicalCertPath
+      ]
+      await Promise.allSettled(writtenFiles.map(file => fs.unlink(file)))
+      return res.status(409).json({
+        error: storeError.details.hash ? 'Similar object already exists' : 'Physical ID already exists',
+        message: storeError.message,
+        existingObject: { id: storeError.details.objectId }
+      })
+    }
+    throw storeError
+  }
+
+  const relays = await outbox.publish(nostrEvent)
+
+  res.json({
+    success: true,
+    object: objectRecord,
+    nostrEvent,
+    naddr,
+    relays,
+    crop: images[0].crop,
+    crops: images.map(image => image.crop),
+    certificate: {
+      dataUrl: `data:image/png;base64,${certificate.qrCode.toString('base64')}`,
+      downloadUrl: `/api/certificates/${uniqueId}`
+    },
+    physicalVerification: {
+      physicalId: physicalVerification.physicalId,
+      shortId: physicalVerification.shortId,
+      numericId: physicalVerification.numericId,
+      qrCode: physicalVerification.qrCode,
+      printableText: physicalVerification.printableText,
+      certificateUrl: `/api/physical-certificates/${uniqueId}`,
+      verificationMethods: physicalVerification.verificationMethods,
+      isCustomId: physicalVerification.isCustomId
+    }
+  })
+}
+
+app.post('/api/objects', objectImageFields, handleMulterError, async (req, res) => {
+  try {
+    // A single 'image' and/or several 'images' (views of the same object);
+    // the first one is the object's main image
+    const files = [...(req.files?.image || []), ...(req.files?.images || [])]
+    if (files.length === 0) {
       return res.status(400).json({ error: 'No image file provided' })
     }
+    if (files.length > MAX_OBJECT_IMAGES) {
+      return res.status(400).json({ error: `Too many images. Maximum is ${MAX_OBJECT_IMAGES} per object.` })
+    }
 
     const { name, artist, type = 'poster', description = '', customPhysicalId = '' } = req.body
+    // Artist's lightning address, where zaps to the object are paid
+    const lud16 = (req.body.lud16 || '').trim()
 
     if (!name || !artist) {
       return res.status(400).json({ error: 'Name and artist are required' })
     }
+    if (lud16) {
+      try {
+        zapService.lnurlpUrl(lud16)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+    }
+
+    // Creator's own key, when they sign the identity event themselves
+    // (NIP-07 extension or NIP-46 remote signer) instead of the server
+    let signerPubkey = null
+    if (req.body.signerPubkey) {
+      try {
+        signerPubkey = parsePubkey(req.body.signerPubkey)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      // Before processing the images: drafts are limited per signer and client
+      try {
+        objectDrafts.checkRoom({ pubkey: signerPubkey, ip: req.ip })
+      } catch (draftError) {
+        return res.status(draftError.status).json({ error: draftError.message })
+      }
+    }
+
+    // Optional revenue split for this object (JSON percentages), instead of the default
+    let objectRevenueSplit = null
+    if (req.body.revenueSplit) {
+      try {
+        objectRevenueSplit = normalizeSplit(JSON.parse(req.body.revenueSplit))
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid revenue split: ${error.message}` })
+      }
+    }
+
+    // Optional pay-per-view price (sats) for premium story content and, if
+    // payPerViewHighRes is set, the high-resolution images
+    let payPerViewPrice
+    try {
+      payPerViewPrice = parsePrice(req.body.payPerViewPrice)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    if (payPerViewPrice && !lud16) {
+      return res.status(400).json({ error: 'A lightning address is required for pay-per-view' })
+    }
+    const gateHighRes = Boolean(payPerViewPrice) && req.body.payPerViewHighRes === 'true'
 
     // Check for duplicate custom physical ID if provided
     if (customPhysicalId && customPhysicalId.trim()) {
       const trimmedCustomId = customPhysicalId.trim()
-      const existingObjectId = physicalIdDatabase.get(trimmedCustomId)
+      const existingObjectId = await store.findObjectIdByPhysicalId(trimmedCustomId)
       if (existingObjectId) {
-        const existingObject = objectDatabase.get(existingObjectId)
+        const existingObject = await store.getObject(existingObjectId)
         return res.status(409).json({
           error: 'Physical ID already exists',
           message: `The physical ID "${trimmedCustomId}" is already used by another object: "${existingObject?.name || 'Unknown'}" by ${existingObject?.artist || 'Unknown'}`,
@@ -127,41 +445,75 @@ app.post('/api/objects', upload.single('image'), handleMulterError, async (req,
       }
     }
 
-    // Process image
-    const imageBuffer = req.file.buffer
-    const processedImage = await imageProcessor.processImage(imageBuffer)
-    const thumbnail = await imageProcessor.generateThumbnail(imageBuffer)
-    const pHashData = await imageProcessor.generateRobustPHashFromBuffer(imageBuffer)
-    const pHash = pHashData.primary
-    const imageHash = calculateImageHash(imageBuffer)
-    const metadata = await imageProcessor.extractMetadata(imageBuffer)
+    // Process images; every image is hashed and indexed, so any of the
+    // object's views verifies
+    const { algorithm: pHashAlgorithm } = hashProfiles.forType(type)
+    const images = []
+    for (const file of files) {
+      let imageBuffer
+      try {
+        imageBuffer = await imageProcessor.decodeImage(file.buffer)
+      } catch (decodeError) {
+        return res.status(400).json({ error: `Could not read image ${file.originalname}: ${decodeError.message}` })
+      }
+      // Hash the object itself (cropped and rectified), not its surroundings;
+      // verification applies the same step
+      const { buffer: hashBuffer, crop } = await imageRectifier.rectify(imageBuffer)
+      const pHashData = await imageProcessor.generateRobustPHashFromBuffer(hashBuffer, pHashAlgorithm)
+      const { colorHistogram, edgeHash, localFeatures } = await advancedMatcher.createObjectHashes(hashBuffer, pHashAlgorithm)
+      images.push({
+        hashBuffer,
+        crop,
+        pHash: pHashData.primary,
+        variants: pHashData.variants.filter(variant => variant.type !== 'original'),
+        features: { colorHistogram, edgeHash, localFeatures },
+        processedImage: await imageProcessor.processImage(imageBuffer),
+        highResImage: gateHighRes
+          ? await imageProcessor.processImage(imageBuffer, { width: 4096, height: 4096, quality: 92 })
+          : null,
+        thumbnail: await imageProcessor.generateThumbnail(imageBuffer),
+        metadata: await imageProcessor.extractMetadata(imageBuffer)
+      })
+    }
+
+    const pHash = images[0].pHash
+    const hashVariants = images.flatMap((image, imageIndex) => image.variants
+      .map(variant => ({ ...variant, algorithm: pHashAlgorithm, imageIndex })))
+    const imageHash = calculateImageHash(files[0].buffer)
+    const metadata = images[0].metadata
 
     // Check for duplicates using robust pHash matching with very strict threshold
     console.log('Checking for duplicates with robust matching...')
-    const duplicateMatch = await imageProcessor.findBestMatch(imageBuffer, hashDatabase, 3)
-    
-    if (duplicateMatch) {
-      console.log(`Duplicate found: ${duplicateMatch.objectId} with distance ${duplicateMatch.distance}`)
+    const similarObjects = await findDuplicateImages(images, pHashAlgorithm)
+
+    if (similarObjects.length > 0) {
       return res.status(409).json({
         error: 'Similar object already exists',
-        similarObjects: [{
-          objectId: duplicateMatch.objectId,
-          hash: duplicateMatch.hash,
-          distance: duplicateMatch.distance
-        }],
-        newHash: pHash
+        similarObjects,
+        newHash: pHash,
+        newHashAlgorithm: pHashAlgorithm,
+        crop: images[0].crop,
+        crops: images.map(image => image.crop)
       })
     }
 
     // Generate unique ID
     const uniqueId = generateObjectId(name, artist)
 
-    // Save processed images
-    const imagePath = path.join(uploadsDir, `${uniqueId}.jpg`)
-    const thumbnailPath = path.join(uploadsDir, `${uniqueId}_thumb.jpg`)
-    
-    await fs.writeFile(imagePath, processedImage)
-    await fs.writeFile(thumbnailPath, thumbnail)
+    // Image files; the main image keeps the original file names
+    const objectImages = images.map((image, imageIndex) => {
+      const baseName = imageIndex === 0 ? uniqueId : `${uniqueId}_${imageIndex}`
+      return {
+        imageUrl: `/api/images/${baseName}.jpg`,
+        thumbnailUrl: `/api/images/${baseName}_thumb.jpg`,
+        imagePath: path.join(uploadsDir, `${baseName}.jpg`),
+        thumbnailPath: path.join(uploadsDir, `${baseName}_thumb.jpg`),
+        pHash: image.pHash,
+        pHashAlgorithm,
+        crop: image.crop,
+        hasHighRes: Boolean(image.highResImage)
+      }
+    })
 
     // Create Nostr event
     const objectData = {
@@ -173,131 +525,171 @@ app.post('/api/objects', upload.single('image'), handleMulterError, async (req,
       provenance: 'first-mint',
       description,
       imageUrl: `/api/images/${uniqueId}.jpg`,
-      pHash
+      pHash,
+      pHashAlgorithm,
+      images: objectImages.map(({ imageUrl, pHash }) => ({ imageUrl, pHash })),
+      lud16
+    }
+    const draft = {
+      uniqueId, name, artist, type, description, customPhysicalId, lud16,
+      objectRevenueSplit, payPerViewPrice, gateHighRes,
+      images, objectImages, pHash, pHashAlgorithm, hashVariants, imageHash, metadata
+    }
+
+    // Signed by the creator: hand out the unsigned identity event and finish
+    // when it comes back signed
+    if (signerPubkey) {
+      const event = nostrClient.objectIdentityTemplate(objectData, signerPubkey)
+      // The certificate is signed by the creator too, in the same round
+      const certificate = certificateTemplate({
+        id: uniqueId,
+        hash: imageHash,
+        naddr: canonicalNaddr(nostrClient.generateNaddr(event)),
+        pubkey: signerPubkey
+      })
+      // Only the events, hashes and file paths stay in memory
+      const stashedImages = await stashDraftImages(uniqueId, images)
+      let pending
+      try {
+        pending = objectDrafts.add({ pubkey: signerPubkey, ip: req.ip, event, certificate, draft: { ...draft, images: stashedImages } })
+      } catch (draftError) {
+        await removeDraftImages(stashedImages)
+        return res.status(draftError.status).json({ error: draftError.message })
+      }
+      return res.status(202).json({
+        draftId: pending.id,
+        event,
+        certificate,
+        expiresAt: pending.expiresAt,
+        signUrl: `/api/objects/drafts/${pending.id}`,
+        crop: images[0].crop,
+        crops: images.map(image => image.crop)
+      })
+    }
+
+    // Signed by the server; relays that are down get it from the outbox later
+    const nostrEvent = nostrClient.signObjectIdentity(objectData)
+    await completeObjectCreation(draft, nostrEvent, nostrClient.generateNaddr(nostrEvent), res)
+
+  } catch (error) {
+    console.error('Error creating object:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Finish creating an object whose creator signed its identity event
+// ({ event, certificate }: the templates from POST /api/objects, signed by
+// signerPubkey)
+app.post('/api/objects/drafts/:id', async (req, res) => {
+  try {
+    const pending = objectDrafts.get(req.params.id)
+    if (!pending) {
+      return res.status(404).json({ error: 'Draft not found or expired' })
     }
 
-    // Create Nostr event (with error handling)
-    let nostrEvent, naddr
+    let nostrEvent, certificateEvent
     try {
-      nostrEvent = await nostrClient.createObjectIdentity(objectData)
-      naddr = nostrClient.generateNaddr(nostrEvent)
-    } catch (nostrError) {
-      console.warn('Nostr publishing failed, continuing without relay sync:', nostrError.message)
-      // Create a local event structure for storage
-      nostrEvent = {
-        kind: 30000,
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['d', uniqueId],
-          ['name', name],
-          ['type', type],
-          ['hash', imageHash],
-          ['artist', artist],
-          ['prov', 'first-mint'],
-          ['phash', pHash],
-          ['image', `/api/images/${uniqueId}.jpg`]
-        ],
-        content: description,
-        pubkey: nostrClient.publicKey,
-        id: 'local_' + uniqueId,
-        sig: 'local_signature'
-      }
-      naddr = `naddr_local_${uniqueId}`
-    }
-
-    // Generate physical identifier and verification methods
-    const physicalVerification = await physicalIdentifier.generateVerificationMethods({
-      name,
-      artist,
-      type,
-      description,
-      customPhysicalId: customPhysicalId.trim() || null
-    }, uniqueId)
+      nostrEvent = verifySignedTemplate(req.body.event, pending.event, pending.pubkey)
+      certificateEvent = verifySignedTemplate(req.body.certificate, pending.certificate, pending.pubkey)
+    } catch (error) {
+      if (error instanceof SignatureError) {
+        return res.status(error.status).json({ error: error.message })
+      }
+      throw error
+    }
+    objectDrafts.delete(pending.id)
 
-    // Generate QR code certificate (legacy)
-    const certificateData = {
-      id: uniqueId,
-      name,
-      artist,
-      naddr,
-      hash: imageHash
+    let images
+    try {
+      images = await restoreDraftImages(pending.draft.images)
+    } finally {
+      await removeDraftImages(pending.draft.images)
     }
 
-    const certificate = await qrGenerator.generateObjectCertificate(certificateData)
-    const certificatePath = path.join(uploadsDir, `${uniqueId}_cert.png`)
-    const physicalCertPath = path.join(uploadsDir, `${uniqueId}_physical_cert.png`)
-    
-    await fs.writeFile(certificatePath, certificate.qrCode)
-    await fs.writeFile(physicalCertPath, physicalVerification.certificate)
+    // Another object with the same images may have been created meanwhile
+    const similarObjects = await findDuplicateImages(images, pending.draft.pHashAlgorithm)
+    if (similarObjects.length > 0) {
+      return res.status(409).json({
+        error: 'Similar object already exists',
+        similarObjects,
+        newHash: pending.draft.pHash,
+        newHashAlgorithm: pending.draft.pHashAlgorithm
+      })
+    }
 
-    // Store in database
-    const objectRecord = {
-      id: uniqueId,
-      name,
-      artist,
-      type,
-      description,
-      imageHash,
-      pHash,
-      naddr,
-      nostrEventId: nostrEvent.id,
-      imagePath,
-      thumbnailPath,
-      certificatePath,
-      physicalCertPath,
-      metadata,
-      satsBalance: 0,
-      createdAt: Date.now(),
-      views: 0,
-      // Physical verification data
-      physicalId: physicalVerification.physicalId,
-      shortId: physicalVerification.shortId,
-      numericId: physicalVerification.numericId,
-      verificationMethods: physicalVerification.verificationMethods
+    await completeObjectCreation({ ...pending.draft, images }, nostrEvent, nostrClient.generateNaddr(nostrEvent), res, certificateEvent)
+  } catch (error) {
+    console.error('Error completing signed object:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Printable label sheets for one or many objects:
+// ?ids=a,b&template=avery-l7160&format=pdf|svg (see README for the options).
+// SVG is one page at a time (?page=N); X-Page-Count gives the number of pages.
+app.get('/api/objects/labels', async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))]
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'ids is required (comma-separated object IDs)' })
     }
 
-    objectDatabase.set(uniqueId, objectRecord)
-    
-    // Store only primary hash to prevent false positives
-    hashDatabase.set(pHash, uniqueId)
-    
-    // Store physical ID mapping for direct verification
-    physicalIdDatabase.set(physicalVerification.physicalId, uniqueId)
-    physicalIdDatabase.set(physicalVerification.shortId, uniqueId)
-    physicalIdDatabase.set(physicalVerification.numericId, uniqueId)
+    const options = parseLabelOptions(req.query)
+    if (ids.length * options.copies > 2000) {
+      return res.status(400).json({ error: 'Too many labels (at most 2000 per request)' })
+    }
 
-    res.json({
-      success: true,
-      object: objectRecord,
-      nostrEvent,
-      naddr,
-      certificate: {
-        dataUrl: `data:image/png;base64,${certificate.qrCode.toString('base64')}`,
-        downloadUrl: `/api/certificates/${uniqueId}`
-      },
-      physicalVerification: {
-        physicalId: physicalVerification.physicalId,
-        shortId: physicalVerification.shortId,
-        numericId: physicalVerification.numericId,
-        qrCode: physicalVerification.qrCode,
-        printableText: physicalVerification.printableText,
-        certificateUrl: `/api/physical-certificates/${uniqueId}`,
-        verificationMethods: physicalVerification.verificationMethods,
-        isCustomId: physicalVerification.isCustomId
+    const objects = await Promise.all(ids.map(id => store.getObject(id)))
+    const missing = ids.filter((id, index) => !objects[index])
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Objects not found', missing })
+    }
+
+    // Objects synced from relays may have no physical ID: their labels point
+    // at the identity event instead
+    const labels = objects.flatMap(object => Array(options.copies).fill({
+      name: object.name,
+      artist: object.artist,
+      physicalId: object.physicalId || null,
+      qrData: object.physicalId
+        ? physicalIdentifier.verifyUrl(object.physicalId)
+        : `nostr:${canonicalNaddr(object.naddr)}`
+    }))
+
+    const sheet = new LabelSheet(options)
+    const pages = sheet.layout(labels)
+    res.set('X-Page-Count', String(pages.length))
+
+    if (options.format === 'svg') {
+      if (options.page > pages.length) {
+        return res.status(404).json({ error: `Page ${options.page} not found (${pages.length} pages)` })
       }
-    })
+      res.set('Content-Type', 'image/svg+xml')
+      return res.send(sheet.renderSvg(pages[options.page - 1]))
+    }
 
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', `inline; filename="labels-${options.template.name}.pdf"`)
+    res.send(sheet.renderPdf(pages))
   } catch (error) {
-    console.error('Error creating object:', error)
+    if (error instanceof LabelSheetError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Error generating labels:', error)
     res.status(500).json({ error: error.message })
   }
 })
 
+// Label sheet templates for /api/objects/labels
+app.get('/api/label-templates', (req, res) => {
+  res.json(Object.entries(LABEL_TEMPLATES).map(([name, template]) => ({ name, ...template })))
+})
+
 // Get object by ID
 app.get('/api/objects/:id', async (req, res) => {
   try {
     const { id } = req.params
-    const object = objectDatabase.get(id)
+    const object = await store.getObject(id)
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' })
@@ -311,84 +703,87 @@ app.get('/api/objects/:id', async (req, res) => {
 })
 
 // Verify object by image
-app.post('/api/verify', upload.single('image'), async (req, res) => {
+app.post('/api/verify', upload.single('image'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' })
     }
 
-    const imageBuffer = req.file.buffer
+    // Optional ?candidates=N returns the N best ranked objects as well
+    const candidateLimit = Math.min(Math.max(parseInt(req.query.candidates) || 0, 0), 20)
     
     console.log('Advanced Verification - Starting multi-stage matching...')
-    console.log('Hash database size:', hashDatabase.size)
-
-    // Get all stored hashes for comparison
-    const storedHashes = Array.from(hashDatabase.keys())
+    const hashIndexes = store.getHashIndexes()
+    const indexedHashCount = Array.from(hashIndexes.values()).reduce((sum, hashIndex) => sum + hashIndex.size, 0)
+    console.log('Hash index size:', indexedHashCount)
     
-    if (storedHashes.length === 0) {
+    if (indexedHashCount === 0) {
       return res.json({
         verified: false,
         message: 'No objects in database to compare against'
       })
     }
 
+    // Match on the object itself, cropped and rectified like at creation
+    let uploadBuffer
+    try {
+      uploadBuffer = await imageProcessor.decodeImage(req.file.buffer)
+    } catch (decodeError) {
+      return res.status(400).json({ error: `Could not read image: ${decodeError.message}` })
+    }
+    const { buffer: imageBuffer, crop } = await imageRectifier.rectify(uploadBuffer)
+    if (crop.detected) {
+      console.log('Detected object crop:', crop.corners)
+    }
+
     // Use advanced multi-stage matching
-    const matchResults = await advancedMatcher.verifyImageMatch(imageBuffer, storedHashes)
+    const storedFeatures = {
+      get: (objectId) => store.getImageFeatures(objectId)
+    }
+    const matchResults = await advancedMatcher.verifyImageMatch(imageBuffer, hashIndexes, storedFeatures, { candidates: candidateLimit })
     
     console.log('Advanced Verification Results:', {
       stage1: matchResults.stage1_phash,
       stage2: matchResults.stage2_rotation,
+      stage3: matchResults.stage3_color,
+      stage4: matchResults.stage4_edge,
+      stage5: matchResults.stage5_features,
       overall: matchResults.overall
     })
 
+    let candidates
+    if (matchResults.candidates) {
+      candidates = await Promise.all(matchResults.candidates.map(async (candidate) => {
+        const candidateObject = await store.getObject(candidate.objectId)
+        return {
+          ...candidate,
+          name: candidateObject?.name,
+          artist: candidateObject?.artist,
+          type: candidateObject?.type,
+          thumbnailUrl: candidateObject?.thumbnailPath ? `/api/images/${path.basename(candidateObject.thumbnailPath)}` : null
+        }
+      }))
+    }
+
     if (!matchResults.overall.matched) {
       return res.json({
         verified: false,
         message: 'No matching object found',
+        candidates,
         debug: {
           stage1_distance: matchResults.stage1_phash.distance,
           stage2_distance: matchResults.stage2_rotation.distance,
+          stage3_color_difference: matchResults.stage3_color.similarity,
+          stage4_edge_difference: matchResults.stage4_edge.similarity,
+          stage5_inliers: matchResults.stage5_features.inliers,
+          crop,
           method_attempted: 'multi_stage_advanced'
         }
       })
     }
 
-    // Find the object that matched
-    let matchedObjectId = null
-    let matchedHash = null
-    
-    // Determine which hash matched based on the method used
-    if (matchResults.overall.method === 'direct_phash') {
-      // Find the hash that had the minimum distance in stage 1
-      // Generate hash for input image to find exact match
-      const tempPath = `/tmp/verify_input_${Date.now()}.jpg`
-      const normalizedBuffer = await sharp(imageBuffer)
-        .rotate()
-        .resize(512, 512, { 
-          fit: 'inside',
-          withoutEnlargement: false,
-          background: { r: 255, g: 255, b: 255, alpha: 1 }
-        })
-        .jpeg({ quality: 90 })
-        .toFile(tempPath)
-      
-      const inputHash = await imageHashAsync(tempPath, 16, 'hex')
-      for (const storedHash of storedHashes) {
-        const distance = advancedMatcher.hammingDistance(inputHash, storedHash)
-        if (distance <= 3) {
-          matchedHash = storedHash
-          break
-        }
-      }
-    } else if (matchResults.overall.method === 'rotation_phash') {
-      // For rotation matches, we need to find which stored hash matched
-      // This is more complex, but for now we'll use the first one with reasonable distance
-      matchedHash = storedHashes[0] // Simplified for now
-    }
-
-    if (matchedHash) {
-      matchedObjectId = hashDatabase.get(matchedHash)
-    }
+    // The matcher reports which stored hash and object matched
+    const matchedObjectId = matchResults.overall.objectId
 
     if (!matchedObjectId) {
       return res.json({
@@ -397,8 +792,8 @@ app.post('/api/verify', upload.single('image'), async (req, res) => {
       })
     }
 
-    const object = objectDatabase.get(matchedObjectId)
-    if (!object) {
+    const storedObject = await store.getObject(matchedObjectId)
+    if (!storedObject) {
       return res.json({
         verified: false,
         message: 'Object reference found but object data missing'
@@ -406,17 +801,23 @@ app.post('/api/verify', upload.single('image'), async (req, res) => {
     }
     
     // Increment view count
-    object.views += 1
-    objectDatabase.set(object.id, object)
+    const object = await store.updateObject(storedObject.id, { views: storedObject.views + 1 })
 
     res.json({
       verified: true,
       object: object,
       confidence: matchResults.overall.confidence,
       method: matchResults.overall.method,
+      // Pay-per-view session for this verification (null if nothing is gated)
+      session: await payPerView.startSession(object, matchResults.overall.method),
+      candidates,
       debug: {
         stage1_distance: matchResults.stage1_phash.distance,
         stage2_distance: matchResults.stage2_rotation.distance,
+        stage3_color_difference: matchResults.stage3_color.similarity,
+        stage4_edge_difference: matchResults.stage4_edge.similarity,
+        stage5_inliers: matchResults.stage5_features.inliers,
+        crop,
         matching_method: matchResults.overall.method
       }
     })
@@ -427,66 +828,324 @@ app.post('/api/verify', upload.single('image'), async (req, res) => {
   }
 })
 
-// Add sats to object
+// Zap an object: get an invoice from the artist's LNURL-pay server for a
+// NIP-57 zap request. The object is credited when the zap receipt arrives.
 app.post('/api/objects/:id/zap', async (req, res) => {
   try {
     const { id } = req.params
-    const { amount, comment = '' } = req.body
+    const { comment = '' } = req.body
+    const amount = Number(req.body.amount)
 
-    if (!amount || amount <= 0) {
+    if (!Number.isInteger(amount) || amount <= 0) {
       return res.status(400).json({ error: 'Invalid amount' })
     }
 
-    const object = objectDatabase.get(id)
+    const object = await store.getObject(id)
     if (!object) {
       return res.status(404).json({ error: 'Object not found' })
     }
 
-    // Create zap event
-    const zapEvent = await nostrClient.createZapEvent(object.nostrEventId, amount, comment)
-
-    // Update balance (50/50 split)
-    const artistShare = Math.floor(amount / 2)
-    const objectShare = amount - artistShare
-
-    object.satsBalance += objectShare
-    objectDatabase.set(id, object)
+    const zap = await zapService.requestZap(object, { amount, comment })
 
     res.json({
       success: true,
-      zapEvent,
-      artistShare,
-      objectShare,
-      newBalance: object.satsBalance
+      zapId: zap.id,
+      invoice: zap.invoice,
+      amount,
+      status: zap.status,
+      zapRequest: zap.zapRequest,
+      statusUrl: `/api/zaps/${zap.id}`
     })
 
   } catch (error) {
+    if (error instanceof ZapError) {
+      return res.status(error.status).json({ error: error.message })
+    }
     console.error('Error adding zap:', error)
     res.status(500).json({ error: error.message })
   }
 })
 
+// Zaps to an object, newest first
+app.get('/api/objects/:id/zaps', async (req, res) => {
+  try {
+    const zaps = await store.listZaps(req.params.id)
+    res.json({
+      zaps: zaps
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(({ zapRequest, receipt, ...zap }) => zap)
+    })
+  } catch (error) {
+    console.error('Error listing zaps:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Revenue ledger of an object: every payment and its split
+app.get('/api/objects/:id/ledger', async (req, res) => {
+  try {
+    const object = await store.getObject(req.params.id)
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+
+    const entries = await store.listLedgerEntries({ objectId: object.id })
+    res.json({
+      objectId: object.id,
+      split: effectiveSplit(object, revenueSplit),
+      customSplit: Boolean(object.revenueSplit),
+      totals: sumShares(entries),
+      satsBalance: object.satsBalance,
+      entries
+    })
+  } catch (error) {
+    console.error('Error getting ledger:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Earnings of an artist (by name) across all of their objects
+app.get('/api/artists/:artist/earnings', async (req, res) => {
+  try {
+    const { artist } = req.params
+    const entries = await store.listLedgerEntries({ artist })
+    const objects = (await store.listObjects()).filter(object => object.artist === artist)
+
+    res.json({
+      artist,
+      earned: sumShares(entries).artist,
+      totals: sumShares(entries),
+      payments: entries.length,
+      objects: objects.map(object => {
+        const objectEntries = entries.filter(entry => entry.objectId === object.id)
+        return {
+          id: object.id,
+          name: object.name,
+          split: effectiveSplit(object, revenueSplit),
+          earned: sumShares(objectEntries).artist,
+          payments: objectEntries.length
+        }
+      }),
+      entries
+    })
+  } catch (error) {
+    console.error('Error getting artist earnings:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Zap status; pending zaps are checked against the relays for a receipt
+app.get('/api/zaps/:id', async (req, res) => {
+  try {
+    let zap = await store.getZap(req.params.id)
+    if (!zap) {
+      return res.status(404).json({ error: 'Zap not found' })
+    }
+
+    if (zap.status === 'pending') {
+      zap = await zapService.checkReceipts(zap)
+    }
+
+    const object = await store.getObject(zap.objectId)
+    const ledgerEntry = zap.ledgerEntryId ? await store.getLedgerEntry(zap.ledgerEntryId) : null
+    res.json({ zap, ledgerEntry, satsBalance: object?.satsBalance ?? null })
+  } catch (error) {
+    console.error('Error getting zap:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Submit a zap receipt (kind 9735) directly, e.g. from a wallet or LNURL
+// server webhook. It is validated like receipts seen on the relays.
+app.post('/api/zaps/receipts', async (req, res) => {
+  try {
+    const { receipt } = req.body
+    if (!receipt || !Array.isArray(receipt.tags)) {
+      return res.status(400).json({ error: 'Zap receipt event is required' })
+    }
+
+    const result = await zapService.handleReceipt(receipt)
+    if (result.status === 'invalid') {
+      return res.status(400).json({ error: result.error })
+    }
+    if (result.status === 'unknown') {
+      return res.status(404).json({ error: 'No pending zap for this receipt' })
+    }
+
+    res.json({ success: true, status: result.status, zap: result.zap })
+  } catch (error) {
+    console.error('Error processing zap receipt:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Pay-per-view: verification sessions and the premium content they unlock.
+// The session id comes from a successful verification; pass it in the
+// X-Verification-Session header (or ?session= for image URLs).
+const sessionIdOf = (req) => req.get('X-Verification-Session') || req.query.session
+
+const handlePayPerViewError = (res, error, context) => {
+  if (error instanceof PayPerViewError || error instanceof ZapError) {
+    return res.status(error.status).json({ error: error.message })
+  }
+  console.error(`Error ${context}:`, error)
+  res.status(500).json({ error: error.message })
+}
+
+// Session state; unlocked once its payment's zap receipt has arrived
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    res.json(await payPerView.status(req.params.id))
+  } catch (error) {
+    handlePayPerViewError(res, error, 'getting session')
+  }
+})
+
+// Invoice that unlocks a session's premium content
+app.post('/api/sessions/:id/unlock', async (req, res) => {
+  try {
+    const { session, zap } = await payPerView.requestUnlock(req.params.id)
+    res.json({
+      success: true,
+      session,
+      zapId: zap.id,
+      invoice: zap.invoice,
+      amount: Math.floor(zap.amountMsats / 1000),
+      status: zap.status,
+      statusUrl: `/api/sessions/${session.id}`
+    })
+  } catch (error) {
+    handlePayPerViewError(res, error, 'requesting unlock')
+  }
+})
+
+// Premium content of an object, for a paid session
+app.get('/api/objects/:id/premium', async (req, res) => {
+  try {
+    const object = await store.getObject(req.params.id)
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+
+    const session = await payPerView.authorize(sessionIdOf(req), object)
+    const images = object.payPerView?.highResImages
+      ? (object.images || [])
+        .map((image, imageIndex) => ({ image, imageIndex }))
+        .filter(({ image }) => image.hasHighRes)
+        .map(({ imageIndex }) => ({
+          imageIndex,
+          url: `/api/objects/${object.id}/images/${imageIndex}/full?session=${session.id}`
+        }))
+      : []
+
+    res.json({
+      objectId: object.id,
+      content: await store.listPremiumContent(object.id),
+      images,
+      expiresAt: session.expiresAt
+    })
+  } catch (error) {
+    handlePayPerViewError(res, error, 'getting premium content')
+  }
+})
+
+// High-resolution image of an object, for a paid session
+app.get('/api/objects/:id/images/:index/full', async (req, res) => {
+  try {
+    const object = await store.getObject(req.params.id)
+    const imageIndex = parseInt(req.params.index)
+    if (!object || !object.images?.[imageIndex]?.hasHighRes || !object.payPerView?.highResImages) {
+      return res.status(404).json({ error: 'Image not found' })
+    }
+
+    await payPerView.authorize(sessionIdOf(req), object)
+
+    res.set('Content-Type', 'image/jpeg')
+    res.set('Cache-Control', 'private, no-store')
+    res.send(await fs.readFile(highResPath(object.id, imageIndex)))
+  } catch (error) {
+    handlePayPerViewError(res, error, 'serving high-resolution image')
+  }
+})
+
 // Add content to object
 app.post('/api/objects/:id/content', async (req, res) => {
   try {
     const { id } = req.params
-    const { content, contentType = 'text' } = req.body
+    const { contentType = 'text', premium = false, event: signedEvent } = req.body
+    // Content signed by its author (NIP-07 / NIP-46) comes as the event itself
+    const content = signedEvent ? signedEvent.content : req.body.content
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' })
     }
 
-    const object = objectDatabase.get(id)
+    const object = await store.getObject(id)
     if (!object) {
       return res.status(404).json({ error: 'Object not found' })
     }
 
+    // Premium content stays on this server (anything on the relays is
+    // public) and is only released to paid verification sessions. Only the
+    // object's creator, with a kind 1 reply they signed (which isn't
+    // published), or an admin can add it.
+    if (premium) {
+      if (!object.payPerView?.price) {
+        return res.status(400).json({ error: 'Object has no pay-per-view price' })
+      }
+      if (signedEvent) {
+        try {
+          verifyUserEvent(signedEvent, { kind: 1, pubkey: object.pubkey })
+        } catch (error) {
+          const message = error.status === 403 ? "Premium content must be signed by the object's creator" : error.message
+          return res.status(error.status).json({ error: message })
+        }
+        if (!signedEvent.tags.some(tag => tag[0] === 'e' && tag[1] === object.nostrEventId)) {
+          return res.status(400).json({ error: 'Event does not reply to the object event' })
+        }
+      } else if (!isAdmin(req)) {
+        return res.status(401).json({ error: "Premium content needs an event signed by the object's creator or an admin token" })
+      }
+
+      const item = await store.addPremiumContent(id, {
+        id: randomBytes(16).toString('hex'),
+        content,
+        contentType,
+        createdAt: Date.now()
+      })
+      return res.json({
+        success: true,
+        premiumContent: item
+      })
+    }
+
+    // A kind 1 reply to the object event, published as signed
+    if (signedEvent) {
+      try {
+        verifyUserEvent(signedEvent, { kind: 1 })
+      } catch (error) {
+        return res.status(error.status).json({ error: error.message })
+      }
+      if (!signedEvent.tags.some(tag => tag[0] === 'e' && tag[1] === object.nostrEventId)) {
+        return res.status(400).json({ error: 'Event does not reply to the object event' })
+      }
+
+      const relays = await outbox.publish(signedEvent)
+      return res.json({
+        success: true,
+        contentEvent: signedEvent,
+        relays
+      })
+    }
+
     // Add content as Nostr event
-    const contentEvent = await nostrClient.addObjectContent(object.nostrEventId, content, contentType)
+    const contentEvent = nostrClient.signObjectContent(object.nostrEventId, content, contentType)
+    const relays = await outbox.publish(contentEvent)
 
     res.json({
       success: true,
-      contentEvent
+      contentEvent,
+      relays
     })
 
   } catch (error) {
@@ -499,7 +1158,7 @@ app.post('/api/objects/:id/content', async (req, res) => {
 app.get('/api/objects/:id/thread', async (req, res) => {
   try {
     const { id } = req.params
-    const object = objectDatabase.get(id)
+    const object = await store.getObject(id)
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' })
@@ -509,7 +1168,9 @@ app.get('/api/objects/:id/thread', async (req, res) => {
 
     res.json({
       object,
-      thread
+      thread,
+      // What verifying and paying unlocks
+      payPerView: await payPerView.offer(object)
     })
 
   } catch (error) {
@@ -518,10 +1179,54 @@ app.get('/api/objects/:id/thread', async (req, res) => {
   }
 })
 
+// Provenance chain of an object: the mint and every ownership transfer,
+// rebuilt from the transfers on record and on the relays and checked link by link
+app.get('/api/objects/:id/provenance', async (req, res) => {
+  try {
+    const object = await store.getObject(req.params.id)
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+
+    let relayTransfers = []
+    try {
+      relayTransfers = await nostrClient.getOwnershipTransfers([object.id], 3000)
+    } catch (relayError) {
+      console.warn('Could not fetch transfers from relays:', relayError.message)
+    }
+
+    const { owner, chain, events, verified, issues } = buildProvenanceChain(
+      object,
+      [...(object.transfers || []), ...relayTransfers],
+      nostrClient.publicKey
+    )
+
+    res.json({
+      objectId: object.id,
+      owner,
+      // The chain is authoritative; a mismatch means the record is out of date
+      ownerOnRecord: object.ownerPubkey || null,
+      // Who may sign the next transfer, and the event it must follow
+      holder: owner || object.pubkey || nostrClient.publicKey,
+      head: events.length > 0 ? events[events.length - 1].id : object.nostrEventId,
+      chain,
+      verified,
+      issues
+    })
+  } catch (error) {
+    console.error('Error getting provenance:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // Serve images
 app.get('/api/images/:filename', async (req, res) => {
   try {
     const { filename } = req.params
+    // Only files directly in uploads/ (premium originals live below it)
+    if (filename !== path.basename(filename)) {
+      return res.status(404).json({ error: 'Image not found' })
+    }
     const imagePath = path.join(uploadsDir, filename)
     
     const imageBuffer = await fs.readFile(imagePath)
@@ -538,16 +1243,71 @@ app.get('/api/images/:filename', async (req, res) => {
   }
 })
 
-// Serve certificates
+// Verify a scanned certificate ({ certificate }: the QR code's JSON, as a
+// string or parsed, or the certificate itself as the body)
+app.post('/api/certificates/verify', async (req, res) => {
+  try {
+    const scanned = req.body?.certificate ?? req.body
+    if (!scanned || (typeof scanned === 'object' && Object.keys(scanned).length === 0)) {
+      return res.status(400).json({ error: 'Certificate data is required' })
+    }
+
+    const { object, ...verdict } = await certificateVerifier.verify(scanned)
+    if (object && verdict.valid) {
+      await store.updateObject(object.id, { views: (object.views || 0) + 1 })
+    }
+
+    res.json({
+      ...verdict,
+      object: object ? {
+        id: object.id,
+        name: object.name,
+        artist: object.artist,
+        type: object.type,
+        naddr: object.naddr,
+        imageUrl: object.imagePath ? `/api/images/${path.basename(object.imagePath)}` : null,
+        thumbnailUrl: object.thumbnailPath ? `/api/images/${path.basename(object.thumbnailPath)}` : null
+      } : null
+    })
+  } catch (error) {
+    console.error('Error verifying certificate:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Serve certificates (?format=json for the signed payload). Objects minted
+// by this server before certificates were signed get a signed one here.
 app.get('/api/certificates/:id', async (req, res) => {
   try {
-    const { id } = req.params
-    const certificatePath = path.join(uploadsDir, `${id}_cert.png`)
-    
+    const object = await store.getObject(req.params.id)
+    if (!object) {
+      return res.status(404).json({ error: 'Certificate not found' })
+    }
+    const certificatePath = path.join(uploadsDir, `${object.id}_cert.png`)
+
+    let payload = object.certificate
+    const mintedHere = !object.pubkey || object.pubkey === nostrClient.publicKey
+    if (!payload && mintedHere && object.naddr?.startsWith('naddr1')) {
+      const certificate = await qrGenerator.generateSecureCertificate({
+        id: object.id,
+        naddr: object.naddr,
+        hash: object.imageHash
+      }, nostrClient.privateKey)
+      await fs.writeFile(certificatePath, certificate.qrCode)
+      await store.updateObject(object.id, { certificate: certificate.data, certificatePath })
+      payload = certificate.data
+    }
+
+    if (req.query.format === 'json') {
+      return payload
+        ? res.json(payload)
+        : res.status(404).json({ error: 'Object has no signed certificate' })
+    }
+
     const certificateBuffer = await fs.readFile(certificatePath)
     
     res.set('Content-Type', 'image/png')
-    res.set('Content-Disposition', `attachment; filename="${id}_certificate.png"`)
+    res.set('Content-Disposition', `attachment; filename="${object.id}_certificate.png"`)
     res.send(certificateBuffer)
   } catch (error) {
     res.status(404).json({ error: 'Certificate not found' })
@@ -555,19 +1315,29 @@ app.get('/api/certificates/:id', async (req, res) => {
 })
 
 // List all objects
-app.get('/api/objects', (req, res) => {
-  const objects = Array.from(objectDatabase.values())
-  res.json(objects)
+app.get('/api/objects', async (req, res) => {
+  try {
+    const objects = await store.listObjects()
+    res.json(objects)
+  } catch (error) {
+    console.error('Error listing objects:', error)
+    res.status(500).json({ error: error.message })
+  }
 })
 
 // Physical verification endpoints
 
-// Verify by physical ID (QR scan or manual entry)
+// Verify by physical ID (QR scan or manual entry). Scanned QR data may also
+// be an object certificate, which points at the object directly.
 app.post('/api/verify-physical', async (req, res) => {
   try {
     const { physicalId, qrData } = req.body
 
     let targetPhysicalId = physicalId
+    let objectId = null
+    let verificationMethod = 'physical_id'
+    let certificate = null
+    let address = null
 
     // If QR data provided, parse it
     if (qrData) {
@@ -576,14 +1346,45 @@ app.post('/api/verify-physical', async (req, res) => {
         return res.status(400).json({ error: parsed.error })
       }
       targetPhysicalId = parsed.physicalId
+
+      if (!targetPhysicalId && parsed.objectId) {
+        // Certificates only count as a scan once every check passed. Ones
+        // that can't be fully checked (unsigned, unknown object) are
+        // reported as unverified, without a verification session.
+        if (parsed.certificate) {
+          const { object: _object, ...verdict } = await certificateVerifier.verify(parsed.certificate)
+          if (verdict.verdict === 'invalid') {
+            return res.status(400).json({
+              verified: false,
+              error: 'Certificate is not authentic',
+              certificate: verdict
+            })
+          }
+          if (verdict.verdict !== 'authentic') {
+            return res.json({
+              verified: false,
+              status: 'unverified',
+              error: 'Certificate could not be verified',
+              objectId: parsed.objectId,
+              certificate: verdict
+            })
+          }
+          certificate = verdict
+        }
+        objectId = parsed.objectId
+        address = parsed.address || null
+        verificationMethod = 'certificate'
+      }
     }
 
-    if (!targetPhysicalId) {
+    if (!targetPhysicalId && !objectId) {
       return res.status(400).json({ error: 'Physical ID or QR data required' })
     }
 
     // Find object by physical ID
-    const objectId = physicalIdDatabase.get(targetPhysicalId)
+    if (!objectId) {
+      objectId = await store.findObjectIdByPhysicalId(targetPhysicalId)
+    }
     if (!objectId) {
       return res.status(404).json({ 
         verified: false, 
@@ -592,17 +1393,28 @@ app.post('/api/verify-physical', async (req, res) => {
       })
     }
 
-    const object = objectDatabase.get(objectId)
-    if (!object) {
+    const storedObject = await store.getObject(objectId)
+    if (!storedObject) {
       return res.status(404).json({ 
         verified: false, 
         error: 'Object not found' 
       })
     }
 
+    // A nostr: address must be the object's own identity event address, not
+    // just any event with the object's d tag
+    if (address) {
+      const objectPubkey = nostrClient.objectAddress(storedObject)?.split(':')[1]
+      if (address.pubkey !== objectPubkey || !nostrClient.objectKinds.includes(address.kind)) {
+        return res.status(400).json({
+          verified: false,
+          error: "Address is not the object's identity event"
+        })
+      }
+    }
+
     // Increment view count
-    object.views += 1
-    objectDatabase.set(objectId, object)
+    const object = await store.updateObject(objectId, { views: storedObject.views + 1 })
 
     res.json({
       verified: true,
@@ -618,8 +1430,10 @@ app.post('/api/verify-physical', async (req, res) => {
         imageUrl: object.imagePath ? `/api/images/${path.basename(object.imagePath)}` : null,
         thumbnailUrl: object.thumbnailPath ? `/api/images/${path.basename(object.thumbnailPath)}` : null
       },
-      physicalId: targetPhysicalId,
-      verificationMethod: 'physical_id',
+      physicalId: targetPhysicalId || object.physicalId || null,
+      verificationMethod,
+      certificate,
+      session: await payPerView.startSession(object, verificationMethod),
       timestamp: Date.now()
     })
 
@@ -633,7 +1447,7 @@ app.post('/api/verify-physical', async (req, res) => {
 app.get('/api/physical-certificates/:id', async (req, res) => {
   try {
     const { id } = req.params
-    const object = objectDatabase.get(id)
+    const object = await store.getObject(id)
 
     if (!object || !object.physicalCertPath) {
       return res.status(404).json({ error: 'Physical certificate not found' })
@@ -649,12 +1463,38 @@ app.get('/api/physical-certificates/:id', async (req, res) => {
   }
 })
 
+// Certificate templates and the object types using them
+app.get('/api/certificate-templates', (req, res) => {
+  res.json(certificateTemplates.toJSON())
+})
+
+// Physical certificate of a sample object in a template, to check branding
+app.get('/api/certificate-templates/:name/preview', async (req, res) => {
+  try {
+    if (!certificateTemplates.has(req.params.name)) {
+      return res.status(404).json({ error: 'Certificate template not found' })
+    }
+
+    const sample = { name: 'Sample Object', artist: 'Sample Artist', type: 'painting' }
+    const physicalId = 'sample-0000-preview'
+    const qrCode = await physicalIdentifier.generatePhysicalQR(physicalId)
+    const certificate = await physicalIdentifier.generatePhysicalCertificate(
+      sample, physicalId, qrCode.qrCodeDataURL, certificateTemplates.get(req.params.name)
+    )
+    res.set('Content-Type', 'image/png')
+    res.send(certificate)
+  } catch (error) {
+    console.error('Error previewing certificate template:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // Verify by physical ID via URL (for QR codes)
 app.get('/api/verify-physical/:physicalId', async (req, res) => {
   try {
     const { physicalId } = req.params
     
-    const objectId = physicalIdDatabase.get(physicalId)
+    const objectId = await store.findObjectIdByPhysicalId(physicalId)
     if (!objectId) {
       return res.status(404).json({ 
         verified: false, 
@@ -663,8 +1503,8 @@ app.get('/api/verify-physical/:physicalId', async (req, res) => {
       })
     }
 
-    const object = objectDatabase.get(objectId)
-    if (!object) {
+    const storedObject = await store.getObject(objectId)
+    if (!storedObject) {
       return res.status(404).json({ 
         verified: false, 
         error: 'Object not found' 
@@ -672,8 +1512,7 @@ app.get('/api/verify-physical/:physicalId', async (req, res) => {
     }
 
     // Increment view count
-    object.views += 1
-    objectDatabase.set(objectId, object)
+    const object = await store.updateObject(objectId, { views: storedObject.views + 1 })
 
     res.json({
       verified: true,
@@ -691,6 +1530,7 @@ app.get('/api/verify-physical/:physicalId', async (req, res) => {
       },
       physicalId,
       verificationMethod: 'physical_id_url',
+      session: await payPerView.startSession(object, 'physical_id_url'),
       timestamp: Date.now()
     })
 
@@ -701,20 +1541,267 @@ app.get('/api/verify-physical/:physicalId', async (req, res) => {
 })
 
 // Debug endpoint to check stored hashes
-app.get('/api/debug/hashes', (req, res) => {
-  const hashes = Array.from(hashDatabase.entries()).map(([hash, objectId]) => ({
+app.get('/api/debug/hashes', async (req, res) => {
+  const hashes = (await store.getHashEntries()).map(([hash, objectId]) => ({
     hash: hash.substring(0, 16) + '...',
     fullHash: hash,
+    algorithm: store.getHashAlgorithm(hash),
     objectId
   }))
   
-  const physicalIds = Array.from(physicalIdDatabase.entries()).map(([physicalId, objectId]) => ({
+  const variantCount = (await store.getHashVariantEntries()).length - hashes.length
+  
+  const physicalIds = (await store.getPhysicalIdEntries()).map(([physicalId, objectId]) => ({
     physicalId: physicalId.length > 20 ? physicalId.substring(0, 20) + '...' : physicalId,
     fullPhysicalId: physicalId,
     objectId
   }))
   
-  res.json({ hashes, physicalIds })
+  res.json({ hashes, variantCount, physicalIds, hashProfiles })
+})
+
+// Admin endpoints need the ADMIN_TOKEN bearer token; without ADMIN_TOKEN
+// they are disabled
+const isAdmin = (req) => {
+  const adminToken = process.env.ADMIN_TOKEN
+  if (!adminToken) {
+    return false
+  }
+  const expected = Buffer.from(`Bearer ${adminToken}`)
+  const given = Buffer.from(req.get('Authorization') || '')
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)' })
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+  next()
+}
+
+// Rebuild the local object index from our own events on the relays
+app.post('/api/admin/resync', requireAdmin, async (req, res) => {
+  try {
+    const result = await relaySync.resync()
+    res.json({ success: true, ...result })
+  } catch (error) {
+    console.error('Error resyncing from relays:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Relay connection state and the events waiting to be republished
+app.get('/api/relays', async (req, res) => {
+  try {
+    res.json({
+      relays: nostrClient.listRelayStatus(),
+      outbox: await outbox.list()
+    })
+  } catch (error) {
+    console.error('Error getting relay status:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Retry every queued event now instead of waiting for its next attempt
+app.post('/api/admin/outbox/flush', requireAdmin, async (req, res) => {
+  try {
+    const result = await outbox.flush({ force: true })
+    res.json({ success: true, ...result })
+  } catch (error) {
+    console.error('Error flushing outbox:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Republish objects still on the legacy identity kind (30000) under the
+// configured kind ({ dryRun: true } only lists them)
+app.post('/api/admin/migrate-kind', requireAdmin, async (req, res) => {
+  try {
+    const result = await relaySync.migrateObjectKind({ dryRun: Boolean(req.body?.dryRun) })
+    res.json({ success: true, ...result })
+  } catch (error) {
+    console.error('Error migrating object kind:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Set an object's revenue split ({ split: { artist, object, platform, owner } }
+// in percent), or go back to the default with { split: null }. Applies to
+// payments settled from now on; the ledger keeps the split of each payment.
+app.put('/api/objects/:id/revenue-split', requireAdmin, async (req, res) => {
+  try {
+    let split = null
+    if (req.body.split) {
+      try {
+        split = normalizeSplit(req.body.split)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+    }
+
+    const object = await store.updateObject(req.params.id, { revenueSplit: split })
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+
+    res.json({ success: true, split: effectiveSplit(object, revenueSplit), customSplit: Boolean(split) })
+  } catch (error) {
+    console.error('Error updating revenue split:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Set (or with a null price, remove) an object's pay-per-view price. High-
+// resolution images can only be gated at creation, when the originals are kept.
+app.put('/api/objects/:id/pay-per-view', requireAdmin, async (req, res) => {
+  try {
+    let price
+    try {
+      price = parsePrice(req.body.price)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const existing = await store.getObject(req.params.id)
+    if (!existing) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+    if (price && !existing.lud16) {
+      return res.status(400).json({ error: 'A lightning address is required for pay-per-view' })
+    }
+
+    const highResImages = (existing.images || []).some(image => image.hasHighRes)
+    const object = await store.updateObject(existing.id, {
+      payPerView: price ? { price, highResImages } : null
+    })
+    res.json({ success: true, payPerView: object.payPerView, offer: await payPerView.offer(object) })
+  } catch (error) {
+    console.error('Error updating pay-per-view:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Record a sale, gift or other transfer of an object to a new owner. The
+// object's holder (its owner, or its creator while it has none) signs the
+// transfer event themselves ({ event }, NIP-07 / NIP-46), or an admin records
+// it ({ newOwner: hex or npub, type, price, note }) and the server signs it;
+// the server only signs for objects nobody owns yet, as the provenance chain
+// ignores its transfers after that. Either way the transfer must continue
+// the object's provenance chain.
+app.post('/api/objects/:id/transfer', async (req, res) => {
+  try {
+    const signedEvent = req.body.event
+    if (!signedEvent) {
+      if (!process.env.ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Server-signed transfers are disabled (ADMIN_TOKEN is not set)' })
+      }
+      if (!isAdmin(req)) {
+        return res.status(401).json({ error: 'Unauthorized' })
+      }
+    }
+
+    const object = await store.getObject(req.params.id)
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' })
+    }
+
+    const transfers = object.transfers || []
+    const previousEventId = transfers.length > 0 ? transfers[transfers.length - 1].id : object.nostrEventId
+    const previousOwner = object.ownerPubkey || null
+
+    let transfer
+    if (signedEvent) {
+      const holder = previousOwner || object.pubkey || nostrClient.publicKey
+      try {
+        verifyUserEvent(signedEvent, { kind: OWNERSHIP_TRANSFER_KIND, pubkey: holder })
+      } catch (error) {
+        const message = error.status === 403 ? 'Transfers must be signed by the current holder' : error.message
+        return res.status(error.status).json({ error: message })
+      }
+
+      const link = transferToLink(signedEvent)
+      if (signedEvent.tags.find(tag => tag[0] === 'd')?.[1] !== object.id) {
+        return res.status(400).json({ error: 'Transfer is for another object' })
+      }
+      if (link.previousEventId !== previousEventId) {
+        return res.status(409).json({ error: 'Transfer does not continue the provenance chain', head: previousEventId })
+      }
+      if (link.from !== previousOwner) {
+        return res.status(400).json({ error: 'Transfer must name the current owner as previous owner' })
+      }
+      if (!TRANSFER_TYPES.includes(link.type)) {
+        return res.status(400).json({ error: `Transfer type must be one of: ${TRANSFER_TYPES.join(', ')}` })
+      }
+      if (!/^[0-9a-f]{64}$/.test(link.to || '')) {
+        return res.status(400).json({ error: 'Transfer must name the new owner' })
+      }
+      transfer = signedEvent
+    } else {
+      if (previousOwner) {
+        return res.status(403).json({ error: 'This object has an owner; only a transfer they sign can pass it on' })
+      }
+
+      const { type = 'transfer', note = '' } = req.body
+      if (!TRANSFER_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Transfer type must be one of: ${TRANSFER_TYPES.join(', ')}` })
+      }
+
+      let newOwner
+      try {
+        newOwner = parsePubkey(req.body.newOwner)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+      // Sale price in sats, for the record (the sale itself is settled elsewhere)
+      const price = req.body.price ?? null
+      if (price !== null && (!Number.isInteger(price) || price < 0)) {
+        return res.status(400).json({ error: 'Price must be a whole number of sats' })
+      }
+
+      transfer = nostrClient.createOwnershipTransfer({
+        object,
+        newOwner,
+        previousOwner,
+        previousEventId,
+        type,
+        note,
+        price
+      })
+    }
+
+    const { type, to: newOwner } = transferToLink(transfer)
+    if (newOwner === previousOwner) {
+      return res.status(400).json({ error: 'The object already belongs to this owner' })
+    }
+
+    try {
+      await store.recordTransfer(object.id, { previousEventId, ownerPubkey: newOwner, transfer })
+    } catch (storeError) {
+      if (storeError instanceof StorageConflictError) {
+        return res.status(409).json({ error: storeError.message })
+      }
+      throw storeError
+    }
+
+    // Recorded locally first; relays that miss it get it from the outbox
+    const relays = await outbox.publish(transfer)
+    console.log(`Object ${object.id} transferred (${type}) to ${newOwner}`)
+
+    res.json({
+      success: true,
+      owner: newOwner,
+      transfer: transferToLink(transfer),
+      event: transfer,
+      relays
+    })
+  } catch (error) {
+    console.error('Error transferring object:', error)
+    res.status(500).json({ error: error.message })
+  }
 })
 
 // Serve React app for all other routes
@@ -732,4 +1819,16 @@ app.use((error, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`)
   console.log(`Nostr public key: ${nostrClient.publicKey}`)
+  console.log(`Nostr relays: ${nostrClient.relays.join(', ')}`)
+
+  // Credit zaps as their receipts are published
+  zapService.start()
+  outbox.start()
+
+  // Hydrate the object index from relays in the background
+  if (process.env.SYNC_ON_STARTUP !== 'false') {
+    relaySync.resync().catch(error => {
+      console.warn('Startup resync from relays failed:', error.message)
+    })
+  }
 })
\ No newline at end of file
@@ -3,14 +3,25 @@ import CreateObject from './components/CreateObject'
 import VerifyObject from './components/VerifyObject'
 import ObjectList from './components/ObjectList'
 import ObjectDetails from './components/ObjectDetails'
+import SignerPanel from './components/SignerPanel'
+
+// QR codes on stickers and certificates open /v/<physicalId> and
+// /c/<naddr>?s=...&t=... URLs, which are verified on the Verify tab
+const openedScan = /^\/[vc]\//.test(window.location.pathname) ? window.location.href : null
 
 function App() {
-  const [activeTab, setActiveTab] = useState('create')
+  const [activeTab, setActiveTab] = useState(openedScan ? 'verify' : 'create')
+  const [scannedCode, setScannedCode] = useState(openedScan)
   const [selectedObject, setSelectedObject] = useState(null)
   const [objects, setObjects] = useState([])
+  const [signer, setSigner] = useState(null) // user's own key (NIP-07 / NIP-46), if connected
 
   useEffect(() => {
     fetchObjects()
+    // Verified once: don't verify again on reload
+    if (openedScan) {
+      window.history.replaceState(null, '', '/')
+    }
   }, [])
 
   const fetchObjects = async () => {
@@ -48,6 +59,8 @@ function App() {
         </div>
         
         <div className="card">
+          <SignerPanel signer={signer} onChange={setSigner} />
+
           <button 
             className="btn btn-secondary"
             onClick={() => {
@@ -62,6 +75,7 @@ function App() {
           <ObjectDetails 
             object={selectedObject} 
             onUpdate={fetchObjects}
+            signer={signer}
           />
         </div>
       </div>
@@ -76,12 +90,17 @@ function App() {
       </div>
 
       <div className="card">
+        <SignerPanel signer={signer} onChange={setSigner} />
+
         <div className="tabs">
           {tabs.map(tab => (
             <button
               key={tab.id}
               className={`tab ${activeTab === tab.id ? 'active' : ''}`}
-              onClick={() => setActiveTab(tab.id)}
+              onClick={() => {
+                setActiveTab(tab.id)
+                setScannedCode(null)
+              }}
             >
               <span>{tab.icon}</span>
               {tab.label}
@@ -90,11 +109,11 @@ function App() {
         </div>
 
         {activeTab === 'create' && (
-          <CreateObject onObjectCreated={handleObjectCreated} />
+          <CreateObject onObjectCreated={handleObjectCreated} signer={signer} />
         )}
 
         {activeTab === 'verify' && (
-          <VerifyObject />
+          <VerifyObject scannedCode={scannedCode} />
         )}
 
         {activeTab === 'list' && (
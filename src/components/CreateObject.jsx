@@ -1,15 +1,27 @@
 import React, { useState, useRef } from 'react'
 
-function CreateObject({ onObjectCreated }) {
+// Images per object; the first one is the object's main image
+const MAX_IMAGES = 8
+// Formats browsers can show as a preview (HEIC and TIFF usually can't)
+const PREVIEWABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif']
+// Formats some browsers report without an image/* mimetype
+const IMAGE_EXTENSIONS = ['.heic', '.heif', '.avif', '.tif', '.tiff']
+
+const isImageFile = (file) =>
+  file.type.startsWith('image/') || IMAGE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))
+
+function CreateObject({ onObjectCreated, signer }) {
   const [formData, setFormData] = useState({
     name: '',
     artist: '',
     type: 'poster',
     description: '',
-    customPhysicalId: ''
+    customPhysicalId: '',
+    lud16: '',
+    payPerViewPrice: '',
+    payPerViewHighRes: false
   })
-  const [selectedFile, setSelectedFile] = useState(null)
-  const [preview, setPreview] = useState(null)
+  const [selectedFiles, setSelectedFiles] = useState([]) // [{ file, preview }]
   const [loading, setLoading] = useState(false)
   const [result, setResult] = useState(null)
   const [error, setError] = useState(null)
@@ -18,33 +30,47 @@ function CreateObject({ onObjectCreated }) {
   const fileInputRef = useRef(null)
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target
+    const { name, value, type, checked } = e.target
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }))
   }
 
-  const handleFileSelect = (file) => {
-    if (file && file.type.startsWith('image/')) {
-      setSelectedFile(file)
-      
+  const handleFilesSelect = (fileList) => {
+    const files = Array.from(fileList)
+    if (files.length === 0) return
+
+    if (!files.every(isImageFile)) {
+      setError('Please select valid image files (JPEG, PNG, WebP, HEIC, AVIF or TIFF)')
+      return
+    }
+
+    const added = files.slice(0, MAX_IMAGES - selectedFiles.length)
+    if (added.length < files.length) {
+      setError(`An object can have at most ${MAX_IMAGES} images`)
+    } else {
+      setError(null)
+    }
+
+    setSelectedFiles(prev => [...prev, ...added.map(file => ({ file, preview: null }))])
+    for (const file of added.filter(file => PREVIEWABLE_TYPES.includes(file.type))) {
       const reader = new FileReader()
       reader.onload = (e) => {
-        setPreview(e.target.result)
+        setSelectedFiles(prev => prev.map(item => item.file === file ? { ...item, preview: e.target.result } : item))
       }
       reader.readAsDataURL(file)
-      setError(null)
-    } else {
-      setError('Please select a valid image file (JPEG, PNG, or WebP)')
     }
   }
 
   const handleFileChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      handleFileSelect(file)
-    }
+    handleFilesSelect(e.target.files)
+    // Allow selecting the same file again after removing it
+    e.target.value = ''
+  }
+
+  const removeFile = (index) => {
+    setSelectedFiles(prev => prev.filter((item, i) => i !== index))
   }
 
   const handleDragOver = (e) => {
@@ -61,16 +87,13 @@ function CreateObject({ onObjectCreated }) {
     e.preventDefault()
     setDragOver(false)
     
-    const file = e.dataTransfer.files[0]
-    if (file) {
-      handleFileSelect(file)
-    }
+    handleFilesSelect(e.dataTransfer.files)
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       setError('Please select an image file')
       return
     }
@@ -86,7 +109,9 @@ function CreateObject({ onObjectCreated }) {
 
     try {
       const formDataToSend = new FormData()
-      formDataToSend.append('image', selectedFile)
+      for (const { file } of selectedFiles) {
+        formDataToSend.append('images', file)
+      }
       formDataToSend.append('name', formData.name)
       formDataToSend.append('artist', formData.artist)
       formDataToSend.append('type', formData.type)
@@ -94,16 +119,42 @@ function CreateObject({ onObjectCreated }) {
       if (formData.customPhysicalId.trim()) {
         formDataToSend.append('customPhysicalId', formData.customPhysicalId.trim())
       }
+      if (formData.lud16.trim()) {
+        formDataToSend.append('lud16', formData.lud16.trim())
+      }
+      // With a connected signer the identity event is signed by the creator's key
+      if (signer) {
+        formDataToSend.append('signerPubkey', signer.pubkey)
+      }
+      if (formData.lud16.trim() && formData.payPerViewPrice) {
+        formDataToSend.append('payPerViewPrice', formData.payPerViewPrice)
+        formDataToSend.append('payPerViewHighRes', formData.payPerViewHighRes ? 'true' : 'false')
+      }
 
-      const response = await fetch('/api/objects', {
+      let response = await fetch('/api/objects', {
         method: 'POST',
         body: formDataToSend
       })
 
-      const data = await response.json()
+      let data = await response.json()
+
+      // The server returns the unsigned identity event and certificate; sign
+      // them and send them back
+      if (response.status === 202) {
+        const signedEvent = await signer.signEvent(data.event)
+        const signedCertificate = await signer.signEvent(data.certificate)
+        response = await fetch(data.signUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ event: signedEvent, certificate: signedCertificate })
+        })
+        data = await response.json()
+      }
 
       if (!response.ok) {
-        if (response.status === 409) {
+        if (response.status === 409 && data.similarObjects) {
           setError(`Similar object already exists! Found ${data.similarObjects.length} similar object(s).`)
           setResult({ type: 'duplicate', data })
         } else {
@@ -120,10 +171,13 @@ function CreateObject({ onObjectCreated }) {
         name: '',
         artist: '',
         type: 'poster',
-        description: ''
+        description: '',
+        customPhysicalId: '',
+        lud16: '',
+        payPerViewPrice: '',
+        payPerViewHighRes: false
       })
-      setSelectedFile(null)
-      setPreview(null)
+      setSelectedFiles([])
 
     } catch (error) {
       console.error('Error creating object:', error)
@@ -163,6 +217,9 @@ function CreateObject({ onObjectCreated }) {
             <div key={index} style={{ marginTop: '10px', padding: '10px', background: 'rgba(0,0,0,0.1)', borderRadius: '4px' }}>
               <strong>Object ID:</strong> {similar.objectId}<br />
               <strong>Similarity Distance:</strong> {similar.distance}
+              {selectedFiles.length > 1 && (
+                <><br /><strong>Matched Image:</strong> #{similar.imageIndex + 1}</>
+              )}
             </div>
           ))}
         </div>
@@ -173,6 +230,13 @@ function CreateObject({ onObjectCreated }) {
           <h4>✅ Object Identity Created Successfully!</h4>
           <p><strong>Object ID:</strong> {result.data.object.id}</p>
           <p><strong>Nostr Address:</strong> {result.data.naddr}</p>
+          {result.data.relays && (
+            <p>
+              <strong>Relays:</strong> published to {result.data.relays.accepted.length} of{' '}
+              {result.data.relays.accepted.length + result.data.relays.rejected.length}
+              {result.data.relays.queued.length > 0 && ` (retrying ${result.data.relays.queued.length} later)`}
+            </p>
+          )}
           
           {/* Physical Verification Information */}
           {result.data.physicalVerification && (
@@ -224,7 +288,7 @@ function CreateObject({ onObjectCreated }) {
 
       <form onSubmit={handleSubmit}>
         <div className="form-group">
-          <label>Object Image *</label>
+          <label>Object Images *</label>
           <div 
             className={`file-upload ${dragOver ? 'dragover' : ''}`}
             onDragOver={handleDragOver}
@@ -232,27 +296,62 @@ function CreateObject({ onObjectCreated }) {
             onDrop={handleDrop}
             onClick={() => fileInputRef.current?.click()}
           >
-            {preview ? (
+            {selectedFiles.length > 0 ? (
               <div>
-                <img 
-                  src={preview} 
-                  alt="Preview" 
-                  style={{ maxWidth: '200px', maxHeight: '200px', borderRadius: '8px' }}
-                />
-                <p style={{ marginTop: '10px' }}>Click to change image</p>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'center' }}>
+                  {selectedFiles.map(({ file, preview }, index) => (
+                    <div key={`${file.name}-${index}`} style={{ position: 'relative' }}>
+                      {preview ? (
+                        <img 
+                          src={preview} 
+                          alt={file.name} 
+                          style={{ width: '120px', height: '120px', objectFit: 'cover', borderRadius: '8px' }}
+                        />
+                      ) : (
+                        <div style={{ width: '120px', height: '120px', borderRadius: '8px', background: '#eee', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '8px', fontSize: '0.8rem', wordBreak: 'break-all' }}>
+                          🖼️ {file.name}
+                        </div>
+                      )}
+                      {index === 0 && (
+                        <span style={{ position: 'absolute', bottom: '4px', left: '4px', background: 'rgba(0,0,0,0.6)', color: 'white', fontSize: '0.7rem', padding: '2px 6px', borderRadius: '4px' }}>
+                          Main
+                        </span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          removeFile(index)
+                        }}
+                        title="Remove image"
+                        style={{ position: 'absolute', top: '4px', right: '4px', border: 'none', borderRadius: '50%', width: '24px', height: '24px', cursor: 'pointer', background: 'rgba(0,0,0,0.6)', color: 'white' }}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <p style={{ marginTop: '10px' }}>
+                  {selectedFiles.length < MAX_IMAGES
+                    ? `Click or drop to add more views of the object (${selectedFiles.length}/${MAX_IMAGES})`
+                    : `Maximum of ${MAX_IMAGES} images reached`}
+                </p>
               </div>
             ) : (
               <div>
                 <div style={{ fontSize: '3rem', marginBottom: '10px' }}>📷</div>
-                <p>Drag and drop an image here, or click to select</p>
-                <p style={{ fontSize: '0.9rem', color: '#666' }}>Supports JPEG, PNG, and WebP</p>
+                <p>Drag and drop images here, or click to select</p>
+                <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                  Up to {MAX_IMAGES} views of the object. Supports JPEG, PNG, WebP, HEIC, AVIF and TIFF
+                </p>
               </div>
             )}
           </div>
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept={`image/*,${IMAGE_EXTENSIONS.join(',')}`}
+            multiple
             onChange={handleFileChange}
             style={{ display: 'none' }}
           />
@@ -286,6 +385,51 @@ function CreateObject({ onObjectCreated }) {
           </div>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="lud16">Artist Lightning Address (Optional)</label>
+          <input
+            type="text"
+            id="lud16"
+            name="lud16"
+            value={formData.lud16}
+            onChange={handleInputChange}
+            placeholder="artist@getalby.com"
+          />
+          <small style={{ color: '#888', fontSize: '0.85em', marginTop: '4px', display: 'block' }}>
+            ⚡ Zaps to this object are paid to this address. It must support Nostr zaps (NIP-57).
+          </small>
+        </div>
+
+        {formData.lud16.trim() && (
+          <div className="form-group">
+            <label htmlFor="payPerViewPrice">Pay-per-View Price in sats (Optional)</label>
+            <input
+              type="number"
+              id="payPerViewPrice"
+              name="payPerViewPrice"
+              value={formData.payPerViewPrice}
+              onChange={handleInputChange}
+              min="1"
+              step="1"
+              placeholder="e.g., 100"
+            />
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginTop: '8px', fontWeight: 'normal' }}>
+              <input
+                type="checkbox"
+                name="payPerViewHighRes"
+                checked={formData.payPerViewHighRes}
+                onChange={handleInputChange}
+                disabled={!formData.payPerViewPrice}
+                style={{ marginRight: '8px', width: 'auto' }}
+              />
+              Gate the high-resolution images
+            </label>
+            <small style={{ color: '#888', fontSize: '0.85em', marginTop: '4px', display: 'block' }}>
+              🔒 Verifiers pay this to unlock premium story posts (and full-size images) after verifying the object.
+            </small>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="type">Object Type</label>
           <select
@@ -354,7 +498,7 @@ function CreateObject({ onObjectCreated }) {
           {loading ? (
             <div className="loading">
               <div className="spinner"></div>
-              Creating Identity...
+              {signer ? 'Creating and Signing Identity...' : 'Creating Identity...'}
             </div>
           ) : (
             <>
@@ -1,26 +1,115 @@
 import React, { useState, useEffect } from 'react'
+import QRCode from 'qrcode'
+import { npubEncode, decode } from 'nostr-tools/nip19'
+
+const PROVENANCE_LABELS = {
+  mint: '🎨 Minted',
+  sale: '💰 Sold',
+  gift: '🎁 Gifted',
+  transfer: '🔁 Transferred'
+}
+
+// Shortened npub of a hex pubkey
+const shortNpub = (pubkey) => {
+  const npub = npubEncode(pubkey)
+  return `${npub.slice(0, 12)}…${npub.slice(-6)}`
+}
+
+// Which relays took a published event, from the API's relay report
+const relaySummary = ({ accepted, rejected, queued }) => {
+  const summary = `Published to ${accepted.length} of ${accepted.length + rejected.length} relays.`
+  return queued.length > 0 ? `${summary} Retrying ${queued.length} later.` : summary
+}
 
-function ObjectDetails({ object, onUpdate }) {
+function ObjectDetails({ object, onUpdate, signer }) {
   const [activeTab, setActiveTab] = useState('details')
   const [thread, setThread] = useState([])
   const [newContent, setNewContent] = useState('')
+  const [premiumContent, setPremiumContent] = useState(false)
+  const [payPerView, setPayPerView] = useState(null) // what verifying and paying unlocks
   const [zapAmount, setZapAmount] = useState(100)
   const [zapComment, setZapComment] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(null)
+  const [selectedImage, setSelectedImage] = useState(0)
+  const [pendingZap, setPendingZap] = useState(null) // { zapId, invoice, amount, qrCode }
+  const [ledger, setLedger] = useState(null)
+  const [provenance, setProvenance] = useState(null)
+  const [transferForm, setTransferForm] = useState({ newOwner: '', type: 'sale', price: '', note: '' })
+
+  // Objects created before multi-image support only have their main image
+  const images = object.images?.length
+    ? object.images
+    : [{ imageUrl: `/api/images/${object.id}.jpg`, thumbnailUrl: `/api/images/${object.id}_thumb.jpg` }]
+  const currentImage = images[selectedImage] || images[0]
+
+  useEffect(() => {
+    setSelectedImage(0)
+    setPendingZap(null)
+  }, [object.id])
+
+  // Poll the zap until its receipt has been seen
+  useEffect(() => {
+    if (!pendingZap) return
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/zaps/${pendingZap.zapId}`)
+        const data = await response.json()
+        if (data.zap?.status === 'paid') {
+          const shares = data.ledgerEntry?.shares || {}
+          setSuccess(`Zap of ${pendingZap.amount} sats received! Artist gets ${shares.artist || 0} sats, object gets ${shares.object || 0} sats.`)
+          setPendingZap(null)
+          fetchLedger()
+          onUpdate()
+        }
+      } catch (error) {
+        console.error('Error checking zap:', error)
+      }
+    }, 3000)
+
+    return () => clearInterval(interval)
+  }, [pendingZap])
 
   useEffect(() => {
     if (activeTab === 'thread') {
       fetchThread()
     }
+    if (activeTab === 'zap') {
+      fetchLedger()
+    }
+    if (activeTab === 'provenance') {
+      fetchProvenance()
+    }
   }, [activeTab, object.id])
 
+  const fetchProvenance = async () => {
+    try {
+      const response = await fetch(`/api/objects/${object.id}/provenance`)
+      const data = await response.json()
+      setProvenance(response.ok ? data : null)
+    } catch (error) {
+      console.error('Error fetching provenance:', error)
+    }
+  }
+
+  const fetchLedger = async () => {
+    try {
+      const response = await fetch(`/api/objects/${object.id}/ledger`)
+      const data = await response.json()
+      setLedger(response.ok ? data : null)
+    } catch (error) {
+      console.error('Error fetching ledger:', error)
+    }
+  }
+
   const fetchThread = async () => {
     try {
       const response = await fetch(`/api/objects/${object.id}/thread`)
       const data = await response.json()
       setThread(data.thread || [])
+      setPayPerView(data.payPerView || null)
     } catch (error) {
       console.error('Error fetching thread:', error)
     }
@@ -50,9 +139,10 @@ function ObjectDetails({ object, onUpdate }) {
         throw new Error(data.error || 'Failed to send zap')
       }
 
-      setSuccess(`Successfully zapped ${zapAmount} sats! Artist gets ${data.artistShare} sats, object gets ${data.objectShare} sats.`)
+      // The object is credited once the invoice is paid and the zap receipt arrives
+      const qrCode = await QRCode.toDataURL(`lightning:${data.invoice}`.toUpperCase(), { margin: 1, width: 240 })
+      setPendingZap({ zapId: data.zapId, invoice: data.invoice, amount: data.amount, qrCode })
       setZapComment('')
-      onUpdate()
 
     } catch (error) {
       console.error('Error sending zap:', error)
@@ -71,15 +161,30 @@ function ObjectDetails({ object, onUpdate }) {
     setSuccess(null)
 
     try {
+      // Content is signed with the user's key when a signer is connected;
+      // premium content must be signed by the object's creator (and the
+      // server keeps it off the relays)
+      const body = signer
+        ? {
+            event: await signer.signEvent({
+              kind: 1,
+              created_at: Math.floor(Date.now() / 1000),
+              tags: [
+                ['e', object.nostrEventId, '', 'reply'],
+                ['content-type', 'text']
+              ],
+              content: newContent
+            }),
+            premium: premiumContent
+          }
+        : { content: newContent, contentType: 'text' }
+
       const response = await fetch(`/api/objects/${object.id}/content`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          content: newContent,
-          contentType: 'text'
-        })
+        body: JSON.stringify(body)
       })
 
       const data = await response.json()
@@ -88,8 +193,11 @@ function ObjectDetails({ object, onUpdate }) {
         throw new Error(data.error || 'Failed to add content')
       }
 
-      setSuccess('Content added successfully!')
+      setSuccess(premiumContent
+        ? 'Premium content added! It is unlocked by paying after verification.'
+        : `Content added successfully! ${relaySummary(data.relays)}`)
       setNewContent('')
+      setPremiumContent(false)
       fetchThread()
 
     } catch (error) {
@@ -100,10 +208,66 @@ function ObjectDetails({ object, onUpdate }) {
     }
   }
 
+  // Sign a transfer to a new owner with the holder's key
+  const handleTransfer = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+    setSuccess(null)
+
+    try {
+      let newOwner = transferForm.newOwner.trim()
+      if (newOwner.startsWith('npub')) {
+        newOwner = decode(newOwner).data
+      }
+
+      const event = await signer.signEvent({
+        kind: 3033,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ['d', object.id],
+          ['e', provenance.head, '', 'prev'],
+          ['p', newOwner, '', 'owner'],
+          ...(provenance.owner ? [['p', provenance.owner, '', 'previous-owner']] : []),
+          ['prov', transferForm.type],
+          ...(transferForm.price ? [['price', transferForm.price, 'sats']] : []),
+          ['alt', `Ownership transfer of ${object.name}`]
+        ],
+        content: transferForm.note
+      })
+
+      const response = await fetch(`/api/objects/${object.id}/transfer`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ event })
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to transfer object')
+      }
+
+      setSuccess(`Ownership transferred! ${relaySummary(data.relays)}`)
+      setTransferForm({ newOwner: '', type: 'sale', price: '', note: '' })
+      fetchProvenance()
+      onUpdate()
+
+    } catch (error) {
+      console.error('Error transferring object:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const tabs = [
     { id: 'details', label: 'Details', icon: '📋' },
     { id: 'zap', label: 'Zap Sats', icon: '⚡' },
     { id: 'thread', label: 'Story Thread', icon: '🧵' },
+    { id: 'provenance', label: 'Provenance', icon: '📜' },
     { id: 'add-content', label: 'Add Content', icon: '✍️' }
   ]
 
@@ -112,7 +276,7 @@ function ObjectDetails({ object, onUpdate }) {
       <div style={{ display: 'flex', gap: '20px', marginBottom: '30px', alignItems: 'flex-start' }}>
         <div style={{ flexShrink: 0 }}>
           <img 
-            src={`/api/images/${object.id}.jpg`}
+            src={currentImage.imageUrl}
             alt={object.name}
             style={{ 
               width: '300px', 
@@ -122,6 +286,26 @@ function ObjectDetails({ object, onUpdate }) {
               boxShadow: '0 5px 15px rgba(0,0,0,0.1)'
             }}
           />
+          {images.length > 1 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '10px', width: '300px' }}>
+              {images.map((image, index) => (
+                <img
+                  key={image.imageUrl}
+                  src={image.thumbnailUrl || image.imageUrl}
+                  alt={`${object.name} view ${index + 1}`}
+                  onClick={() => setSelectedImage(index)}
+                  style={{
+                    width: '64px',
+                    height: '64px',
+                    objectFit: 'cover',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    border: index === selectedImage ? '2px solid #667eea' : '2px solid transparent'
+                  }}
+                />
+              ))}
+            </div>
+          )}
         </div>
         
         <div style={{ flex: 1 }}>
@@ -193,7 +377,7 @@ function ObjectDetails({ object, onUpdate }) {
               <h4>Technical Information</h4>
               <p><strong>Object ID:</strong> <code>{object.id}</code></p>
               <p><strong>Image Hash:</strong> <code>{object.imageHash}</code></p>
-              <p><strong>Perceptual Hash:</strong> <code>{object.pHash}</code></p>
+              <p><strong>Perceptual Hash:</strong> <code>{object.pHash}</code> ({object.pHashAlgorithm || 'blockhash'})</p>
               <p><strong>Nostr Event ID:</strong> <code>{object.nostrEventId}</code></p>
             </div>
             
@@ -238,10 +422,50 @@ function ObjectDetails({ object, onUpdate }) {
         <div>
           <h3>⚡ Zap Sats to Object</h3>
           <p style={{ marginBottom: '20px', color: '#666' }}>
-            Support the artist and contribute to the object's community fund. 
-            50% goes to the artist, 50% stays with the object for future community decisions.
+            Support the artist and contribute to the object's community fund.
+            {ledger && (
+              <>
+                {' '}{ledger.split.artist}% goes to the artist, {ledger.split.object}% stays with the object for future community decisions
+                {ledger.split.platform > 0 && `, ${ledger.split.platform}% to the platform`}
+                {ledger.split.owner > 0 && `, ${ledger.split.owner}% to the owner`}.
+              </>
+            )}
+            {' '}Zaps are paid to the artist's lightning address and counted once the zap receipt is published.
           </p>
 
+          {pendingZap && (
+            <div style={{ marginBottom: '20px', padding: '15px', background: '#f8f9fa', borderRadius: '8px', textAlign: 'center' }}>
+              <h4>Pay {pendingZap.amount} sats</h4>
+              <img src={pendingZap.qrCode} alt="Lightning invoice" style={{ margin: '10px 0' }} />
+              <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all', marginBottom: '10px' }}>
+                {pendingZap.invoice}
+              </div>
+              <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                <a className="btn btn-primary" href={`lightning:${pendingZap.invoice}`}>
+                  ⚡ Open in Wallet
+                </a>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => navigator.clipboard?.writeText(pendingZap.invoice)}
+                >
+                  📋 Copy Invoice
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setPendingZap(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+              <div className="loading" style={{ justifyContent: 'center', marginTop: '15px' }}>
+                <div className="spinner"></div>
+                Waiting for payment...
+              </div>
+            </div>
+          )}
+
           <form onSubmit={handleZap}>
             <div className="form-group">
               <label htmlFor="zapAmount">Amount (sats)</label>
@@ -287,7 +511,7 @@ function ObjectDetails({ object, onUpdate }) {
               {loading ? (
                 <div className="loading">
                   <div className="spinner"></div>
-                  Sending Zap...
+                  Requesting Invoice...
                 </div>
               ) : (
                 <>
@@ -296,6 +520,41 @@ function ObjectDetails({ object, onUpdate }) {
               )}
             </button>
           </form>
+
+          {ledger?.entries.length > 0 && (
+            <div style={{ marginTop: '30px' }}>
+              <h4>📒 Ledger</h4>
+              <p style={{ color: '#666', marginBottom: '10px' }}>
+                {ledger.totals.total} sats received: artist {ledger.totals.artist}, object {ledger.totals.object}
+                {ledger.totals.platform > 0 && `, platform ${ledger.totals.platform}`}
+                {ledger.totals.owner > 0 && `, owner ${ledger.totals.owner}`}
+              </p>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: '2px solid #f0f0f0' }}>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Artist</th>
+                    <th>Object</th>
+                    <th>Platform</th>
+                    <th>Owner</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.entries.slice().reverse().map(entry => (
+                    <tr key={entry.id} style={{ borderBottom: '1px solid #f0f0f0' }}>
+                      <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td>{entry.amount}</td>
+                      <td>{entry.shares.artist}</td>
+                      <td>{entry.shares.object}</td>
+                      <td>{entry.shares.platform}</td>
+                      <td>{entry.shares.owner}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
 
@@ -306,6 +565,15 @@ function ObjectDetails({ object, onUpdate }) {
             Follow the complete story and updates about this object.
           </p>
 
+          {payPerView && (
+            <div style={{ marginBottom: '20px', padding: '15px', background: '#f0f4ff', borderRadius: '8px' }}>
+              🔒 {payPerView.premiumContent > 0 && `${payPerView.premiumContent} premium ${payPerView.premiumContent === 1 ? 'post' : 'posts'}`}
+              {payPerView.premiumContent > 0 && payPerView.highResImages > 0 && ' and '}
+              {payPerView.highResImages > 0 && `${payPerView.highResImages} high-resolution ${payPerView.highResImages === 1 ? 'image' : 'images'}`}
+              {' '}for {payPerView.price} sats. Verify the object to unlock them.
+            </div>
+          )}
+
           {thread.length === 0 ? (
             <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
               <div style={{ fontSize: '3rem', marginBottom: '20px' }}>📝</div>
@@ -339,11 +607,131 @@ function ObjectDetails({ object, onUpdate }) {
         </div>
       )}
 
+      {activeTab === 'provenance' && (
+        <div>
+          <h3>📜 Provenance</h3>
+          <p style={{ marginBottom: '20px', color: '#666' }}>
+            Every change of ownership is a signed Nostr event linked to the one before it, back to the object's mint.
+          </p>
+
+          {!provenance ? (
+            <div className="loading">
+              <div className="spinner"></div>
+              Loading provenance...
+            </div>
+          ) : (
+            <div>
+              <p>
+                <strong>Current owner:</strong>{' '}
+                {provenance.owner ? <code>{shortNpub(provenance.owner)}</code> : 'none on record (held by the issuer)'}
+              </p>
+
+              {provenance.verified ? (
+                <div className="alert alert-success">✅ Chain verified: every link is signed by the issuer and follows the previous owner</div>
+              ) : (
+                <div className="alert alert-error">
+                  ⚠️ The chain has problems:
+                  <ul style={{ margin: '10px 0 0 20px' }}>
+                    {provenance.issues.map(issue => <li key={issue}>{issue}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              {provenance.chain.map((link, index) => (
+                <div
+                  key={link.eventId}
+                  style={{
+                    padding: '20px',
+                    border: '1px solid #e0e0e0',
+                    borderRadius: '8px',
+                    marginBottom: '15px',
+                    background: '#fafafa'
+                  }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                    <strong>#{index + 1} {PROVENANCE_LABELS[link.type] || link.type}</strong>
+                    <span style={{ color: '#666', fontSize: '0.9rem' }}>
+                      {new Date(link.createdAt).toLocaleString()}
+                    </span>
+                  </div>
+                  {link.type !== 'mint' && (
+                    <p style={{ margin: '0 0 5px' }}>
+                      {link.from ? <code>{shortNpub(link.from)}</code> : 'Issuer'} → <code>{shortNpub(link.to)}</code>
+                      {link.price !== null && ` for ${link.price} sats`}
+                    </p>
+                  )}
+                  {link.note && <p style={{ margin: '0 0 5px', lineHeight: '1.6' }}>{link.note}</p>}
+                  <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: '#888', wordBreak: 'break-all' }}>
+                    {link.eventId}
+                  </div>
+                </div>
+              ))}
+
+              {signer?.pubkey === provenance.holder && (
+                <form onSubmit={handleTransfer} style={{ marginTop: '30px' }}>
+                  <h4>Transfer Ownership</h4>
+                  <p style={{ color: '#666' }}>You hold this object. The transfer is signed with your key.</p>
+                  <div className="form-group">
+                    <label htmlFor="newOwner">New Owner (npub or hex pubkey)</label>
+                    <input
+                      type="text"
+                      id="newOwner"
+                      value={transferForm.newOwner}
+                      onChange={(e) => setTransferForm({ ...transferForm, newOwner: e.target.value })}
+                      placeholder="npub1..."
+                      required
+                    />
+                  </div>
+                  <div className="grid">
+                    <div className="form-group">
+                      <label htmlFor="transferType">Type</label>
+                      <select
+                        id="transferType"
+                        value={transferForm.type}
+                        onChange={(e) => setTransferForm({ ...transferForm, type: e.target.value })}
+                      >
+                        <option value="sale">Sale</option>
+                        <option value="gift">Gift</option>
+                        <option value="transfer">Other transfer</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor="transferPrice">Price in sats (Optional)</label>
+                      <input
+                        type="number"
+                        id="transferPrice"
+                        value={transferForm.price}
+                        onChange={(e) => setTransferForm({ ...transferForm, price: e.target.value })}
+                        min="0"
+                        step="1"
+                      />
+                    </div>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="transferNote">Note (Optional)</label>
+                    <input
+                      type="text"
+                      id="transferNote"
+                      value={transferForm.note}
+                      onChange={(e) => setTransferForm({ ...transferForm, note: e.target.value })}
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-primary" disabled={loading || !transferForm.newOwner.trim()}>
+                    {loading ? 'Signing...' : '✍️ Sign Transfer'}
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {activeTab === 'add-content' && (
         <div>
           <h3>✍️ Add Content to Story</h3>
           <p style={{ marginBottom: '20px', color: '#666' }}>
-            Add new content to this object's story thread. This will be published as a Nostr event.
+            Add new content to this object's story thread. This will be published as a Nostr event
+            {signer ? ', signed with your key.' : ', signed by the server.'}
           </p>
 
           <form onSubmit={handleAddContent}>
@@ -359,6 +747,20 @@ function ObjectDetails({ object, onUpdate }) {
               />
             </div>
 
+            {object.payPerView?.price && signer?.pubkey === object.pubkey && (
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={premiumContent}
+                    onChange={(e) => setPremiumContent(e.target.checked)}
+                    style={{ marginRight: '8px', width: 'auto' }}
+                  />
+                  🔒 Premium: only for verifiers who pay {object.payPerView.price} sats (kept off the relays)
+                </label>
+              </div>
+            )}
+
             <button 
               type="submit" 
               className="btn btn-primary"
@@ -1,8 +1,17 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 
 function ObjectList({ objects, onObjectSelect, onRefresh }) {
   const [sortBy, setSortBy] = useState('newest')
   const [filterType, setFilterType] = useState('all')
+  const [labelTemplates, setLabelTemplates] = useState([])
+  const [labelTemplate, setLabelTemplate] = useState('avery-l7160')
+
+  useEffect(() => {
+    fetch('/api/label-templates')
+      .then(response => response.json())
+      .then(setLabelTemplates)
+      .catch(error => console.error('Error fetching label templates:', error))
+  }, [])
 
   const sortedAndFilteredObjects = objects
     .filter(obj => filterType === 'all' || obj.type === filterType)
@@ -75,6 +84,35 @@ function ObjectList({ objects, onObjectSelect, onRefresh }) {
             ))}
           </select>
         </div>
+
+        {sortedAndFilteredObjects.length > 0 && (
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '600' }}>
+              Label sheet:
+            </label>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <select
+                value={labelTemplate}
+                onChange={(e) => setLabelTemplate(e.target.value)}
+                style={{ padding: '8px', borderRadius: '4px', border: '1px solid #ccc' }}
+              >
+                {labelTemplates.map(template => (
+                  <option key={template.name} value={template.name}>
+                    {template.description}
+                  </option>
+                ))}
+              </select>
+              <a
+                className="btn btn-secondary"
+                href={`/api/objects/labels?template=${labelTemplate}&ids=${sortedAndFilteredObjects.map(obj => encodeURIComponent(obj.id)).join(',')}`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                🏷️ Print Labels
+              </a>
+            </div>
+          </div>
+        )}
       </div>
 
       {sortedAndFilteredObjects.length === 0 ? (
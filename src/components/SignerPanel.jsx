@@ -0,0 +1,87 @@
+import React, { useState } from 'react'
+import { npubEncode } from 'nostr-tools/nip19'
+import { connectExtension, connectBunker } from '../nostrSigner'
+
+function SignerPanel({ signer, onChange }) {
+  const [bunkerInput, setBunkerInput] = useState('')
+  const [showBunker, setShowBunker] = useState(false)
+  const [connecting, setConnecting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const connect = async (connectSigner) => {
+    setConnecting(true)
+    setError(null)
+
+    try {
+      onChange(await connectSigner())
+      setShowBunker(false)
+      setBunkerInput('')
+    } catch (error) {
+      console.error('Error connecting signer:', error)
+      setError(error.message)
+    } finally {
+      setConnecting(false)
+    }
+  }
+
+  const disconnect = () => {
+    signer.close()
+    onChange(null)
+  }
+
+  if (signer) {
+    const npub = npubEncode(signer.pubkey)
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', marginBottom: '20px' }}>
+        <span>
+          🔑 Signing as <code>{npub.slice(0, 12)}…{npub.slice(-6)}</code>
+          {' '}({signer.type === 'nip07' ? 'browser extension' : 'remote signer'})
+        </span>
+        <button className="btn btn-secondary" onClick={disconnect}>
+          Disconnect
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+        <span style={{ color: '#666' }}>🔑 Events are signed by the server. Sign with your own key:</span>
+        <button className="btn btn-secondary" onClick={() => connect(connectExtension)} disabled={connecting}>
+          Browser Extension
+        </button>
+        <button className="btn btn-secondary" onClick={() => setShowBunker(!showBunker)} disabled={connecting}>
+          Remote Signer
+        </button>
+      </div>
+
+      {showBunker && (
+        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+          <input
+            type="text"
+            value={bunkerInput}
+            onChange={(e) => setBunkerInput(e.target.value)}
+            placeholder="bunker://... or name@domain"
+            style={{ flex: 1 }}
+          />
+          <button
+            className="btn btn-primary"
+            onClick={() => connect(() => connectBunker(bunkerInput))}
+            disabled={connecting || !bunkerInput.trim()}
+          >
+            {connecting ? 'Connecting...' : 'Connect'}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="alert alert-error" style={{ marginTop: '10px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SignerPanel
@@ -1,6 +1,9 @@
-import React, { useState, useRef } from 'react'
+import React, { useState, useRef, useEffect } from 'react'
+import QRCode from 'qrcode'
 
-function VerifyObject() {
+// scannedCode: QR code URL the app was opened from (a /v/ verify URL or a /c/
+// certificate URL), verified right away
+function VerifyObject({ scannedCode = null }) {
   const [selectedFile, setSelectedFile] = useState(null)
   const [preview, setPreview] = useState(null)
   const [loading, setLoading] = useState(false)
@@ -8,10 +11,39 @@ function VerifyObject() {
   const [error, setError] = useState(null)
   const [dragOver, setDragOver] = useState(false)
   const [showPayPerView, setShowPayPerView] = useState(false)
-  const [verificationMethod, setVerificationMethod] = useState('image') // 'image' or 'physical'
+  const [pendingUnlock, setPendingUnlock] = useState(null) // { invoice, amount, qrCode }
+  const [premium, setPremium] = useState(null) // { content, images }
+  const [verificationMethod, setVerificationMethod] = useState(scannedCode ? 'physical' : 'image') // 'image' or 'physical'
   const [physicalId, setPhysicalId] = useState('')
   
   const fileInputRef = useRef(null)
+  const session = result?.verified ? result.session : null
+
+  // Poll the verification session until its payment's receipt has been seen
+  useEffect(() => {
+    if (!pendingUnlock || !session) return
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/sessions/${session.id}`)
+        const data = await response.json()
+        if (data.unlocked) {
+          setPendingUnlock(null)
+          fetchPremium()
+        }
+      } catch (error) {
+        console.error('Error checking session:', error)
+      }
+    }, 3000)
+
+    return () => clearInterval(interval)
+  }, [pendingUnlock, session?.id])
+
+  useEffect(() => {
+    if (scannedCode) {
+      handleVerify(scannedCode)
+    }
+  }, [scannedCode])
 
   const handleFileSelect = (file) => {
     if (file && file.type.startsWith('image/')) {
@@ -56,13 +88,13 @@ function VerifyObject() {
     }
   }
 
-  const handleVerify = async () => {
-    if (verificationMethod === 'image' && !selectedFile) {
+  const handleVerify = async (qrData = null) => {
+    if (!qrData && verificationMethod === 'image' && !selectedFile) {
       setError('Please select an image file')
       return
     }
     
-    if (verificationMethod === 'physical' && !physicalId.trim()) {
+    if (!qrData && verificationMethod === 'physical' && !physicalId.trim()) {
       setError('Please enter a Physical ID')
       return
     }
@@ -70,20 +102,25 @@ function VerifyObject() {
     setLoading(true)
     setError(null)
     setResult(null)
+    setPendingUnlock(null)
+    setPremium(null)
 
     try {
       let response, data
 
-      if (verificationMethod === 'physical') {
-        // Physical ID verification
+      if (qrData || verificationMethod === 'physical') {
+        // Physical ID verification, or the scanned QR code's
         response = await fetch('/api/verify-physical', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ physicalId: physicalId.trim() })
+          body: JSON.stringify(qrData ? { qrData } : { physicalId: physicalId.trim() })
         })
         data = await response.json()
+        if (data.physicalId) {
+          setPhysicalId(data.physicalId)
+        }
       } else {
         // Image verification
         const formData = new FormData()
@@ -102,7 +139,7 @@ function VerifyObject() {
 
       setResult(data)
       
-      if (data.verified) {
+      if (data.verified && data.session) {
         setShowPayPerView(true)
       }
 
@@ -114,39 +151,50 @@ function VerifyObject() {
     }
   }
 
-  const handleZap = async (amount) => {
-    if (!result?.object?.id) return
+  // Premium content is released by the server once the session is paid
+  const fetchPremium = async () => {
+    try {
+      const response = await fetch(`/api/objects/${session.objectId}/premium`, {
+        headers: { 'X-Verification-Session': session.id }
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load premium content')
+      }
+
+      setPremium(data)
+      setShowPayPerView(false)
+    } catch (error) {
+      console.error('Error fetching premium content:', error)
+      setError(error.message)
+    }
+  }
+
+  const handleUnlock = async () => {
+    if (!session) return
 
     try {
-      const response = await fetch(`/api/objects/${result.object.id}/zap`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          amount,
-          comment: 'Pay-per-view payment'
-        })
+      const response = await fetch(`/api/sessions/${session.id}/unlock`, {
+        method: 'POST'
       })
 
       const data = await response.json()
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to send zap')
+        throw new Error(data.error || 'Failed to request payment')
       }
 
-      setShowPayPerView(false)
-      // Refresh result to show updated balance
-      setResult(prev => ({
-        ...prev,
-        object: {
-          ...prev.object,
-          satsBalance: data.newBalance
-        }
-      }))
+      if (data.session.unlocked) {
+        fetchPremium()
+        return
+      }
+
+      const qrCode = await QRCode.toDataURL(`lightning:${data.invoice}`.toUpperCase(), { margin: 1, width: 240 })
+      setPendingUnlock({ invoice: data.invoice, amount: data.amount, qrCode })
 
     } catch (error) {
-      console.error('Error sending zap:', error)
+      console.error('Error requesting payment:', error)
       setError(error.message)
     }
   }
@@ -239,7 +287,7 @@ function VerifyObject() {
             <div>
               <div style={{ fontSize: '3rem', marginBottom: '10px' }}>🔍</div>
               <p>Drag and drop an image here, or click to select</p>
-              <p style={{ fontSize: '0.9rem', color: '#666' }}>Supports JPEG, PNG, and WebP</p>
+              <p style={{ fontSize: '0.9rem', color: '#666' }}>Supports JPEG, PNG, WebP, HEIC, AVIF and TIFF</p>
             </div>
           )}
         </div>
@@ -254,7 +302,7 @@ function VerifyObject() {
       )}
 
       <button 
-        onClick={handleVerify}
+        onClick={() => handleVerify()}
         className="btn btn-primary"
         disabled={loading || (verificationMethod === 'image' && !selectedFile) || (verificationMethod === 'physical' && !physicalId.trim())}
         style={{ marginBottom: '30px' }}
@@ -290,7 +338,12 @@ function VerifyObject() {
                     <p><strong>Artist:</strong> {result.object.artist}</p>
                     <p><strong>Type:</strong> {result.object.type}</p>
                     <p><strong>Created:</strong> {new Date(result.object.createdAt).toLocaleDateString()}</p>
-                    <p><strong>Similarity:</strong> {(result.similarity * 100).toFixed(1)}%</p>
+                    {result.similarity !== undefined && (
+                      <p><strong>Similarity:</strong> {(result.similarity * 100).toFixed(1)}%</p>
+                    )}
+                    {result.certificate && (
+                      <p><strong>Certificate:</strong> {result.certificate.verdict}</p>
+                    )}
                     
                     <div className="stats">
                       <div className="stat">
@@ -317,6 +370,16 @@ function VerifyObject() {
                 </div>
               </div>
             </div>
+          ) : result.status === 'unverified' ? (
+            <div>
+              <h3>⚠️ Certificate Not Verified</h3>
+              <p>This certificate could not be fully checked, so it does not verify the object.</p>
+              <ul>
+                {Object.entries(result.certificate.checks)
+                  .filter(([, check]) => check.ok !== true)
+                  .map(([name, check]) => <li key={name}>{check.detail}</li>)}
+              </ul>
+            </div>
           ) : (
             <div>
               <h3>❌ Object Not Found</h3>
@@ -326,43 +389,54 @@ function VerifyObject() {
         </div>
       )}
 
-      {showPayPerView && result?.verified && (
+      {showPayPerView && session && (
         <div className="card" style={{ marginTop: '20px', border: '2px solid #667eea' }}>
           <h4>💰 Pay-per-View</h4>
-          <p>To see more details about this object and support the artist, please pay a small amount:</p>
-          
-          <div style={{ display: 'flex', gap: '10px', marginTop: '15px', flexWrap: 'wrap' }}>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => handleZap(10)}
-            >
-              ⚡ 10 sats
-            </button>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => handleZap(50)}
-            >
-              ⚡ 50 sats
-            </button>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => handleZap(100)}
-            >
-              ⚡ 100 sats
-            </button>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => handleZap(500)}
+          <p>
+            This object has premium content
+            {session.offer.premiumContent > 0 && ` (${session.offer.premiumContent} story ${session.offer.premiumContent === 1 ? 'post' : 'posts'})`}
+            {session.offer.highResImages > 0 && ` and ${session.offer.highResImages} high-resolution ${session.offer.highResImages === 1 ? 'image' : 'images'}`}.
+            Unlock it for this verification for {session.offer.price} sats.
+          </p>
+
+          {pendingUnlock ? (
+            <div style={{ marginTop: '15px', padding: '15px', background: '#f8f9fa', borderRadius: '8px', textAlign: 'center' }}>
+              <h4>Pay {pendingUnlock.amount} sats</h4>
+              <img src={pendingUnlock.qrCode} alt="Lightning invoice" style={{ margin: '10px 0' }} />
+              <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all', marginBottom: '10px' }}>
+                {pendingUnlock.invoice}
+              </div>
+              <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                <a className="btn btn-primary" href={`lightning:${pendingUnlock.invoice}`}>
+                  ⚡ Open in Wallet
+                </a>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => navigator.clipboard?.writeText(pendingUnlock.invoice)}
+                >
+                  📋 Copy Invoice
+                </button>
+              </div>
+              <div className="loading" style={{ justifyContent: 'center', marginTop: '15px' }}>
+                <div className="spinner"></div>
+                Waiting for payment...
+              </div>
+            </div>
+          ) : (
+            <button
+              className="btn btn-primary"
+              onClick={handleUnlock}
+              style={{ marginTop: '15px' }}
             >
-              ⚡ 500 sats
+              ⚡ Unlock for {session.offer.price} sats
             </button>
-          </div>
-          
+          )}
+
           <p style={{ fontSize: '0.9rem', color: '#666', marginTop: '10px' }}>
-            50% goes to the artist, 50% stays with the object for future community decisions
+            Paid to the artist's lightning address and shared with the object by its revenue split
           </p>
-          
-          <button 
+
+          <button
             className="btn btn-secondary"
             onClick={() => setShowPayPerView(false)}
             style={{ marginTop: '10px' }}
@@ -371,6 +445,48 @@ function VerifyObject() {
           </button>
         </div>
       )}
+
+      {premium && (
+        <div className="card" style={{ marginTop: '20px', border: '2px solid #28a745' }}>
+          <h4>🔓 Premium Content</h4>
+
+          {premium.images.length > 0 && (
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginTop: '15px' }}>
+              {premium.images.map(image => (
+                <a key={image.imageIndex} href={image.url} target="_blank" rel="noopener noreferrer">
+                  <img
+                    src={image.url}
+                    alt={`High-resolution view ${image.imageIndex + 1}`}
+                    style={{ width: '160px', height: '160px', objectFit: 'cover', borderRadius: '8px' }}
+                  />
+                </a>
+              ))}
+            </div>
+          )}
+
+          {premium.content.map(item => (
+            <div
+              key={item.id}
+              style={{
+                padding: '20px',
+                border: '1px solid #e0e0e0',
+                borderRadius: '8px',
+                marginTop: '15px',
+                background: '#fafafa'
+              }}
+            >
+              <div style={{ color: '#666', fontSize: '0.9rem', marginBottom: '10px' }}>
+                {new Date(item.createdAt).toLocaleString()}
+              </div>
+              <p style={{ margin: 0, lineHeight: '1.6' }}>{item.content}</p>
+            </div>
+          ))}
+
+          <p style={{ fontSize: '0.9rem', color: '#666', marginTop: '10px' }}>
+            Available until {new Date(premium.expiresAt).toLocaleString()}
+          </p>
+        </div>
+      )}
     </div>
   )
 }
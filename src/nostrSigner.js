@@ -0,0 +1,45 @@
+// User signers: events are signed with the user's own key instead of the
+// server's. Both kinds expose { type, pubkey, signEvent(template), close() }.
+
+// NIP-07 browser extension (window.nostr: Alby, nos2x, ...)
+export async function connectExtension() {
+  if (!window.nostr) {
+    throw new Error('No Nostr extension found. Install a NIP-07 extension such as Alby or nos2x.')
+  }
+
+  const pubkey = await window.nostr.getPublicKey()
+  return {
+    type: 'nip07',
+    pubkey,
+    signEvent: (template) => window.nostr.signEvent(template),
+    close: () => {}
+  }
+}
+
+// NIP-46 remote signer, from a bunker:// URI or a NIP-05 name. Loaded on
+// demand, since it pulls in the relay pool.
+export async function connectBunker(input) {
+  const [{ BunkerSigner, parseBunkerInput }, { generateSecretKey }] = await Promise.all([
+    import('nostr-tools/nip46'),
+    import('nostr-tools/pure')
+  ])
+
+  const pointer = await parseBunkerInput(input.trim())
+  if (!pointer) {
+    throw new Error('Invalid bunker URI')
+  }
+
+  const bunker = BunkerSigner.fromBunker(generateSecretKey(), pointer, {
+    // The signer may ask the user to approve the connection on its site
+    onauth: (url) => window.open(url, '_blank', 'noopener')
+  })
+  await bunker.connect()
+  const pubkey = await bunker.getPublicKey()
+
+  return {
+    type: 'nip46',
+    pubkey,
+    signEvent: (template) => bunker.signEvent(template),
+    close: () => bunker.close()
+  }
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import sharp from 'sharp'
+import { CertificateTemplates, CERTIFICATE_STRINGS, loadCertificateTemplates } from '../utils/certificateTemplates.js'
+import { PhysicalIdentifier } from '../utils/physicalIdentifier.js'
+import { rootDir } from './helpers.js'
+
+const config = {
+  templates: {
+    gallery: {
+      logo: path.join(rootDir, 'test-small.png'),
+      language: 'fr',
+      labels: { title: "CERTIFICAT D'AUTHENTICITÉ" },
+      colors: { background: '#fdf8ef', border: '#8b5a2b' },
+      width: 600,
+      height: 300,
+      fields: ['name', 'physicalId']
+    }
+  },
+  types: { painting: 'gallery' }
+}
+
+test('templates start from the default and are picked by object type', () => {
+  const templates = new CertificateTemplates(config)
+  const gallery = templates.forType('painting')
+  assert.equal(gallery.name, 'gallery')
+  assert.equal(gallery.labels.title, "CERTIFICAT D'AUTHENTICITÉ")
+  assert.equal(gallery.labels.artist, CERTIFICATE_STRINGS.fr.artist)
+  assert.equal(gallery.colors.title, '#000000')
+  assert.equal(gallery.font, 'Arial')
+  assert.equal(templates.forType('sculpture').name, 'default')
+
+  // Logos are listed by file name only
+  assert.equal(templates.toJSON().templates.find(template => template.name === 'gallery').logo, 'test-small.png')
+})
+
+test('unusable templates are refused up front', () => {
+  const refused = {
+    'unknown language': { templates: { t: { language: 'xx' } } },
+    'unknown field': { templates: { t: { fields: ['name', 'price'] } } },
+    'bad colour': { templates: { t: { colors: { text: 'black' } } } },
+    'too small': { templates: { t: { width: 100 } } },
+    'missing logo': { templates: { t: { logo: 'no/such/logo.png' } } },
+    'unknown default': { default: 'nope' },
+    'unknown type template': { types: { painting: 'nope' } }
+  }
+  for (const [reason, templates] of Object.entries(refused)) {
+    assert.throws(() => new CertificateTemplates(templates), Error, reason)
+  }
+  assert.throws(() => loadCertificateTemplates('{'), /Invalid CERTIFICATE_TEMPLATES/)
+  assert.equal(loadCertificateTemplates('').defaultName, 'default')
+})
+
+test("certificates are drawn at the template's size and background", async () => {
+  const templates = new CertificateTemplates(config)
+  const physicalIdentifier = new PhysicalIdentifier({ baseUrl: 'https://verify.example.com', certificateTemplates: templates })
+  const physicalId = 'lq2x8k3a-1a2b3c4d-5e6f7a8b'
+  const qrCode = await physicalIdentifier.generatePhysicalQR(physicalId)
+
+  const certificate = await physicalIdentifier.generatePhysicalCertificate(
+    { name: 'Poster', artist: 'Artist', type: 'painting' }, physicalId, qrCode.qrCodeDataURL
+  )
+  const { data, info } = await sharp(certificate).raw().toBuffer({ resolveWithObject: true })
+  assert.deepEqual([info.width, info.height], [600, 300])
+  assert.deepEqual([...data.subarray(0, 3)], [0xfd, 0xf8, 0xef])
+})
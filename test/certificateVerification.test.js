@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, nip19 } from 'nostr-tools'
+import { CertificateVerifier } from '../utils/certificateVerification.js'
+import { NostrClient, DEFAULT_OBJECT_KIND } from '../utils/nostr.js'
+import { QRCodeGenerator } from '../utils/qrCode.js'
+import { MemoryStore } from '../utils/storage.js'
+
+const privateKey = generateSecretKey()
+const imageHash = 'ab'.repeat(32)
+const qrGenerator = new QRCodeGenerator({ baseUrl: 'https://verify.example.com' })
+
+// Verifier over a store holding one minted object; relayEvents are what the
+// relays answer for an address, by identifier
+async function verifierWith(relayEvents = {}) {
+  const store = new MemoryStore()
+  const nostrClient = new NostrClient(privateKey, ['ws://127.0.0.1:1'])
+  nostrClient.findEventByAddress = async ({ identifier }) => relayEvents[identifier] ?? null
+  const naddr = nip19.naddrEncode({ kind: DEFAULT_OBJECT_KIND, pubkey: nostrClient.publicKey, identifier: 'minted' })
+  await store.createObject({ id: 'minted', type: 'artwork', naddr, imageHash, nostrEventId: 'e'.repeat(64) })
+  return { verifier: new CertificateVerifier(store, nostrClient, qrGenerator), nostrClient, naddr }
+}
+
+const certificateFor = async (id, hash, naddr) =>
+  (await qrGenerator.generateSecureCertificate({ id, hash, naddr }, privateKey)).dataString
+
+test('a signed certificate of a known object with its minted hash is authentic', async () => {
+  const { verifier, naddr } = await verifierWith()
+  const result = await verifier.verify(await certificateFor('minted', imageHash, naddr))
+  assert.equal(result.verdict, 'authentic')
+  assert.equal(result.valid, true)
+  assert.equal(result.checks.naddr.source, 'store')
+  assert.equal(result.object.id, 'minted')
+})
+
+test('an object known only to the relays is checked against its identity event', async () => {
+  const { verifier, nostrClient } = await verifierWith({
+    relayed: { id: 'f'.repeat(64), tags: [['d', 'relayed'], ['hash', imageHash]] }
+  })
+  const naddr = nip19.naddrEncode({ kind: DEFAULT_OBJECT_KIND, pubkey: nostrClient.publicKey, identifier: 'relayed' })
+  const result = await verifier.verify(await certificateFor('relayed', imageHash, naddr))
+  assert.equal(result.verdict, 'authentic')
+  assert.equal(result.checks.naddr.source, 'relays')
+  assert.equal(result.object, null)
+
+  const unknown = nip19.naddrEncode({ kind: DEFAULT_OBJECT_KIND, pubkey: nostrClient.publicKey, identifier: 'unknown' })
+  assert.equal((await verifier.verify(await certificateFor('unknown', imageHash, unknown))).verdict, 'invalid')
+})
+
+test('a wrong hash, a tampered signature or a broken payload is invalid', async () => {
+  const { verifier, naddr } = await verifierWith()
+  const otherHash = await verifier.verify(await certificateFor('minted', 'cd'.repeat(32), naddr))
+  assert.equal(otherHash.verdict, 'invalid')
+  assert.equal(otherHash.checks.signature.ok, true)
+  assert.equal(otherHash.checks.hash.ok, false)
+
+  const { data } = await qrGenerator.generateSecureCertificate({ id: 'minted', hash: imageHash, naddr }, privateKey)
+  const tampered = await verifier.verify({ ...data, sig: data.sig.replace(/^./, data.sig[0] === '0' ? '1' : '0') })
+  assert.equal(tampered.verdict, 'invalid')
+  assert.equal(tampered.checks.signature.ok, false)
+
+  const broken = await verifier.verify('{"type":"secure-certificate"')
+  assert.equal(broken.verdict, 'invalid')
+  assert.equal(broken.checks.structure.detail, 'Invalid JSON data')
+})
+
+test('unsigned and version 1.0 certificates are unverified at best', async () => {
+  const { verifier, naddr } = await verifierWith()
+  const unsigned = await verifier.verify({
+    type: 'object-certificate', id: 'minted', name: 'Minted', artist: 'Artist', naddr, hash: imageHash, timestamp: Date.now()
+  })
+  assert.equal(unsigned.verdict, 'unverified')
+  assert.equal(unsigned.valid, false)
+  assert.equal(unsigned.checks.signature.ok, null)
+  assert.equal(unsigned.checks.hash.ok, true)
+
+  const legacy = await verifier.verify({
+    type: 'secure-certificate', version: '1.0', id: 'minted', naddr, hash: imageHash, timestamp: Date.now(), signature: 'f'.repeat(64)
+  })
+  assert.equal(legacy.verdict, 'unverified')
+})
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { HashIndex, hexHammingDistance } from '../utils/hashIndex.js'
+
+test('hashes that are not hex are refused on insert', () => {
+  const hashIndex = new HashIndex()
+  hashIndex.add('0'.repeat(64), { objectId: 'stored' })
+  for (const hash of ['z'.repeat(64), `${'0'.repeat(63)}-`, '', null, 42]) {
+    assert.throws(() => hashIndex.add(hash, { objectId: 'bad' }), /Invalid hash/, String(hash))
+  }
+  assert.equal(hashIndex.size, 1)
+
+  // The tree still finds what was stored, and bad queries find nothing
+  assert.deepEqual(hashIndex.search(`${'0'.repeat(63)}1`, 1).map(entry => entry.objectId), ['stored'])
+  assert.deepEqual(hashIndex.search('z'.repeat(64), 256), [])
+})
+
+test('search agrees with a linear scan', () => {
+  const hashIndex = new HashIndex()
+  const hashes = Array.from({ length: 200 }, (_, n) => (n * 2654435761 >>> 0).toString(16).padStart(8, '0').repeat(2))
+  hashes.forEach((hash, n) => hashIndex.add(hash, { objectId: `object-${n}` }))
+
+  const query = hashes[17]
+  for (const radius of [0, 4, 12]) {
+    const expected = hashes
+      .map((hash, n) => ({ objectId: `object-${n}`, distance: hexHammingDistance(hash, query) }))
+      .filter(entry => entry.distance <= radius)
+    const found = hashIndex.search(query, radius).map(({ objectId, distance }) => ({ objectId, distance }))
+    const byObject = (a, b) => a.distance - b.distance || a.objectId.localeCompare(b.objectId)
+    assert.deepEqual(found.sort(byObject), expected.sort(byObject), `radius ${radius}`)
+  }
+})
@@ -0,0 +1,122 @@
+import { spawn } from 'child_process'
+import net from 'net'
+import path from 'path'
+import fs from 'fs/promises'
+import { fileURLToPath } from 'url'
+
+export const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+// A port nothing listens on right now
+export async function freePort() {
+  const server = net.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise(resolve => server.close(resolve))
+  return port
+}
+
+// Start the API server on a free port with an in-memory store, no startup
+// resync and (unless env says otherwise) an unreachable relay. Resolves to
+// { url, stop, output() } once /api/health answers.
+export async function startServer(env = {}) {
+  const port = await freePort()
+  const child = spawn(process.execPath, [path.join(rootDir, 'server/index.js')], {
+    cwd: rootDir,
+    env: {
+      ...process.env,
+      STORAGE_BACKEND: 'memory',
+      SYNC_ON_STARTUP: 'false',
+      NOSTR_RELAYS: 'ws://127.0.0.1:1',
+      ADMIN_TOKEN: '',
+      ...env,
+      PORT: String(port)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  let output = ''
+  child.stdout.on('data', chunk => { output += chunk })
+  child.stderr.on('data', chunk => { output += chunk })
+  const exited = new Promise(resolve => child.once('exit', resolve))
+
+  const url = `http://127.0.0.1:${port}`
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill()
+      await exited
+    }
+  }
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) break
+    try {
+      if ((await fetch(`${url}/api/health`)).ok) {
+        return { url, stop, output: () => output }
+      }
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  await stop()
+  throw new Error(`Server did not start:\n${output}`)
+}
+
+// Start the mock LNURL server on a free port. Resolves to
+// { url, lightningAddress(name), stop } once it listens.
+export async function startMockLnurl(env = {}) {
+  const child = spawn(process.execPath, [path.join(rootDir, 'mock-lnurl-server.js')], {
+    cwd: rootDir,
+    env: { ...process.env, ...env, MOCK_LNURL_PORT: '0' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  const exited = new Promise(resolve => child.once('exit', resolve))
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill()
+      await exited
+    }
+  }
+
+  let output = ''
+  const port = await new Promise((resolve) => {
+    const onData = (chunk) => {
+      output += chunk
+      const match = /Mock LNURL server on http:\/\/localhost:(\d+)/.exec(output)
+      if (match) resolve(parseInt(match[1]))
+    }
+    child.stdout.on('data', onData)
+    child.stderr.on('data', onData)
+    exited.then(() => resolve(null))
+  })
+  if (!port) {
+    throw new Error(`Mock LNURL server did not start:\n${output}`)
+  }
+
+  return {
+    url: `http://localhost:${port}`,
+    lightningAddress: (name) => `${name}@localhost:${port}`,
+    stop
+  }
+}
+
+// Create an object from a repo fixture image through POST /api/objects
+export async function createObject(url, fixture, fields = {}) {
+  const form = new FormData()
+  const image = await fs.readFile(path.join(rootDir, fixture))
+  form.append('image', new Blob([image], { type: 'image/png' }), path.basename(fixture))
+  for (const [name, value] of Object.entries({ name: fixture, artist: 'Test Artist', type: 'artwork', ...fields })) {
+    form.append(name, value)
+  }
+  const response = await fetch(`${url}/api/objects`, { method: 'POST', body: form })
+  return { status: response.status, body: await response.json() }
+}
+
+// JSON request to the server; resolves to { status, body }
+export async function request(url, method, body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+  return { status: response.status, body: await response.json().catch(() => null) }
+}
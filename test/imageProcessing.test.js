@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ImageProcessor } from '../utils/imageProcessing.js'
+import { HashIndex } from '../utils/hashIndex.js'
+import { HashProfiles } from '../utils/hashProfiles.js'
+
+test('findSimilarImages looks up primary hashes in the hash index', async () => {
+  const hashIndex = new HashIndex()
+  hashIndex.add('0'.repeat(64), { objectId: 'exact', type: 'primary' })
+  hashIndex.add(`${'0'.repeat(63)}7`, { objectId: 'close', type: 'primary' })
+  hashIndex.add(`${'0'.repeat(63)}1`, { objectId: 'exact', type: 'rotated_90' })
+  hashIndex.add('f'.repeat(64), { objectId: 'far', type: 'primary' })
+
+  const similar = await new ImageProcessor().findSimilarImages('0'.repeat(64), hashIndex, 5)
+  assert.deepEqual(similar, [
+    { id: 'exact', hash: '0'.repeat(64), distance: 0 },
+    { id: 'close', hash: `${'0'.repeat(63)}7`, distance: 3 }
+  ])
+})
+
+test('findBestMatch only hashes the image for algorithms it has no hashes for', async (t) => {
+  t.mock.method(console, 'log')
+  const imageProcessor = new ImageProcessor()
+  const hashed = []
+  imageProcessor.generateRobustPHashFromBuffer = async (imageBuffer, algorithm) => {
+    hashed.push(algorithm)
+    return { primary: 'f'.repeat(64), algorithm, variants: [] }
+  }
+  const blockhashIndex = new HashIndex()
+  blockhashIndex.add('0'.repeat(64), { objectId: 'stored', type: 'primary' })
+  const dhashIndex = new HashIndex()
+  dhashIndex.add('0'.repeat(64), { objectId: 'other', type: 'primary' })
+  const hashIndexes = new Map([['blockhash', blockhashIndex], ['dhash', dhashIndex]])
+
+  const knownHashes = { blockhash: { primary: `${'1'.repeat(16)}${'0'.repeat(48)}`, variants: [] } }
+  const match = await imageProcessor.findBestMatch(Buffer.alloc(0), hashIndexes, new HashProfiles(), 'duplicate', knownHashes)
+  assert.deepEqual(hashed, ['dhash'])
+  assert.equal(match, null)
+
+  // A variant it was already hashed with still counts for duplicates
+  knownHashes.blockhash.variants = [{ type: 'rotated_90', hash: `${'0'.repeat(63)}1` }]
+  const variantMatch = await imageProcessor.findBestMatch(Buffer.alloc(0), hashIndexes, new HashProfiles(), 'duplicate', knownHashes)
+  assert.deepEqual(variantMatch, { objectId: 'stored', distance: 1, hash: '0'.repeat(64), algorithm: 'blockhash' })
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LabelSheet, LabelSheetError, parseLabelOptions, resolveTemplate } from '../utils/labelSheet.js'
+
+const label = (n) => ({ name: `Poster ${n}`, artist: 'Artist', physicalId: `lq2x8k3a-${n}`, qrData: `https://verify.example.com/v/lq2x8k3a-${n}` })
+
+test('custom templates fit a centred grid on the page', () => {
+  const template = resolveTemplate({ template: 'custom', width: '60', height: '40', gap: '5' })
+  assert.equal(template.columns, 3)
+  assert.equal(template.rows, 6)
+  assert.equal(template.left, (210 - 3 * 60 - 2 * 5) / 2)
+  assert.equal(template.top, (297 - 6 * 40 - 5 * 5) / 2)
+
+  assert.throws(() => resolveTemplate({ template: 'custom', width: '60' }), /need a label width and height/)
+  assert.throws(() => resolveTemplate({ template: 'custom', width: '5', height: '40' }), LabelSheetError)
+  assert.throws(() => resolveTemplate({ template: 'avery-0000' }), /Unknown label template "avery-0000"/)
+})
+
+test('label options are checked against the template', () => {
+  const options = parseLabelOptions({ template: 'avery-l7163', skip: '13', background: 'FA0', cutMarks: '1' })
+  assert.equal(options.format, 'pdf')
+  assert.equal(options.copies, 1)
+  assert.equal(options.skip, 13)
+  assert.equal(options.background, '#ffaa00')
+  assert.equal(options.cutMarks, true)
+
+  assert.throws(() => parseLabelOptions({ template: 'avery-l7163', skip: '14' }), /between 0 and 13/)
+  assert.throws(() => parseLabelOptions({ copies: '0' }), /copies/)
+  assert.throws(() => parseLabelOptions({ format: 'png' }), /format/)
+  assert.throws(() => parseLabelOptions({ color: 'red' }), /hex colour/)
+})
+
+test('skipped labels push the rest onto the next sheet', () => {
+  const sheet = new LabelSheet({ template: resolveTemplate({ template: 'avery-5163' }), skip: 8 })
+  const pages = sheet.layout([1, 2, 3, 4].map(label))
+  assert.equal(pages.length, 2)
+  const qrCodes = pages.map(items => items.filter(item => item.type === 'qr'))
+  assert.deepEqual(qrCodes.map(codes => codes.length), [2, 2])
+  // The first label goes in the ninth slot, the third in the first slot of the next sheet
+  const inSlot = (qr, slot) => {
+    const { x, y } = sheet.slotPosition(slot)
+    return qr.x > x && qr.y > y && qr.x + qr.size < x + sheet.template.width && qr.y + qr.size < y + sheet.template.height
+  }
+  assert.ok(inSlot(qrCodes[0][0], 8))
+  assert.ok(inSlot(qrCodes[1][0], 0))
+  assert.equal(qrCodes[1][0].data, label(3).qrData)
+})
+
+test('the PDF has a page per sheet and a consistent cross-reference table', () => {
+  const sheet = new LabelSheet({ template: resolveTemplate(), cutMarks: true, background: '#eeeeee' })
+  const pdf = sheet.renderPdf(sheet.layout(Array.from({ length: 22 }, (_, n) => label(n)))).toString('latin1')
+  assert.ok(pdf.startsWith('%PDF-1.4\n'))
+  assert.match(pdf, /\/Count 2 >>/)
+
+  const xref = Number(pdf.match(/startxref\n(\d+)/)[1])
+  assert.ok(pdf.slice(xref).startsWith('xref\n'))
+  const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)))
+  offsets.forEach((offset, index) => assert.ok(pdf.slice(offset).startsWith(`${index + 1} 0 obj\n`), `object ${index + 1}`))
+})
@@ -0,0 +1,82 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryStore } from '../utils/storage.js'
+import { PayPerViewService, PayPerViewError, parsePrice } from '../utils/payPerView.js'
+
+// Pay-per-view service over a store holding one priced object with premium
+// content; requested zaps are recorded as pending like ZapService does
+async function payPerViewWith({ price = 21, content = true } = {}) {
+  const store = new MemoryStore()
+  await store.createObject({ id: 'gated', type: 'artwork', lud16: 'artist@pay.example.com', payPerView: price ? { price, highResImages: false } : null })
+  await store.createObject({ id: 'other', type: 'artwork' })
+  if (content) {
+    await store.addPremiumContent('gated', { id: 'story', content: 'Premium story', contentType: 'text', createdAt: Date.now() })
+  }
+
+  let zaps = 0
+  const zapService = {
+    requestZap: async (object, { amount }) => store.createZap({
+      id: `zap-${++zaps}`,
+      objectId: object.id,
+      amountMsats: amount * 1000,
+      invoice: `invoice-${zaps}`,
+      status: 'pending',
+      createdAt: Date.now()
+    }),
+    checkReceipts: async (zap) => zap
+  }
+  return { store, payPerView: new PayPerViewService(store, zapService) }
+}
+
+const rejectsWith = (promise, status) =>
+  assert.rejects(promise, (error) => error instanceof PayPerViewError && error.status === status)
+
+test('parsePrice accepts whole sats and treats empty as no price', () => {
+  assert.equal(parsePrice('21'), 21)
+  assert.equal(parsePrice(''), null)
+  assert.throws(() => parsePrice('2.5'))
+  assert.throws(() => parsePrice('-1'))
+})
+
+test('sessions only start for objects with something to sell', async () => {
+  const { store, payPerView } = await payPerViewWith({ content: false })
+  assert.equal(await payPerView.startSession(await store.getObject('gated'), 'physical_id'), null)
+
+  const priced = await payPerViewWith()
+  const session = await priced.payPerView.startSession(await priced.store.getObject('gated'), 'physical_id')
+  assert.deepEqual(session.offer, { price: 21, premiumContent: 1, highResImages: 0 })
+  assert.equal(session.unlocked, false)
+})
+
+test('premium content is only authorized for a paid session of the same object', async () => {
+  const { store, payPerView } = await payPerViewWith()
+  const gated = await store.getObject('gated')
+  const session = await payPerView.startSession(gated, 'physical_id')
+
+  await rejectsWith(payPerView.authorize(null, gated), 404)
+  await rejectsWith(payPerView.authorize('no-such-session', gated), 404)
+  await rejectsWith(payPerView.authorize(session.id, gated), 402)
+
+  const { zap } = await payPerView.requestUnlock(session.id)
+  assert.equal(zap.amountMsats, 21000)
+  // Asking again hands out the same invoice
+  assert.equal((await payPerView.requestUnlock(session.id)).zap.id, zap.id)
+  await rejectsWith(payPerView.authorize(session.id, gated), 402)
+
+  await store.settleZap(zap.id, { paidAt: Date.now() }, () => ({}))
+  assert.equal((await payPerView.authorize(session.id, gated)).id, session.id)
+  assert.equal((await payPerView.status(session.id)).unlocked, true)
+  await rejectsWith(payPerView.authorize(session.id, await store.getObject('other')), 403)
+
+  // Price changes don't take back what was paid for
+  await store.updateObject('gated', { payPerView: { price: 1000, highResImages: false } })
+  assert.equal((await payPerView.authorize(session.id, await store.getObject('gated'))).id, session.id)
+})
+
+test('expired sessions are refused', async () => {
+  const { store, payPerView } = await payPerViewWith()
+  const session = await payPerView.startSession(await store.getObject('gated'), 'physical_id')
+  await store.updateSession(session.id, { expiresAt: Date.now() - 1 })
+  await rejectsWith(payPerView.authorize(session.id, await store.getObject('gated')), 410)
+  await rejectsWith(payPerView.requestUnlock(session.id), 410)
+})
@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import sharp from 'sharp'
+import { perceptualHasher } from '../utils/perceptualHash.js'
+import { hexHammingDistance } from '../utils/hashIndex.js'
+import { rootDir } from './helpers.js'
+
+// Hashes computed by image-hash 7.0.1 (imageHash(file, 16, true)), the
+// library the stored hashes were made with. The port must reproduce them so
+// objects hashed before it keep matching.
+const IMAGE_HASH_FIXTURES = {
+  'test-book.png': '000000000000000000000000000007f007f00000000000000000000000000000',
+  'test-complex.png': 'ff447b007f043f103fb41efc1f1f0800020687e887ecc7eec7e7c1e3e0e3c060',
+  'test-small.png': 'fe447b007f063f103fb41efc1f1f0800020687e887ecc7eec7e7c1e3e0e3c060',
+  'test-rotated.png': 'e3ffe07fe007c000ef81cf81c531c01fc603c783c78387970003e007fe07ffc7'
+}
+
+const IMAGE_HASH_SYNTHETIC = [
+  { width: 256, height: 256, transparent: true, hash: 'f007f02bf04ef04e00f500ff50ff80fabf02af007f05df08f500ff00ff50fa80' },
+  { width: 100, height: 60, transparent: false, hash: '00711cf718e738e728e750c750c731cf318f609e619e619ee11ec31cc33cc33c' },
+  { width: 100, height: 60, transparent: true, hash: 'f020f861f863f0e328e750c750c731cf318f609e619e619ee11ec31cc33cc33c' }
+]
+
+// 8-bit RGBA pattern, with a fully transparent top left corner when asked
+function syntheticImage({ width, height, transparent }) {
+  const data = Buffer.alloc(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4
+      data[offset] = (x * 7 + y * 3) % 256
+      data[offset + 1] = (x * y) % 256
+      data[offset + 2] = (x ^ y) & 255
+      data[offset + 3] = transparent && x < width / 4 && y < height / 4 ? 0 : 255
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer()
+}
+
+test('blockhash reproduces image-hash on the test images', async () => {
+  for (const [file, expected] of Object.entries(IMAGE_HASH_FIXTURES)) {
+    const image = await fs.readFile(path.join(rootDir, file))
+    assert.equal(await perceptualHasher.blockHash(image), expected, file)
+  }
+
+  // The fixtures are 16-bit PNGs, which image-hash's decoder (pngjs) rounds
+  // to 8 bits where sharp doesn't: that flips a near-median block of this one
+  const rotated = await perceptualHasher.blockHash(await fs.readFile(path.join(rootDir, 'test-90deg.png')))
+  assert.equal(hexHammingDistance(rotated, 'fe01f887c01f007f00ff1e3c1f383e187e30fe21fe3006700e701f75f960f0c0'), 1)
+})
+
+test('blockhash reproduces image-hash for even and fractional blocks and transparency', async () => {
+  for (const image of IMAGE_HASH_SYNTHETIC) {
+    assert.equal(await perceptualHasher.blockHash(await syntheticImage(image)), image.hash, `${image.width}x${image.height}`)
+  }
+})
@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, getPublicKey, nip19 } from 'nostr-tools'
+import { PhysicalIdentifier } from '../utils/physicalIdentifier.js'
+import { QRCodeGenerator } from '../utils/qrCode.js'
+
+const baseUrl = 'https://verify.example.com'
+const physicalIdentifier = new PhysicalIdentifier({ baseUrl })
+const physicalId = 'lq2x8k3a-1a2b3c4d-5e6f7a8b'
+
+test('nostr: addresses are parsed to their object', () => {
+  const pubkey = getPublicKey(generateSecretKey())
+  const naddr = nip19.naddrEncode({ kind: 30444, pubkey, identifier: 'scanned' })
+  const parsed = physicalIdentifier.parseQRScan(`nostr:${naddr.toUpperCase()}`)
+  assert.equal(parsed.format, 'nostr-uri')
+  assert.equal(parsed.objectId, 'scanned')
+  assert.equal(parsed.address.pubkey, pubkey)
+
+  assert.deepEqual(physicalIdentifier.parseQRScan('nostr:naddr1broken'), { valid: false, error: 'Invalid nostr: address' })
+})
+
+test('verify URLs give the physical ID, old and new paths alike', () => {
+  const short = physicalIdentifier.parseQRScan(physicalIdentifier.verifyUrl(physicalId))
+  assert.equal(short.format, 'verify-url')
+  assert.equal(short.physicalId, physicalId)
+
+  const legacy = physicalIdentifier.parseQRScan(`http://old.example.com/api/verify-physical/${encodeURIComponent('with space')}`)
+  assert.equal(legacy.format, 'legacy-verify-url')
+  assert.equal(legacy.physicalId, 'with space')
+
+  assert.equal(physicalIdentifier.parseQRScan(`${baseUrl}/v/%E0%A4%A`).error, 'Invalid physical ID in URL')
+  assert.equal(physicalIdentifier.parseQRScan(`${baseUrl}/objects/${physicalId}`).error, 'Not a verification URL')
+})
+
+test('certificate URLs carry the certificate and its signing time', async () => {
+  const privateKey = generateSecretKey()
+  const naddr = nip19.naddrEncode({ kind: 30444, pubkey: getPublicKey(privateKey), identifier: 'certified' })
+  const { data, dataString } = await new QRCodeGenerator({ baseUrl })
+    .generateSecureCertificate({ id: 'certified', hash: 'ab'.repeat(32), naddr }, privateKey)
+
+  const parsed = physicalIdentifier.parseQRScan(dataString)
+  assert.equal(parsed.format, 'certificate-url')
+  assert.equal(parsed.objectId, 'certified')
+  assert.deepEqual(parsed.certificate, data)
+  assert.equal(parsed.timestamp, data.created_at * 1000)
+})
+
+test('legacy JSON codes and plain physical IDs still scan', () => {
+  const verification = physicalIdentifier.parseQRScan(JSON.stringify({
+    type: 'nostr_object_verification', physicalId, objectId: 'old', timestamp: 1700000000000
+  }))
+  assert.equal(verification.format, 'legacy-json')
+  assert.equal(verification.physicalId, physicalId)
+  assert.equal(verification.objectId, 'old')
+
+  const certificate = physicalIdentifier.parseQRScan(JSON.stringify({ type: 'object-certificate', id: 'old', timestamp: 1700000000000 }))
+  assert.equal(certificate.objectId, 'old')
+  assert.equal(certificate.certificate.type, 'object-certificate')
+  assert.equal(certificate.physicalId, null)
+
+  assert.equal(physicalIdentifier.parseQRScan('{"type":"menu"}').error, 'Invalid QR code format')
+
+  const typed = physicalIdentifier.parseQRScan(`  ${physicalId}  `)
+  assert.equal(typed.format, 'physical-id')
+  assert.equal(typed.physicalId, physicalId)
+  for (const input of ['short', '', null]) {
+    assert.deepEqual(physicalIdentifier.parseQRScan(input), { valid: false, error: 'Could not parse QR code' })
+  }
+})
@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools'
+import { OWNERSHIP_TRANSFER_KIND } from '../utils/nostr.js'
+import { buildProvenanceChain, parsePubkey, ProvenanceError } from '../utils/provenance.js'
+
+const issuerKey = generateSecretKey()
+const issuer = getPublicKey(issuerKey)
+const aliceKey = generateSecretKey()
+const alice = getPublicKey(aliceKey)
+const bobKey = generateSecretKey()
+const bob = getPublicKey(bobKey)
+const carolKey = generateSecretKey()
+const carol = getPublicKey(carolKey)
+
+// An object minted by the issuing server, with no owner yet
+const object = { id: 'provenance-test', nostrEventId: 'f'.repeat(64), createdAt: 1700000000000 }
+
+let clock = 1700000000
+function transfer(key, { prev, to, from = null, type = 'sale', id = object.id }) {
+  return finalizeEvent({
+    kind: OWNERSHIP_TRANSFER_KIND,
+    created_at: ++clock,
+    tags: [
+      ['d', id],
+      ['e', prev, '', 'prev'],
+      ['p', to, '', 'owner'],
+      ...(from ? [['p', from, '', 'previous-owner']] : []),
+      ['prov', type]
+    ],
+    content: ''
+  }, key)
+}
+
+test('parsePubkey accepts hex and npub', () => {
+  assert.equal(parsePubkey(alice.toUpperCase()), alice)
+  assert.throws(() => parsePubkey('npub1notakey'), ProvenanceError)
+})
+
+test('the issuer hands the object on until it has an owner, then only the owner can', () => {
+  const first = transfer(issuerKey, { prev: object.nostrEventId, to: alice })
+  // Once Alice owns it, the issuer's word no longer counts
+  const byIssuer = transfer(issuerKey, { prev: first.id, to: carol, from: alice })
+  const second = transfer(aliceKey, { prev: first.id, to: bob, from: alice })
+  const third = transfer(bobKey, { prev: second.id, to: carol, from: bob, type: 'gift' })
+
+  const events = [third, byIssuer, first, second, first]
+  const result = buildProvenanceChain(object, events, issuer)
+  assert.equal(result.owner, carol)
+  assert.deepEqual(result.chain.map(link => link.type), ['mint', 'sale', 'sale', 'gift'])
+  assert.deepEqual(result.events.map(event => event.id), [first.id, second.id, third.id])
+  assert.equal(result.verified, false)
+  assert.deepEqual(result.issues, [`1 transfer(s) not linked into the chain: ${byIssuer.id}`])
+
+  assert.equal(buildProvenanceChain(object, [first, second, third], issuer).verified, true)
+})
+
+test('transfers by strangers and for other objects are ignored', () => {
+  const first = transfer(issuerKey, { prev: object.nostrEventId, to: alice })
+  const stranger = transfer(carolKey, { prev: first.id, to: carol, from: alice })
+  const elsewhere = transfer(aliceKey, { prev: first.id, to: bob, from: alice, id: 'another-object' })
+
+  const result = buildProvenanceChain(object, [first, stranger, elsewhere], issuer)
+  assert.equal(result.owner, alice)
+  assert.equal(result.verified, true)
+})
+
+test('forks, bad signatures and transfers from a non-owner are reported', () => {
+  const first = transfer(issuerKey, { prev: object.nostrEventId, to: alice })
+  const toBob = transfer(aliceKey, { prev: first.id, to: bob, from: alice })
+  const toCarol = transfer(aliceKey, { prev: first.id, to: carol, from: alice })
+  const fork = buildProvenanceChain(object, [first, toBob, toCarol], issuer)
+  assert.equal(fork.owner, bob)
+  assert.match(fork.issues[0], /^Conflicting transfers after/)
+  assert.equal(fork.verified, false)
+
+  // As it would arrive from a relay, without nostr-tools' cached verification
+  const tampered = { ...JSON.parse(JSON.stringify(toBob)), tags: toBob.tags.map(tag => tag[3] === 'owner' ? ['p', carol, '', 'owner'] : tag) }
+  const forged = buildProvenanceChain(object, [first, tampered], issuer)
+  assert.equal(forged.owner, alice)
+  assert.deepEqual(forged.issues, [`Transfer ${tampered.id} has an invalid signature`])
+
+  const wrongFrom = transfer(aliceKey, { prev: first.id, to: bob, from: carol })
+  const mismatch = buildProvenanceChain(object, [first, wrongFrom], issuer)
+  assert.equal(mismatch.owner, bob)
+  assert.deepEqual(mismatch.issues, [`Transfer ${wrongFrom.id} is from ${carol}, but the owner was ${alice}`])
+})
+
+test('a creator-signed object starts with its creator as the holder', () => {
+  const signed = { ...object, pubkey: alice }
+  const byCreator = transfer(aliceKey, { prev: object.nostrEventId, to: bob })
+  const result = buildProvenanceChain(signed, [byCreator], issuer)
+  assert.equal(result.owner, bob)
+  assert.equal(result.chain[0].signer, alice)
+  assert.equal(result.verified, true)
+})
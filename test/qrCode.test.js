@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, getPublicKey, nip19 } from 'nostr-tools'
+import { QRCodeGenerator, encodeCompactCertificate, decodeCompactCertificate } from '../utils/qrCode.js'
+
+const baseUrl = 'https://verify.example.com'
+const qrGenerator = new QRCodeGenerator({ baseUrl })
+const privateKey = generateSecretKey()
+const pubkey = getPublicKey(privateKey)
+const objectData = {
+  id: 'certified',
+  hash: 'ab'.repeat(32),
+  naddr: nip19.naddrEncode({ kind: 30078, pubkey, identifier: 'certified', relays: ['wss://relay.example.com'] })
+}
+
+test('a secure certificate verifies offline, and only with its own fields', async () => {
+  const { data, dataString } = await qrGenerator.generateSecureCertificate(objectData, privateKey)
+  assert.equal(data.pubkey, pubkey)
+  // Relay hints aren't signed, so they are left out of the QR code
+  assert.equal(nip19.decode(data.naddr).data.relays.length, 0)
+  assert.ok(dataString.startsWith(`${baseUrl}/c/${data.naddr}?s=`))
+  assert.equal(qrGenerator.verifyCertificate(data), true)
+
+  assert.equal(qrGenerator.verifyCertificate({ ...data, hash: 'cd'.repeat(32) }), false)
+  assert.equal(qrGenerator.verifyCertificate({ ...data, created_at: data.created_at + 1 }), false)
+  assert.equal(qrGenerator.verifyCertificate({ ...data, id: 'another-object' }), false)
+  const otherKey = generateSecretKey()
+  const otherNaddr = nip19.naddrEncode({ kind: 30078, pubkey: getPublicKey(otherKey), identifier: 'certified' })
+  assert.equal(qrGenerator.verifyCertificate({ ...data, naddr: otherNaddr, pubkey: getPublicKey(otherKey) }), false)
+})
+
+test('only the key that minted the object can sign its certificate', async () => {
+  await assert.rejects(qrGenerator.generateSecureCertificate(objectData, generateSecretKey()), /minted the object/)
+})
+
+test('compact certificate URLs round-trip, anything else decodes to null', async () => {
+  const { data, dataString } = await qrGenerator.generateSecureCertificate(objectData, privateKey)
+  assert.deepEqual(decodeCompactCertificate(dataString), data)
+  assert.deepEqual(decodeCompactCertificate(encodeCompactCertificate(data, 'http://localhost:12001')), data)
+  assert.deepEqual(qrGenerator.validateCertificateData(dataString), { valid: true, data })
+
+  for (const text of [`${baseUrl}/c/${data.naddr}?s=AAAA&t=${data.created_at}`, `${baseUrl}/v/${data.naddr}`, 'naddr1', 'not a url']) {
+    assert.equal(decodeCompactCertificate(text), null, text)
+  }
+  assert.equal(qrGenerator.validateCertificateData({ ...data, sig: 'short' }).valid, false)
+  assert.equal(qrGenerator.validateCertificateData({ type: 'mystery' }).error, 'Invalid certificate type')
+})
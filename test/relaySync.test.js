@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools'
+import { NostrClient } from '../utils/nostr.js'
+import { RelaySync } from '../utils/relaySync.js'
+import { MemoryStore } from '../utils/storage.js'
+
+const objectData = (uniqueId) => ({
+  uniqueId,
+  name: `Object ${uniqueId}`,
+  type: 'artwork',
+  imageHash: 'a'.repeat(64),
+  artist: 'Test Artist',
+  images: [{ imageUrl: `/api/images/${uniqueId}.jpg`, pHash: 'f'.repeat(64) }]
+})
+
+// A resync against canned relay events: querySync answers identity queries
+// with the events tagging the filter's #p (or authored by its authors)
+function resyncWith(nostrClient, events) {
+  nostrClient.pool.querySync = async (relays, filter) => {
+    if (filter.kinds.includes(nostrClient.objectKind)) {
+      return events.filter(event => filter.authors
+        ? filter.authors.includes(event.pubkey)
+        : event.tags.some(tag => tag[0] === 'p' && filter['#p'].includes(tag[1])))
+    }
+    return []
+  }
+  const store = new MemoryStore()
+  return { store, sync: new RelaySync(nostrClient, store, '/tmp/uploads', null) }
+}
+
+test('resync restores creator-signed objects the server cosigned', async () => {
+  const nostrClient = new NostrClient(null, ['ws://127.0.0.1:1'])
+  const creatorKey = generateSecretKey()
+  const event = finalizeEvent(nostrClient.objectIdentityTemplate(objectData('cosigned'), getPublicKey(creatorKey)), creatorKey)
+  assert.equal(nostrClient.verifyIssuance(event), true)
+
+  const { store, sync } = resyncWith(nostrClient, [event])
+  const result = await sync.resync({ maxWait: 10 })
+  assert.deepEqual(result.restored, ['cosigned'])
+  assert.equal((await store.getObject('cosigned')).pubkey, getPublicKey(creatorKey))
+})
+
+test('resync ignores events that only claim the server as issuer', async () => {
+  const nostrClient = new NostrClient(null, ['ws://127.0.0.1:1'])
+  const creatorKey = generateSecretKey()
+  const template = nostrClient.objectIdentityTemplate(objectData('claimed'), getPublicKey(creatorKey))
+  const forged = finalizeEvent({ ...template, tags: template.tags.filter(tag => tag[0] !== 'issuance') }, creatorKey)
+
+  // A cosignature copied onto an event for another object does not verify
+  const copied = finalizeEvent({
+    ...template,
+    tags: template.tags.map(tag => tag[0] === 'd' ? ['d', 'other'] : tag)
+  }, creatorKey)
+
+  assert.equal(nostrClient.verifyIssuance(forged), false)
+  assert.equal(nostrClient.verifyIssuance(copied), false)
+
+  const { store, sync } = resyncWith(nostrClient, [forged, copied])
+  const result = await sync.resync({ maxWait: 10 })
+  assert.equal(result.objectsFound, 0)
+  assert.equal(await store.countObjects(), 0)
+})
+
+test('resync keeps one event per author and d tag', async () => {
+  const nostrClient = new NostrClient(null, ['ws://127.0.0.1:1'])
+  const creatorKey = generateSecretKey()
+  const own = nostrClient.signObjectIdentity(objectData('shared'))
+  const creator = finalizeEvent(nostrClient.objectIdentityTemplate(objectData('shared'), getPublicKey(creatorKey)), creatorKey)
+
+  const { sync } = resyncWith(nostrClient, [])
+  const latest = sync.latestEventsById([own, creator])
+  assert.deepEqual([...latest.keys()].sort(), [
+    `${getPublicKey(creatorKey)}:shared`,
+    `${nostrClient.publicKey}:shared`
+  ].sort())
+})
+
+test('resync refuses d tags that are not object IDs', async () => {
+  const nostrClient = new NostrClient(null, ['ws://127.0.0.1:1'])
+  const event = nostrClient.signObjectIdentity(objectData('../../etc/passwd'))
+
+  const { store, sync } = resyncWith(nostrClient, [event])
+  const result = await sync.resync({ maxWait: 10 })
+  assert.deepEqual(result.restored, [])
+  assert.equal(result.failed[0].id, '../../etc/passwd')
+  assert.equal(await store.countObjects(), 0)
+})
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateSecretKey, getPublicKey, finalizeEvent, nip57 } from 'nostr-tools'
+import { normalizeSplit, splitAmount, effectiveSplit, loadRevenueSplit, sumShares, SPLIT_PARTIES } from '../utils/revenueSplit.js'
+import { NostrClient } from '../utils/nostr.js'
+import { MemoryStore } from '../utils/storage.js'
+import { ZapService } from '../utils/zaps.js'
+
+test('normalizeSplit fills in missing parties and refuses bad shares', () => {
+  assert.deepEqual(normalizeSplit({ artist: 70, platform: 30 }), { artist: 70, object: 0, platform: 30, owner: 0 })
+  assert.throws(() => normalizeSplit({ artist: 60, object: 30 }), /add up to 100/)
+  assert.throws(() => normalizeSplit({ artist: 110, object: -10 }), /Invalid object share/)
+  assert.throws(() => normalizeSplit({ artist: 100, gallery: 0 }), /Unknown revenue split parties: gallery/)
+  assert.throws(() => loadRevenueSplit('{"artist":'), /Invalid REVENUE_SPLIT/)
+})
+
+test('splitAmount hands out every sat, leftovers to the largest remainders', () => {
+  const split = { artist: 45, object: 45, platform: 10, owner: 0 }
+  assert.deepEqual(splitAmount(21, split), { artist: 10, object: 9, platform: 2, owner: 0 })
+
+  const thirds = normalizeSplit({ artist: 100 / 3, object: 100 / 3, owner: 100 / 3 })
+  for (const amount of [1, 2, 10, 1001]) {
+    const parts = splitAmount(amount, thirds)
+    assert.equal(SPLIT_PARTIES.reduce((sum, party) => sum + parts[party], 0), amount)
+    assert.equal(parts.platform, 0)
+  }
+})
+
+test("effectiveSplit gives the owner's share to the object fund while nobody owns it", () => {
+  const revenueSplit = { artist: 40, object: 30, platform: 10, owner: 20 }
+  assert.deepEqual(effectiveSplit({ revenueSplit }), { artist: 40, object: 50, platform: 10, owner: 0 })
+  assert.deepEqual(effectiveSplit({ revenueSplit, ownerPubkey: 'a'.repeat(64) }), revenueSplit)
+  assert.deepEqual(effectiveSplit({}, { artist: 80, object: 20, platform: 0, owner: 0 }), { artist: 80, object: 20, platform: 0, owner: 0 })
+})
+
+test('a settled zap is recorded once in the ledger with its split', async () => {
+  const store = new MemoryStore()
+  const nostrClient = new NostrClient(null, ['ws://127.0.0.1:1'])
+  const zapService = new ZapService(nostrClient, store, { revenueSplit: { artist: 45, object: 45, platform: 10, owner: 0 } })
+  const lnurlKey = generateSecretKey()
+  await store.createObject({ id: 'ledgered', artist: 'Test Artist', satsBalance: 0, type: 'artwork' })
+
+  const zapRequest = nostrClient.createZapRequest({
+    object: { id: 'ledgered', naddr: null, nostrEventId: 'e'.repeat(64), lud16: 'artist@pay.example.com' },
+    amountMsats: 21000,
+    recipientPubkey: nostrClient.publicKey
+  })
+  const invoice = `lnbc210n1p${'q'.repeat(100)}`
+  await store.createZap({
+    id: zapRequest.id,
+    objectId: 'ledgered',
+    amountMsats: 21000,
+    lud16: 'artist@pay.example.com',
+    invoice,
+    nostrPubkey: getPublicKey(lnurlKey),
+    zapRequest,
+    status: 'pending',
+    createdAt: Date.now()
+  })
+  const receipt = finalizeEvent(nip57.makeZapReceipt({ zapRequest: JSON.stringify(zapRequest), bolt11: invoice, paidAt: new Date() }), lnurlKey)
+  // Only the LNURL server's own receipt pays the zap
+  const forged = finalizeEvent(nip57.makeZapReceipt({ zapRequest: JSON.stringify(zapRequest), bolt11: invoice, paidAt: new Date() }), generateSecretKey())
+  assert.equal((await zapService.handleReceipt(forged)).status, 'invalid')
+  assert.deepEqual(await store.listLedgerEntries({ objectId: 'ledgered' }), [])
+
+  assert.equal((await zapService.handleReceipt(receipt)).status, 'credited')
+  assert.equal((await zapService.handleReceipt(receipt)).status, 'duplicate')
+
+  const entries = await store.listLedgerEntries({ objectId: 'ledgered' })
+  assert.equal(entries.length, 1)
+  assert.equal(entries[0].amount, 21)
+  assert.deepEqual(entries[0].shares, { artist: 10, object: 9, platform: 2, owner: 0 })
+  assert.equal((await store.getObject('ledgered')).satsBalance, 9)
+  assert.deepEqual(sumShares(entries), { artist: 10, object: 9, platform: 2, owner: 0, total: 21 })
+})
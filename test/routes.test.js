@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools'
+import { certificateTemplate, certificatePayload, canonicalNaddr, encodeCompactCertificate } from '../utils/qrCode.js'
+import { rootDir, startServer, createObject, request } from './helpers.js'
+
+const privateKey = generateSecretKey()
+const ADMIN_TOKEN = 'route-test-admin-token'
+
+let server
+let object
+let physicalVerification
+
+before(async () => {
+  server = await startServer({ NOSTR_PRIVATE_KEY: Buffer.from(privateKey).toString('hex'), ADMIN_TOKEN })
+  const created = await createObject(server.url, 'test-book.png', { name: 'Route Test Book' })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  object = created.body.object
+  physicalVerification = created.body.physicalVerification
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+test('GET /api/verify-physical/:physicalId finds the object', async () => {
+  const { status, body } = await request(`${server.url}/api/verify-physical/${encodeURIComponent(physicalVerification.physicalId)}`, 'GET')
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.verified, true)
+  assert.equal(body.object.id, object.id)
+  assert.equal(body.verificationMethod, 'physical_id_url')
+})
+
+test('GET /api/verify-physical/:physicalId answers 404 for unknown IDs', async () => {
+  const { status, body } = await request(`${server.url}/api/verify-physical/NO-SUCH-ID-0000`, 'GET')
+  assert.equal(status, 404)
+  assert.equal(body.verified, false)
+})
+
+test('POST /api/verify-physical finds the object by physical ID', async () => {
+  const { status, body } = await request(`${server.url}/api/verify-physical`, 'POST', { physicalId: physicalVerification.shortId })
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.object.id, object.id)
+})
+
+test('POST /api/verify-physical verifies authentic certificates', async () => {
+  const naddr = canonicalNaddr(object.naddr)
+  const event = finalizeEvent(certificateTemplate({ id: object.id, hash: object.imageHash, naddr, pubkey: getPublicKey(privateKey) }), privateKey)
+  const qrData = encodeCompactCertificate(certificatePayload(event), 'https://example.com')
+
+  const { status, body } = await request(`${server.url}/api/verify-physical`, 'POST', { qrData })
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.verified, true)
+  assert.equal(body.certificate.verdict, 'authentic')
+  assert.equal(body.object.id, object.id)
+})
+
+test('POST /api/verify-physical does not verify certificates it cannot check', async () => {
+  // Unsigned certificates of older QR codes
+  const qrData = JSON.stringify({
+    type: 'object-certificate',
+    id: object.id,
+    name: object.name,
+    artist: object.artist,
+    naddr: object.naddr,
+    hash: object.imageHash,
+    timestamp: Date.now()
+  })
+  const views = (await request(`${server.url}/api/objects/${object.id}`, 'GET')).body.views
+
+  const { status, body } = await request(`${server.url}/api/verify-physical`, 'POST', { qrData })
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.verified, false)
+  assert.equal(body.status, 'unverified')
+  assert.equal(body.certificate.verdict, 'unverified')
+  assert.equal(body.session, undefined)
+  assert.equal((await request(`${server.url}/api/objects/${object.id}`, 'GET')).body.views, views)
+})
+
+test('POST /api/verify-physical refuses certificates that fail a check', async () => {
+  const naddr = canonicalNaddr(object.naddr)
+  const forger = generateSecretKey()
+  const event = finalizeEvent(certificateTemplate({ id: object.id, hash: object.imageHash, naddr, pubkey: getPublicKey(forger) }), forger)
+  const qrData = encodeCompactCertificate(certificatePayload(event), 'https://example.com')
+
+  const { status, body } = await request(`${server.url}/api/verify-physical`, 'POST', { qrData })
+  assert.equal(status, 400, JSON.stringify(body))
+  assert.equal(body.verified, false)
+  assert.equal(body.certificate.verdict, 'invalid')
+})
+
+test('POST /api/objects refuses an image that duplicates an existing object', async () => {
+  const { status, body } = await createObject(server.url, 'test-book.png', { name: 'Route Test Book Again' })
+  assert.equal(status, 409, JSON.stringify(body))
+  assert.equal(body.error, 'Similar object already exists')
+  assert.deepEqual(body.similarObjects.map(match => [match.objectId, match.distance]), [[object.id, 0]])
+  assert.equal(body.newHash, object.pHash)
+})
+
+test('POST /api/verify ranks the matched object first among the candidates', async () => {
+  const form = new FormData()
+  const image = await fs.readFile(path.join(rootDir, 'test-book.png'))
+  form.append('image', new Blob([image], { type: 'image/png' }), 'test-book.png')
+  const response = await fetch(`${server.url}/api/verify?candidates=3`, { method: 'POST', body: form })
+  const body = await response.json()
+
+  assert.equal(response.status, 200, JSON.stringify(body))
+  assert.equal(body.verified, true)
+  assert.equal(body.method, 'direct_phash')
+  assert.equal(body.candidates[0].objectId, object.id)
+  assert.equal(body.candidates[0].stage, 'direct_phash')
+  assert.equal(body.candidates[0].name, object.name)
+})
+
+// Create an object signed by the creator's own key, through the draft flow
+async function createSignedObject(creatorKey, fixture, fields) {
+  const draft = await createObject(server.url, fixture, { signerPubkey: getPublicKey(creatorKey), ...fields })
+  assert.equal(draft.status, 202, JSON.stringify(draft.body))
+  const signed = await request(`${server.url}${draft.body.signUrl}`, 'POST', {
+    event: finalizeEvent(draft.body.event, creatorKey),
+    certificate: finalizeEvent(draft.body.certificate, creatorKey)
+  })
+  assert.equal(signed.status, 200, JSON.stringify(signed.body))
+  return signed.body.object
+}
+
+test("premium content needs the creator's signed event or an admin token", async () => {
+  const creatorKey = generateSecretKey()
+  const gated = await createSignedObject(creatorKey, 'test-image.png', {
+    name: 'Premium Route Test',
+    lud16: 'artist@pay.example.com',
+    payPerViewPrice: '21'
+  })
+  assert.equal(gated.pubkey, getPublicKey(creatorKey))
+  const reply = (key, content) => finalizeEvent({
+    kind: 1,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['e', gated.nostrEventId, '', 'root']],
+    content
+  }, key)
+  const addContent = (body, headers) => request(`${server.url}/api/objects/${gated.id}/content`, 'POST', { premium: true, ...body }, headers)
+
+  assert.equal((await addContent({ content: 'Anonymous' })).status, 401)
+  assert.equal((await addContent({ content: 'Wrong token' }, { Authorization: 'Bearer wrong' })).status, 401)
+  assert.equal((await addContent({ event: reply(generateSecretKey(), 'Someone else') })).status, 403)
+
+  const byCreator = await addContent({ event: reply(creatorKey, 'By the creator') })
+  assert.equal(byCreator.status, 200, JSON.stringify(byCreator.body))
+  const byAdmin = await addContent({ content: 'By an admin' }, { Authorization: `Bearer ${ADMIN_TOKEN}` })
+  assert.equal(byAdmin.status, 200, JSON.stringify(byAdmin.body))
+
+  // Nothing is released without a paid session
+  const premium = await request(`${server.url}/api/objects/${gated.id}/premium`, 'GET')
+  assert.equal(premium.status, 404)
+})
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { MemoryStore, FileStore, StorageConflictError } from '../utils/storage.js'
+
+const hashA = 'a'.repeat(64)
+const hashB = 'b'.repeat(64)
+
+let dir
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'))
+})
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('createObject refuses a hash that belongs to another object', async () => {
+  const store = new MemoryStore()
+  await store.createObject({ id: 'first', type: 'artwork' }, { hashes: [hashA] })
+
+  await assert.rejects(
+    store.createObject({ id: 'second', type: 'artwork' }, { hashes: [hashB, hashA], physicalIds: ['PID-2'] }),
+    (error) => error instanceof StorageConflictError && error.details.hash === hashA && error.details.objectId === 'first'
+  )
+  assert.equal(await store.findObjectIdByHash(hashA), 'first')
+  assert.equal(await store.findObjectIdByHash(hashB), null)
+  assert.equal(await store.getObject('second'), null)
+})
+
+test('createObject refuses hashes that are not hex', async () => {
+  const store = new MemoryStore()
+  await assert.rejects(store.createObject({ id: 'bad', type: 'artwork' }, { hashes: ['not-a-hash'] }), /Invalid image hash/)
+  await assert.rejects(
+    store.createObject({ id: 'bad', type: 'artwork' }, { hashes: [hashA], hashVariants: [{ type: 'rotated_90', hash: 'g'.repeat(64) }] }),
+    /Invalid rotated_90 hash/
+  )
+  assert.equal(await store.getObject('bad'), null)
+  assert.equal(await store.findObjectIdByHash(hashA), null)
+})
+
+test('FileStore undoes a write whose log append fails', async () => {
+  const filePath = path.join(dir, 'undo.json')
+  const store = await new FileStore(filePath).init()
+  await store.createObject({ id: 'kept', type: 'artwork' }, { hashes: [hashA], physicalIds: ['PID-1'] })
+
+  const appendLog = store.appendLog
+  store.appendLog = async () => { throw new Error('disk full') }
+  await assert.rejects(
+    store.createObject({ id: 'lost', type: 'artwork' }, { hashes: [hashB], physicalIds: ['PID-2'] }),
+    /disk full/
+  )
+  store.appendLog = appendLog
+
+  assert.equal(await store.getObject('lost'), null)
+  assert.equal(await store.findObjectIdByHash(hashB), null)
+  assert.equal(await store.findObjectIdByPhysicalId('PID-2'), null)
+  assert.deepEqual(store.getHashIndex().search(hashB, 0).map(match => match.objectId), [])
+  assert.equal((await store.getObject('kept')).id, 'kept')
+  assert.equal(await store.findObjectIdByHash(hashA), 'kept')
+
+  // The next write goes through, and only committed writes reach the log
+  await store.updateObject('kept', { name: 'Kept' })
+  const reloaded = await new FileStore(filePath).init()
+  assert.equal((await reloaded.getObject('kept')).name, 'Kept')
+  assert.equal(await reloaded.getObject('lost'), null)
+})
@@ -0,0 +1,198 @@
+import { test, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import sharp from 'sharp'
+import { imageProcessor } from '../utils/imageProcessing.js'
+import { imageRectifier } from '../utils/imageRectification.js'
+import { AdvancedImageMatcher } from '../utils/advancedImageMatching.js'
+import { HashProfiles } from '../utils/hashProfiles.js'
+import { MemoryStore } from '../utils/storage.js'
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const hashProfiles = new HashProfiles()
+const matcher = new AdvancedImageMatcher(hashProfiles)
+
+const white = { r: 255, g: 255, b: 255, alpha: 1 }
+
+// Deterministic pseudo-random numbers, so every run stores the same objects
+function random(seed) {
+  let state = seed
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648
+    return state / 2147483648
+  }
+}
+
+// A photo of a poster of random shapes on a white wall, different for every
+// seed
+async function poster(seed) {
+  const next = random(seed)
+  const color = () => `rgb(${Math.floor(next() * 256)},${Math.floor(next() * 256)},${Math.floor(next() * 256)})`
+  const shapes = []
+  for (let i = 0; i < 12; i++) {
+    const x = Math.floor(next() * 260)
+    const y = Math.floor(next() * 260)
+    const size = 20 + Math.floor(next() * 80)
+    shapes.push(next() < 0.5
+      ? `<rect x="${x}" y="${y}" width="${size}" height="${Math.floor(size * (0.5 + next()))}" fill="${color()}"/>`
+      : `<circle cx="${x}" cy="${y}" r="${size / 2}" fill="${color()}"/>`)
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="320">
+    <rect width="320" height="320" fill="${color()}"/>${shapes.join('')}
+  </svg>`
+  return sharp(Buffer.from(svg))
+    .extend({ top: 40, bottom: 40, left: 40, right: 40, background: white })
+    .png()
+    .toBuffer()
+}
+
+// Hash an image the way POST /api/objects does, once for both stores
+async function hashImage(image, type = 'artwork') {
+  const { algorithm } = hashProfiles.forType(type)
+  const { buffer } = await imageRectifier.rectify(await imageProcessor.decodeImage(image))
+  const hashData = await imageProcessor.generateRobustPHashFromBuffer(buffer, algorithm)
+  const { colorHistogram, edgeHash, localFeatures } = await matcher.createObjectHashes(buffer, algorithm)
+  return {
+    type,
+    hashes: [{ hash: hashData.primary, algorithm }],
+    hashVariants: hashData.variants.filter(variant => variant.type !== 'original').map(variant => ({ ...variant, algorithm })),
+    features: [{ colorHistogram, edgeHash, localFeatures }]
+  }
+}
+
+// Store a hashed image. Objects restored from relays have no stored
+// variants (withVariants false).
+async function addObject(store, id, { type, hashes, hashVariants, features }, { withVariants = true } = {}) {
+  await store.createObject({ id, type }, {
+    hashes,
+    hashVariants: withVariants ? hashVariants : [],
+    features
+  })
+}
+
+// Verify an image the way POST /api/verify does
+async function verify(store, image, options = {}) {
+  const { buffer } = await imageRectifier.rectify(await imageProcessor.decodeImage(image))
+  const storedFeatures = {
+    get: (objectId) => store.getImageFeatures(objectId)
+  }
+  return matcher.verifyImageMatch(buffer, store.getHashIndexes(), storedFeatures, options)
+}
+
+// A photo of the image turned by `angle` degrees on a white background
+async function turned(image, angle) {
+  return sharp(image).rotate(angle, { background: white }).png().toBuffer()
+}
+
+const POSTERS = 12
+const posters = []
+let store
+let legacyStore
+
+before(async () => {
+  // The matcher logs every stage; keep test output readable
+  mock.method(console, 'log', () => {})
+
+  const fixtures = []
+  for (let seed = 1; seed <= POSTERS; seed++) {
+    const image = await poster(seed)
+    posters.push(image)
+    fixtures.push([`poster-${seed - 1}`, image])
+  }
+  for (const name of ['test-complex', 'test-book', 'test-image']) {
+    fixtures.push([name, await fs.readFile(path.join(rootDir, `${name}.png`))])
+  }
+
+  store = new MemoryStore()
+  legacyStore = new MemoryStore()
+  for (const [id, image] of fixtures) {
+    const hashed = await hashImage(image)
+    await addObject(store, id, hashed)
+    await addObject(legacyStore, id, hashed, { withVariants: false })
+  }
+})
+
+after(() => {
+  mock.restoreAll()
+})
+
+test('the stored image itself matches its own object', async () => {
+  for (const i of [0, 7, 11]) {
+    const { overall } = await verify(store, posters[i])
+    assert.equal(overall.matched, true)
+    assert.equal(overall.method, 'direct_phash')
+    assert.equal(overall.objectId, `poster-${i}`)
+  }
+})
+
+test('a photo rotated by a quarter turn matches its object through a stored variant', async () => {
+  for (const [i, angle] of [[3, 90], [9, 180], [10, 270]]) {
+    const { overall } = await verify(store, await sharp(posters[i]).rotate(angle).png().toBuffer())
+    assert.equal(overall.matched, true, `poster-${i} at ${angle}°`)
+    assert.equal(overall.objectId, `poster-${i}`)
+  }
+
+  const { overall } = await verify(store, await fs.readFile(path.join(rootDir, 'test-90deg.png')))
+  assert.equal(overall.matched, true)
+  assert.equal(overall.method, 'variant_phash')
+  assert.equal(overall.objectId, 'test-complex')
+})
+
+test('a tilted photo is straightened and matches its object', async () => {
+  for (const [i, angle] of [[5, 12], [8, -20], [4, 35]]) {
+    const { overall } = await verify(store, await turned(posters[i], angle))
+    assert.equal(overall.matched, true, `poster-${i} at ${angle}°`)
+    assert.equal(overall.objectId, `poster-${i}`)
+  }
+})
+
+test('a partly covered photo matches its object on keypoints', async () => {
+  const cover = await sharp({ create: { width: 120, height: 120, channels: 3, background: { r: 40, g: 40, b: 40 } } }).png().toBuffer()
+  const image = await sharp(posters[2]).composite([{ input: cover, left: 60, top: 60 }]).png().toBuffer()
+  const { overall, stage5_features, candidates } = await verify(store, image, { candidates: 3 })
+  assert.equal(overall.matched, true)
+  assert.equal(overall.method, 'feature_homography')
+  assert.equal(overall.objectId, 'poster-2')
+  assert.equal(candidates[0].objectId, 'poster-2')
+  assert.equal(candidates[0].stage, 'feature_homography')
+  assert.equal(candidates[0].confidence, stage5_features.confidence)
+})
+
+test('objects without stored variants are matched on the rotated input, returning the rotated object', async () => {
+  assert.equal(store.getHashIndex().unvariedPrimaries, 0)
+  assert.equal(legacyStore.getHashIndex().unvariedPrimaries, POSTERS + 3)
+
+  for (const [i, angle] of [[0, 180], [2, 90], [6, 270], [5, 180]]) {
+    const { overall, stage2_rotation, candidates } = await verify(legacyStore, await sharp(posters[i]).rotate(angle).png().toBuffer(), { candidates: 3 })
+    assert.equal(overall.matched, true, `poster-${i} at ${angle}°`)
+    assert.equal(overall.method, 'rotation_phash')
+    assert.equal(overall.objectId, `poster-${i}`)
+    assert.equal(stage2_rotation.objectId, `poster-${i}`)
+    assert.equal(candidates[0].objectId, `poster-${i}`)
+    assert.equal(candidates[0].stage, 'rotation_phash')
+    const stored = Array.from(legacyStore.getHashIndexes().get(overall.algorithm).entries())
+    assert.equal(overall.hash, stored.find(entry => entry.objectId === `poster-${i}`).hash)
+  }
+})
+
+// test-rotated.png is test-complex.png turned 15°. The texture has no
+// keypoints or edges and, straightened, is still 18 blockhash bits away, so
+// it isn't matched; its object is still the closest candidate.
+test('a tilted photo too far from every hash is left unmatched, with its object as top candidate', async () => {
+  const image = await fs.readFile(path.join(rootDir, 'test-rotated.png'))
+  const { overall, candidates } = await verify(store, image, { candidates: 5 })
+  assert.equal(overall.matched, false)
+  assert.equal(overall.method, 'none')
+  assert.equal(candidates[0].objectId, 'test-complex')
+  assert.equal(candidates[0].stage, null)
+  assert.ok(candidates[0].distance > hashProfiles.thresholdsFor(candidates[0].algorithm, 'artwork').variant)
+})
+
+test('an image of no stored object is rejected', async () => {
+  for (const seed of [101, 202]) {
+    const { overall } = await verify(store, await poster(seed))
+    assert.equal(overall.matched, false, `poster of seed ${seed}`)
+  }
+})
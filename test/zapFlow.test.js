@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { LocalRelay } from '../utils/localRelay.js'
+import { startServer, startMockLnurl, createObject, request } from './helpers.js'
+
+const ADMIN_TOKEN = 'zap-flow-admin-token'
+const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` }
+
+// Pay-per-view end to end without the network: the embedded relay carries
+// the object and zap receipt events, the mock LNURL server issues the
+// invoice and signs the receipt once it is "paid"
+let relay
+let lnurl
+let server
+
+before(async () => {
+  relay = new LocalRelay({ port: 0 })
+  await relay.start()
+  lnurl = await startMockLnurl()
+  server = await startServer({
+    NOSTR_RELAYS: relay.url,
+    LNURL_ALLOW_INSECURE: 'true',
+    ADMIN_TOKEN
+  })
+})
+
+after(async () => {
+  await server?.stop()
+  await lnurl?.stop()
+  await relay?.stop()
+})
+
+// Poll until check() returns something truthy
+async function waitFor(check, timeout = 10000) {
+  const deadline = Date.now() + timeout
+  while (Date.now() < deadline) {
+    const result = await check()
+    if (result) return result
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error('Timed out')
+}
+
+test('a paid verification session unlocks premium content and is recorded in the ledger', async () => {
+  const created = await createObject(server.url, 'test-complex.png', {
+    name: 'Zap Flow Poster',
+    lud16: lnurl.lightningAddress('artist'),
+    payPerViewPrice: '21'
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  const { object, physicalVerification } = created.body
+
+  const premium = await request(`${server.url}/api/objects/${object.id}/content`, 'POST', {
+    content: 'The story behind the poster',
+    premium: true
+  }, admin)
+  assert.equal(premium.status, 200, JSON.stringify(premium.body))
+
+  // Verifying the object starts a session, which stays locked until paid
+  const verified = await request(`${server.url}/api/verify-physical`, 'POST', { physicalId: physicalVerification.shortId })
+  assert.equal(verified.status, 200, JSON.stringify(verified.body))
+  const session = verified.body.session
+  assert.equal(session.offer.price, 21)
+  const sessionHeader = { 'X-Verification-Session': session.id }
+  assert.equal((await request(`${server.url}/api/objects/${object.id}/premium`, 'GET', undefined, sessionHeader)).status, 402)
+
+  const unlock = await request(`${server.url}/api/sessions/${session.id}/unlock`, 'POST', {})
+  assert.equal(unlock.status, 200, JSON.stringify(unlock.body))
+  assert.equal(unlock.body.amount, 21)
+
+  // The receipt reaches the server through the relay
+  const paid = await request(`${lnurl.url}/pay`, 'POST', { invoice: unlock.body.invoice })
+  assert.equal(paid.status, 200, JSON.stringify(paid.body))
+  await waitFor(() => relay.events.has(paid.body.receipt.id))
+  await waitFor(async () => (await request(`${server.url}/api/sessions/${session.id}`, 'GET')).body.unlocked)
+
+  const ledger = await request(`${server.url}/api/objects/${object.id}/ledger`, 'GET')
+  assert.equal(ledger.status, 200, JSON.stringify(ledger.body))
+  assert.equal(ledger.body.entries.length, 1)
+  assert.equal(ledger.body.entries[0].amount, 21)
+  assert.equal(ledger.body.entries[0].sourceId, unlock.body.zapId)
+
+  const content = await request(`${server.url}/api/objects/${object.id}/premium`, 'GET', undefined, sessionHeader)
+  assert.equal(content.status, 200, JSON.stringify(content.body))
+  assert.deepEqual(content.body.content.map(item => item.content), ['The story behind the poster'])
+})
@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { NostrClient } from '../utils/nostr.js'
+import { MemoryStore } from '../utils/storage.js'
+import { ZapService, ZapError, isPrivateHost } from '../utils/zaps.js'
+
+const nostrPubkey = 'c'.repeat(64)
+const object = { id: 'zapped', name: 'Zapped', lud16: 'artist@pay.example.com' }
+
+// Zap service whose LNURL server answers with payRequest and callbackBody
+function zapServiceWith({ payRequest = {}, callbackBody = {} } = {}, options = {}) {
+  const requested = []
+  const fetch = async (url) => {
+    requested.push(url)
+    const body = url.includes('/.well-known/lnurlp/')
+      ? {
+          tag: 'payRequest',
+          callback: 'https://pay.example.com/callback',
+          minSendable: 1000,
+          maxSendable: 100000000,
+          allowsNostr: true,
+          nostrPubkey,
+          ...payRequest
+        }
+      : callbackBody
+    return { ok: true, json: async () => body }
+  }
+  const service = new ZapService(new NostrClient(null, ['ws://127.0.0.1:1']), new MemoryStore(), { fetch, ...options })
+  return { service, requested }
+}
+
+test('isPrivateHost recognizes loopback, private and link-local hosts', () => {
+  for (const host of ['localhost', 'app.localhost', '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1',
+    '169.254.169.254', '0.0.0.0', '[::1]', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateHost(host), true, host)
+  }
+  for (const host of ['pay.example.com', '8.8.8.8', '172.32.0.1', '2001:db8::1']) {
+    assert.equal(isPrivateHost(host), false, host)
+  }
+})
+
+test('lightning addresses on localhost need allowInsecureHosts', () => {
+  const { service } = zapServiceWith()
+  assert.throws(() => service.lnurlpUrl('artist@localhost:12098'), ZapError)
+  assert.throws(() => service.lnurlpUrl('artist@192.168.1.10'), ZapError)
+  assert.equal(service.lnurlpUrl('Artist@pay.example.com'), 'https://pay.example.com/.well-known/lnurlp/artist')
+
+  const { service: development } = zapServiceWith({}, { allowInsecureHosts: true })
+  assert.equal(development.lnurlpUrl('artist@localhost:12098'), 'http://localhost:12098/.well-known/lnurlp/artist')
+  assert.throws(() => development.lnurlpUrl('artist@10.0.0.1'), ZapError)
+})
+
+test('LNURL callbacks must be public HTTPS', async () => {
+  for (const callback of ['http://pay.example.com/callback', 'https://127.0.0.1/callback', 'https://169.254.169.254/latest', 'not a url']) {
+    const { service, requested } = zapServiceWith({ payRequest: { callback } })
+    await assert.rejects(service.requestZap(object, { amount: 21 }), (error) => error instanceof ZapError && error.status === 502, callback)
+    assert.equal(requested.length, 1, callback)
+  }
+})
+
+test('an undecodable invoice is a ZapError', async () => {
+  for (const pr of ['lnbc-not-an-invoice', { bolt11: 'lnbc210n1p' }, 21]) {
+    const { service } = zapServiceWith({ callbackBody: { pr } })
+    await assert.rejects(service.requestZap(object, { amount: 21 }), (error) => error instanceof ZapError && error.status === 422)
+  }
+})
+
+test('an invoice for the requested amount is recorded as a pending zap', async () => {
+  const { service, requested } = zapServiceWith({ callbackBody: { pr: `lnbc210n1p${'q'.repeat(100)}` } })
+  const zap = await service.requestZap(object, { amount: 21 })
+  assert.equal(zap.status, 'pending')
+  assert.equal(zap.amountMsats, 21000)
+  assert.ok(requested[1].startsWith('https://pay.example.com/callback?amount=21000&nostr='))
+})
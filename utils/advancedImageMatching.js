@@ -1,25 +1,24 @@
 import sharp from 'sharp'
-import { imageHash } from 'image-hash'
-import { promisify } from 'util'
-import crypto from 'crypto'
-
-const imageHashAsync = promisify(imageHash)
+import { hexHammingDistance } from './hashIndex.js'
+import { perceptualHasher } from './perceptualHash.js'
+import { HashProfiles, DEFAULT_THRESHOLDS, LEGACY_HASH_ALGORITHM } from './hashProfiles.js'
+import { featureMatcher } from './featureMatching.js'
 
 export class AdvancedImageMatcher {
-  constructor() {
+  // hashProfiles supplies the hash algorithm and distance thresholds per
+  // object type (see hashProfiles.js)
+  constructor(hashProfiles = new HashProfiles()) {
     this.hashCache = new Map()
+    this.hashProfiles = hashProfiles
+    this.fusionWeights = { phash: 0.5, color: 0.25, edge: 0.25 }
+    // Hash-nearby objects compared on local features per verification,
+    // closest first; each comparison runs RANSAC
+    this.maxFeatureCandidates = 8
   }
 
   // Calculate Hamming distance between two hex hashes
   hammingDistance(hash1, hash2) {
-    if (hash1.length !== hash2.length) return Infinity
-    
-    let distance = 0
-    for (let i = 0; i < hash1.length; i++) {
-      const xor = parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)
-      distance += xor.toString(2).split('1').length - 1
-    }
-    return distance
+    return hexHammingDistance(hash1, hash2)
   }
 
   // Generate color histogram for additional matching
@@ -94,6 +93,14 @@ export class AdvancedImageMatcher {
     }
   }
 
+  // Flat images produce (almost) no edges; two empty edge hashes agree
+  // trivially, so they carry no evidence either way
+  isInformativeEdgeHash(edgeHash) {
+    if (!edgeHash) return false
+    const setBits = edgeHash.split('1').length - 1
+    return setBits / edgeHash.length >= 0.02
+  }
+
   // Compare edge hashes
   compareEdgeHashes(edge1, edge2) {
     if (!edge1 || !edge2 || edge1.length !== edge2.length) return 1.0
@@ -106,8 +113,151 @@ export class AdvancedImageMatcher {
     return differences / edge1.length
   }
 
+  // Fuse the per-stage scores of a candidate into a single 0-1 confidence.
+  // Stages without data (e.g. objects stored before histograms were kept)
+  // are left out and the remaining weights renormalized.
+  // The hash score falls to 0 at the candidate radius of the hash's algorithm.
+  fuseConfidence({ distance = Infinity, radius = DEFAULT_THRESHOLDS[LEGACY_HASH_ALGORITHM].candidate, colorDifference = null, edgeDifference = null }) {
+    const scores = [
+      { weight: this.fusionWeights.phash, value: Math.max(0, 1 - distance / radius) },
+      { weight: this.fusionWeights.color, value: colorDifference === null ? null : 1 - colorDifference },
+      { weight: this.fusionWeights.edge, value: edgeDifference === null ? null : 1 - edgeDifference }
+    ].filter(score => score.value !== null)
+
+    const totalWeight = scores.reduce((sum, score) => sum + score.weight, 0)
+    const confidence = scores.reduce((sum, score) => sum + score.weight * score.value, 0) / totalWeight
+    return Math.round(confidence * 1000) / 1000
+  }
+
+  // Stored features are a list with one { colorHistogram, edgeHash,
+  // localFeatures } per object image (a single object for objects stored
+  // before objects could have several images)
+  featuresForImage(features, imageIndex = 0) {
+    if (!Array.isArray(features)) {
+      return features
+    }
+    return features[imageIndex] || features[0] || null
+  }
+
+  // Score a candidate entry from searchIndexes on all stages against the
+  // input image features, using the features of the image the entry's hash
+  // was made from
+  scoreCandidate(entry, storedFeatures, inputHistogram, inputEdgeHash) {
+    const { objectId, distance, thresholds } = entry
+    const features = this.featuresForImage(storedFeatures, entry.imageIndex)
+    const colorDifference = features?.colorHistogram && inputHistogram
+      ? this.compareColorHistograms(inputHistogram, features.colorHistogram)
+      : null
+    const edgeDifference = this.isInformativeEdgeHash(features?.edgeHash) && this.isInformativeEdgeHash(inputEdgeHash)
+      ? this.compareEdgeHashes(inputEdgeHash, features.edgeHash)
+      : null
+
+    return {
+      objectId,
+      distance,
+      colorDifference,
+      edgeDifference,
+      confidence: this.fuseConfidence({ distance, radius: thresholds.candidate, colorDifference, edgeDifference })
+    }
+  }
+
+  // Normalize the input image and compute its perceptual hash with each of
+  // the given algorithms (as algorithm -> hash), color histogram and edge hash
+  async extractInputFeatures(imageBuffer, algorithms = [LEGACY_HASH_ALGORITHM]) {
+    const normalizedBuffer = await sharp(imageBuffer)
+      .rotate() // Auto-rotate based on EXIF
+      .resize(512, 512, { 
+        fit: 'inside',
+        withoutEnlargement: false,
+        background: { r: 255, g: 255, b: 255, alpha: 1 }
+      })
+      .jpeg({ quality: 90 })
+      .toBuffer()
+
+    const jpegBuffer = await sharp(normalizedBuffer).jpeg().toBuffer()
+    const inputHashes = new Map()
+    for (const algorithm of algorithms) {
+      inputHashes.set(algorithm, await perceptualHasher.hash(jpegBuffer, algorithm))
+    }
+
+    return {
+      normalizedBuffer,
+      inputHashes,
+      inputHistogram: await this.generateColorHistogram(normalizedBuffer),
+      inputEdgeHash: await this.generateEdgeHash(normalizedBuffer)
+    }
+  }
+
+  // Search each algorithm's index with the input hash made by that algorithm.
+  // Entries within the named threshold of their object's type (the largest
+  // one, given several names) are returned with their algorithm and
+  // thresholds, ordered by distance relative to the candidate radius so
+  // hashes of different algorithms rank together.
+  searchIndexes(hashIndexes, inputHashes, filter = null, thresholdNames = 'candidate') {
+    const names = [].concat(thresholdNames)
+    const entries = []
+    for (const [algorithm, hashIndex] of hashIndexes) {
+      const inputHash = inputHashes.get(algorithm)
+      if (!inputHash) continue
+
+      const radius = Math.max(...names.map(name => this.hashProfiles.maxThreshold(algorithm, name)))
+      for (const entry of hashIndex.search(inputHash, radius, filter)) {
+        const thresholds = this.hashProfiles.thresholdsFor(algorithm, entry.objectType)
+        if (entry.distance <= Math.max(...names.map(name => thresholds[name]))) {
+          entries.push({ ...entry, algorithm, thresholds, relativeDistance: entry.distance / thresholds.candidate })
+        }
+      }
+    }
+    return entries.sort((a, b) => a.relativeDistance - b.relativeDistance)
+  }
+
+  // Closest entry per object from searchIndexes results
+  closestPerObject(entries) {
+    const closest = new Map()
+    for (const entry of entries) {
+      if (!closest.has(entry.objectId)) {
+        closest.set(entry.objectId, entry)
+      }
+    }
+    return closest
+  }
+
+  // Compare the input's local features with the images of the closest
+  // hash-nearby objects that have stored keypoints and return the best
+  // geometrically verified match, or null
+  async matchLocalFeatures(queryFeatures, storedFeatures, nearby) {
+    const candidates = []
+    for (const objectId of Array.from(this.closestPerObject(nearby).keys()).slice(0, this.maxFeatureCandidates)) {
+      const features = await storedFeatures.get(objectId)
+      for (const [imageIndex, imageFeatures] of (Array.isArray(features) ? features : [features]).entries()) {
+        if (imageFeatures?.localFeatures?.descriptors?.length) {
+          candidates.push([objectId, imageFeatures, imageIndex])
+        }
+      }
+    }
+
+    let best = null
+    for (const [objectId, features, imageIndex] of candidates) {
+      const verification = featureMatcher.verifyFeatures(queryFeatures, features.localFeatures)
+      if (verification.matched && (!best || verification.inliers > best.inliers)) {
+        best = { objectId, imageIndex, ...verification, confidence: featureMatcher.featureConfidence(verification) }
+      }
+    }
+    return best
+  }
+
   // Multi-stage verification system
-  async verifyImageMatch(imageBuffer, storedHashes) {
+  // hashIndexes maps each hash algorithm to a HashIndex over every stored
+  // primary hash and its rotation/scale variants (payloads { objectId,
+  // objectType, type, imageIndex, hasVariants }); each hash is compared with
+  // the input hashed by the same algorithm, within the thresholds of the
+  // object's type. storedFeatures.get(objectId) returns (a promise of) the
+  // object's { colorHistogram, edgeHash, localFeatures } from
+  // createObjectHashes, one per object image.
+  // On a match, overall.objectId, overall.hash and overall.algorithm
+  // identify the stored object and hash that matched. With candidates > 0,
+  // results.candidates ranks that many nearby objects (see rankCandidates).
+  async verifyImageMatch(imageBuffer, hashIndexes, storedFeatures = new Map(), { candidates = 0 } = {}) {
     console.log('Advanced verification - Starting multi-stage matching...')
     
     const results = {
@@ -115,109 +265,243 @@ export class AdvancedImageMatcher {
       stage2_rotation: { matched: false, distance: Infinity, confidence: 0 },
       stage3_color: { matched: false, similarity: 1.0, confidence: 0 },
       stage4_edge: { matched: false, similarity: 1.0, confidence: 0 },
+      stage5_features: { matched: false, inliers: 0, confidence: 0 },
       overall: { matched: false, confidence: 0, method: 'none' }
     }
 
     try {
-      // Normalize the input image
-      const normalizedBuffer = await sharp(imageBuffer)
-        .rotate() // Auto-rotate based on EXIF
-        .resize(512, 512, { 
-          fit: 'inside',
-          withoutEnlargement: false,
-          background: { r: 255, g: 255, b: 255, alpha: 1 }
-        })
-        .jpeg({ quality: 90 })
-        .toBuffer()
+      const input = await this.extractInputFeatures(imageBuffer, Array.from(hashIndexes.keys()))
+      await this.runStages(input, hashIndexes, storedFeatures, results)
+      if (candidates > 0) {
+        results.candidates = await this.rankCandidates(input, hashIndexes, storedFeatures, results, candidates)
+      }
+      return results
+    } catch (error) {
+      console.error('Error in advanced verification:', error)
+      return results
+    }
+  }
 
-      // Generate primary hash for input image
-      const tempPath = `/tmp/verify_${Date.now()}.jpg`
-      await sharp(normalizedBuffer).toFile(tempPath)
-      const inputHash = await imageHashAsync(tempPath, 16, 'hex')
+  // Run the matching stages on the input's features (extractInputFeatures)
+  // until one matches, filling in results. The candidate radius search, when
+  // it was made, is kept as input.nearby.
+  async runStages(input, hashIndexes, storedFeatures, results) {
+    const { normalizedBuffer, inputHashes, inputHistogram, inputEdgeHash } = input
 
-      // STAGE 1: Direct pHash comparison (strictest)
-      console.log('Stage 1: Direct pHash comparison')
-      for (const storedHash of storedHashes) {
-        const distance = this.hammingDistance(inputHash, storedHash)
-        console.log(`  Direct comparison: ${inputHash.substring(0, 16)}... vs ${storedHash.substring(0, 16)}..., distance: ${distance}`)
-        
-        if (distance <= 3) { // Very strict for exact matches
-          results.stage1_phash = { matched: true, distance, confidence: 0.95 }
-          results.overall = { matched: true, confidence: 0.95, method: 'direct_phash' }
-          console.log('  ✓ Stage 1 MATCH: Direct pHash')
-          return results
-        }
-        
-        results.stage1_phash.distance = Math.min(results.stage1_phash.distance, distance)
+    // Stages 1 and 2 only look within the direct and variant thresholds, a
+    // small radius the BK-trees answer quickly; the candidate radius (which
+    // visits most of each tree) is only searched once neither matched
+    const close = this.searchIndexes(hashIndexes, inputHashes, null, ['direct', 'variant'])
+    const closePrimaries = close.filter(entry => entry.type === 'primary')
+    const closeVariants = close.filter(entry => entry.type !== 'primary')
+    results.stage1_phash.distance = closePrimaries[0]?.distance ?? Infinity
+    results.stage2_rotation.distance = closeVariants[0]?.distance ?? Infinity
+
+    // STAGE 1: Direct pHash comparison (strictest), closest stored hash wins
+    console.log('Stage 1: Direct pHash comparison')
+    const directMatch = closePrimaries.find(entry => entry.distance <= entry.thresholds.direct)
+    
+    if (directMatch) {
+      const { hash, algorithm, objectId, distance } = directMatch
+      const score = this.scoreCandidate(directMatch, await storedFeatures.get(objectId), inputHistogram, inputEdgeHash)
+      results.stage1_phash = { matched: true, distance, confidence: score.confidence, hash, algorithm, objectId }
+      results.overall = { matched: true, confidence: score.confidence, method: 'direct_phash', hash, algorithm, objectId }
+      console.log(`  ✓ Stage 1 MATCH: Direct ${algorithm} ${objectId}, distance: ${distance}`)
+      return results
+    }
+
+    // STAGE 2: Rotation-tolerant pHash comparison against stored variants
+    console.log('Stage 2: Rotation-tolerant comparison')
+    const variantMatch = closeVariants.find(entry => entry.distance <= entry.thresholds.variant)
+    
+    if (variantMatch) {
+      const { hash, algorithm, objectId, type, distance } = variantMatch
+      const score = this.scoreCandidate(variantMatch, await storedFeatures.get(objectId), inputHistogram, inputEdgeHash)
+      results.stage2_rotation = { matched: true, distance, confidence: score.confidence, hash, algorithm, objectId, variant: type }
+      results.overall = { matched: true, confidence: score.confidence, method: 'variant_phash', hash, algorithm, objectId }
+      console.log(`  ✓ Stage 2 MATCH: Stored variant ${type} of ${objectId}, distance: ${distance}`)
+      return results
+    }
+
+    // Objects stored without variants (e.g. restored from relays) still
+    // need the input image rotated at request time
+    const isLegacyPrimary = (entry) => entry.type === 'primary' && !entry.hasVariants
+    const legacyIndexes = new Map(Array.from(hashIndexes).filter(([, hashIndex]) => hashIndex.unvariedPrimaries > 0))
+    const rotationAngles = legacyIndexes.size > 0 ? [5, 10, 15, 30, 45, 90, 180, 270, 345, 350, 355] : []
+    
+    for (const angle of rotationAngles) {
+      const rotatedBuffer = await sharp(normalizedBuffer)
+        .rotate(angle, { background: { r: 255, g: 255, b: 255, alpha: 1 } })
+        .jpeg()
+        .toBuffer()
+      const rotatedHashes = new Map()
+      for (const algorithm of legacyIndexes.keys()) {
+        rotatedHashes.set(algorithm, await perceptualHasher.hash(rotatedBuffer, algorithm))
       }
+      // More lenient for rotated images
+      const [rotationMatch] = this.searchIndexes(legacyIndexes, rotatedHashes, isLegacyPrimary, 'variant')
 
-      // STAGE 2: Rotation-tolerant pHash comparison
-      console.log('Stage 2: Rotation-tolerant comparison')
-      const rotationAngles = [5, 10, 15, 30, 45, 90, 180, 270, 345, 350, 355]
-      
-      for (const angle of rotationAngles) {
-        const rotatedBuffer = await sharp(normalizedBuffer)
-          .rotate(angle, { background: { r: 255, g: 255, b: 255, alpha: 1 } })
-          .toBuffer()
-        
-        const rotatedPath = `/tmp/verify_rot${angle}_${Date.now()}.jpg`
-        await sharp(rotatedBuffer).toFile(rotatedPath)
-        const rotatedHash = await imageHashAsync(rotatedPath, 16, 'hex')
-        
-        for (const storedHash of storedHashes) {
-          const distance = this.hammingDistance(rotatedHash, storedHash)
-          
-          if (distance <= 8) { // More lenient for rotated images
-            results.stage2_rotation = { matched: true, distance, confidence: 0.85 }
-            results.overall = { matched: true, confidence: 0.85, method: 'rotation_phash' }
-            console.log(`  ✓ Stage 2 MATCH: Rotation ${angle}°, distance: ${distance}`)
-            return results
-          }
-          
-          results.stage2_rotation.distance = Math.min(results.stage2_rotation.distance, distance)
-        }
+      if (rotationMatch) {
+        const { hash, algorithm, objectId, distance } = rotationMatch
+        const score = this.scoreCandidate(rotationMatch, await storedFeatures.get(objectId), inputHistogram, inputEdgeHash)
+        results.stage2_rotation = { matched: true, distance, confidence: score.confidence, hash, algorithm, objectId, angle }
+        results.overall = { matched: true, confidence: score.confidence, method: 'rotation_phash', hash, algorithm, objectId }
+        console.log(`  ✓ Stage 2 MATCH: Rotation ${angle}° of ${objectId}, distance: ${distance}`)
+        return results
       }
+    }
+
+    // Nothing within the match thresholds: widen to the candidate radius,
+    // which bounds every later stage
+    const nearby = this.searchIndexes(hashIndexes, inputHashes)
+    input.nearby = nearby
+    results.stage1_phash.distance = nearby.find(entry => entry.type === 'primary')?.distance ?? Infinity
+    results.stage2_rotation.distance = nearby.find(entry => entry.type !== 'primary')?.distance ?? Infinity
 
-      // STAGE 3: Color histogram comparison
-      console.log('Stage 3: Color histogram comparison')
-      const inputHistogram = await this.generateColorHistogram(normalizedBuffer)
+    // STAGE 3 + 4: Score every nearby object with stored features on color
+    // histogram and edge pattern, fused with its best pHash distance
+    console.log('Stage 3: Color histogram comparison')
+    console.log('Stage 4: Edge pattern comparison')
+    let bestCandidate = null
+    
+    for (const [objectId, entry] of this.closestPerObject(nearby)) {
+      const features = await storedFeatures.get(objectId)
+      if (!features) continue
       
-      // We need to store color histograms for comparison - for now, skip this stage
-      console.log('  Stage 3 skipped: No stored color histograms available')
+      const score = this.scoreCandidate(entry, features, inputHistogram, inputEdgeHash)
+      
+      if (score.colorDifference !== null) {
+        results.stage3_color.similarity = Math.min(results.stage3_color.similarity, score.colorDifference)
+      }
+      if (score.edgeDifference !== null) {
+        results.stage4_edge.similarity = Math.min(results.stage4_edge.similarity, score.edgeDifference)
+      }
+      
+      if (!bestCandidate || score.confidence > bestCandidate.confidence) {
+        bestCandidate = score
+      }
+    }
 
-      // STAGE 4: Edge pattern comparison
-      console.log('Stage 4: Edge pattern comparison')
-      const inputEdgeHash = await this.generateEdgeHash(normalizedBuffer)
+    if (bestCandidate) {
+      const colorMatched = bestCandidate.colorDifference !== null && bestCandidate.colorDifference <= 0.15
+      const edgeMatched = bestCandidate.edgeDifference !== null && bestCandidate.edgeDifference <= 0.12
+      
+      results.stage3_color = { ...results.stage3_color, matched: colorMatched, confidence: colorMatched ? bestCandidate.confidence : 0 }
+      results.stage4_edge = { ...results.stage4_edge, matched: edgeMatched, confidence: edgeMatched ? bestCandidate.confidence : 0 }
       
-      // We need to store edge hashes for comparison - for now, skip this stage
-      console.log('  Stage 4 skipped: No stored edge hashes available')
-
-      // Clean up temp files
-      try {
-        const fs = await import('fs')
-        await fs.promises.unlink(tempPath)
-        for (const angle of rotationAngles) {
-          try {
-            await fs.promises.unlink(`/tmp/verify_rot${angle}_${Date.now()}.jpg`)
-          } catch (e) {
-            // File might not exist, ignore
-          }
+      // Color and edges alone are weak evidence; require both plus a fused
+      // score that the pHash distance still contributes to
+      if (colorMatched && edgeMatched && bestCandidate.confidence >= 0.7) {
+        results.overall = {
+          matched: true,
+          confidence: bestCandidate.confidence,
+          method: 'color_edge',
+          hash: null,
+          algorithm: null,
+          objectId: bestCandidate.objectId
         }
-      } catch (e) {
-        // Ignore cleanup errors
+        console.log(`  ✓ Stage 3+4 MATCH: ${bestCandidate.objectId}, color: ${bestCandidate.colorDifference.toFixed(3)}, edge: ${bestCandidate.edgeDifference.toFixed(3)}, confidence: ${bestCandidate.confidence}`)
+        return results
       }
+    } else {
+      console.log('  Stages 3 and 4 skipped: No stored color histograms or edge hashes available')
+    }
 
-      console.log('Advanced verification - No matches found in any stage')
+    // STAGE 5: Keypoint matching with geometric verification (homography
+    // via RANSAC), for photos taken at an angle, partly occluded or framed.
+    // Only hash-nearby objects are compared
+    console.log('Stage 5: Feature point matching')
+    if (nearby.length === 0) {
+      console.log('Advanced verification - No matches found in any stage (no hash-nearby objects)')
       return results
+    }
+    const queryFeatures = await featureMatcher.extractQueryFeatures(normalizedBuffer)
+    const featureMatch = await this.matchLocalFeatures(queryFeatures, storedFeatures, nearby)
 
-    } catch (error) {
-      console.error('Error in advanced verification:', error)
+    if (featureMatch) {
+      const { objectId, imageIndex, inliers, matches, coverage, confidence, homography } = featureMatch
+      results.stage5_features = { matched: true, inliers, matches, coverage, confidence, homography, objectId, imageIndex }
+      results.overall = { matched: true, confidence, method: 'feature_homography', hash: null, algorithm: null, objectId }
+      console.log(`  ✓ Stage 5 MATCH: ${objectId}, inliers: ${inliers}/${matches}, coverage: ${coverage}`)
       return results
     }
+
+    console.log('Advanced verification - No matches found in any stage')
+    return results
   }
 
-  // Enhanced object creation with multiple hash types
-  async createObjectHashes(imageBuffer) {
+  // Rank the stored objects near the input image (features from
+  // extractInputFeatures, after runStages) and return the best `limit`
+  // candidates with their closest hash, the stage that matched them (null if
+  // none) and a fused confidence. The object the stages matched ranks first,
+  // with the stage and confidence it matched with; the others are scored on
+  // their hash distance, color and edges.
+  async rankCandidates(input, hashIndexes, storedFeatures, results, limit = 5) {
+    const { inputHashes, inputHistogram, inputEdgeHash } = input
+    // The candidate radius was only searched if no hash stage matched
+    const closest = this.closestPerObject(input.nearby || this.searchIndexes(hashIndexes, inputHashes))
+    const { overall } = results
+    const isMatch = (objectId) => overall.matched && overall.objectId === objectId
+
+    const candidates = []
+    for (const [objectId, entry] of closest) {
+      const features = await storedFeatures.get(objectId)
+      const score = this.scoreCandidate(entry, features, inputHistogram, inputEdgeHash)
+
+      let stage = null
+      if (isMatch(objectId)) {
+        stage = overall.method
+      } else if (entry.type === 'primary' && entry.distance <= entry.thresholds.direct) {
+        stage = 'direct_phash'
+      } else if (entry.type !== 'primary' && entry.distance <= entry.thresholds.variant) {
+        stage = 'variant_phash'
+      } else if (score.colorDifference !== null && score.colorDifference <= 0.15 &&
+        score.edgeDifference !== null && score.edgeDifference <= 0.12 && score.confidence >= 0.7) {
+        stage = 'color_edge'
+      }
+
+      candidates.push({
+        objectId,
+        hash: entry.hash,
+        algorithm: entry.algorithm,
+        variant: entry.type,
+        distance: entry.distance,
+        relativeDistance: entry.relativeDistance,
+        colorDifference: score.colorDifference,
+        edgeDifference: score.edgeDifference,
+        stage,
+        matched: stage !== null,
+        confidence: isMatch(objectId) ? overall.confidence : score.confidence
+      })
+    }
+
+    // A rotated input can match an object whose hash is beyond the
+    // candidate radius of the input as given
+    if (overall.matched && !closest.has(overall.objectId)) {
+      const stageResult = overall.method === 'rotation_phash' ? results.stage2_rotation : results.stage5_features
+      candidates.push({
+        objectId: overall.objectId,
+        hash: overall.hash,
+        algorithm: overall.algorithm,
+        variant: overall.method === 'rotation_phash' ? `rotation_${stageResult.angle}` : null,
+        distance: stageResult.distance ?? null,
+        relativeDistance: Infinity,
+        colorDifference: null,
+        edgeDifference: null,
+        stage: overall.method,
+        matched: true,
+        confidence: overall.confidence
+      })
+    }
+
+    return candidates
+      .sort((a, b) => isMatch(b.objectId) - isMatch(a.objectId) || b.confidence - a.confidence || a.relativeDistance - b.relativeDistance)
+      .slice(0, limit)
+      .map(({ relativeDistance, ...candidate }) => candidate)
+  }
+
+  // Enhanced object creation with multiple hash types and local features
+  async createObjectHashes(imageBuffer, algorithm = LEGACY_HASH_ALGORITHM) {
     try {
       const normalizedBuffer = await sharp(imageBuffer)
         .rotate() // Auto-rotate based on EXIF
@@ -229,25 +513,17 @@ export class AdvancedImageMatcher {
         .jpeg({ quality: 90 })
         .toBuffer()
 
-      const tempPath = `/tmp/create_${Date.now()}.jpg`
-      await sharp(normalizedBuffer).toFile(tempPath)
-      
-      const primaryHash = await imageHashAsync(tempPath, 16, 'hex')
+      const primaryHash = await perceptualHasher.hash(await sharp(normalizedBuffer).jpeg().toBuffer(), algorithm)
       const colorHistogram = await this.generateColorHistogram(normalizedBuffer)
       const edgeHash = await this.generateEdgeHash(normalizedBuffer)
-
-      // Clean up
-      try {
-        const fs = await import('fs')
-        await fs.promises.unlink(tempPath)
-      } catch (e) {
-        // Ignore cleanup errors
-      }
+      const localFeatures = await featureMatcher.extractFeatures(normalizedBuffer)
 
       return {
         primaryHash,
+        algorithm,
         colorHistogram,
         edgeHash,
+        localFeatures,
         timestamp: Date.now()
       }
     } catch (error) {
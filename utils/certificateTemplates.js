@@ -0,0 +1,203 @@
+import fs from 'fs'
+import path from 'path'
+
+// Printed wording of physical certificates per language. Templates pick a
+// language and may override any of these with their own `labels`.
+export const CERTIFICATE_STRINGS = {
+  en: {
+    title: 'NOSTR OBJECT ID',
+    name: 'Name',
+    artist: 'Artist',
+    type: 'Type',
+    physicalId: 'Physical ID:',
+    verifyUrl: 'Scan QR or visit:',
+    statement: 'This certificate proves object authenticity',
+    createdAt: 'Created:'
+  },
+  fr: {
+    title: 'IDENTIFIANT NOSTR',
+    name: 'Nom',
+    artist: 'Artiste',
+    type: 'Type',
+    physicalId: 'ID physique :',
+    verifyUrl: 'Scannez le QR ou visitez :',
+    statement: "Ce certificat atteste l'authenticité de l'objet",
+    createdAt: 'Créé le'
+  },
+  de: {
+    title: 'NOSTR-OBJEKT-ID',
+    name: 'Name',
+    artist: 'Künstler',
+    type: 'Typ',
+    physicalId: 'Physische ID:',
+    verifyUrl: 'QR scannen oder besuchen:',
+    statement: 'Dieses Zertifikat belegt die Echtheit des Objekts',
+    createdAt: 'Erstellt:'
+  },
+  es: {
+    title: 'ID DE OBJETO NOSTR',
+    name: 'Nombre',
+    artist: 'Artista',
+    type: 'Tipo',
+    physicalId: 'ID física:',
+    verifyUrl: 'Escanee el QR o visite:',
+    statement: 'Este certificado acredita la autenticidad del objeto',
+    createdAt: 'Creado:'
+  }
+}
+
+// Fields a certificate can print, in the order given by a template
+export const CERTIFICATE_FIELDS = ['name', 'artist', 'type', 'physicalId', 'verifyUrl', 'statement', 'createdAt']
+
+// The built-in template: the original black on white certificate
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  width: 400,
+  height: 300,
+  language: 'en',
+  labels: {},
+  logo: null,
+  font: 'Arial',
+  monoFont: 'monospace',
+  colors: {
+    background: '#ffffff',
+    panel: '#ffffff',
+    border: '#000000',
+    title: '#000000',
+    text: '#000000'
+  },
+  fields: CERTIFICATE_FIELDS
+}
+
+function checkColor(value, name) {
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+    throw new Error(`${name} must be a hex colour like #1a2b3c`)
+  }
+  return value
+}
+
+// Certificate templates by name and the template used for each object type.
+// Config shape:
+//   {
+//     "templates": {
+//       "gallery": {
+//         "logo": "branding/logo.png",
+//         "language": "fr",
+//         "labels": { "title": "CERTIFICAT D'AUTHENTICITÉ" },
+//         "colors": { "background": "#fdf8ef", "border": "#8b5a2b", "title": "#8b5a2b" },
+//         "font": "Georgia",
+//         "fields": ["name", "artist", "physicalId", "statement", "createdAt"]
+//       }
+//     },
+//     "default": "gallery",
+//     "types": { "painting": "gallery" }
+//   }
+// Templates start from the built-in "default" template, so they only give
+// what they change. Logo paths are relative to the working directory.
+export class CertificateTemplates {
+  constructor(config = {}) {
+    this.templates = new Map()
+    this.register('default', {})
+    for (const [name, template] of Object.entries(config.templates || {})) {
+      this.register(name, template)
+    }
+
+    this.defaultName = config.default || 'default'
+    this.get(this.defaultName)
+    this.typeTemplates = new Map(Object.entries(config.types || {}))
+    for (const [type, name] of this.typeTemplates) {
+      if (!this.templates.has(name)) {
+        throw new Error(`Type "${type}" uses unknown certificate template "${name}"`)
+      }
+    }
+  }
+
+  // Add (or replace) a template. Throws when it can't be used.
+  register(name, template) {
+    const base = DEFAULT_CERTIFICATE_TEMPLATE
+    const language = template.language || base.language
+    if (!CERTIFICATE_STRINGS[language]) {
+      throw new Error(`Certificate template "${name}": unknown language "${language}" (one of ${Object.keys(CERTIFICATE_STRINGS).join(', ')})`)
+    }
+
+    const fields = template.fields || base.fields
+    const unknownField = fields.find(field => !CERTIFICATE_FIELDS.includes(field))
+    if (unknownField) {
+      throw new Error(`Certificate template "${name}": unknown field "${unknownField}" (one of ${CERTIFICATE_FIELDS.join(', ')})`)
+    }
+
+    const colors = { ...base.colors, ...(template.colors || {}) }
+    for (const [key, value] of Object.entries(colors)) {
+      checkColor(value, `Certificate template "${name}": colors.${key}`)
+    }
+
+    const width = template.width ?? base.width
+    const height = template.height ?? base.height
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 300 || height < 200 || width > 4000 || height > 4000) {
+      throw new Error(`Certificate template "${name}": width and height must be whole pixels, at least 300 x 200`)
+    }
+
+    let logo = null
+    if (template.logo) {
+      logo = path.resolve(template.logo)
+      if (!fs.existsSync(logo)) {
+        throw new Error(`Certificate template "${name}": logo not found at ${logo}`)
+      }
+    }
+
+    const resolved = {
+      name,
+      width,
+      height,
+      language,
+      labels: { ...CERTIFICATE_STRINGS[language], ...(template.labels || {}) },
+      logo,
+      font: template.font || base.font,
+      monoFont: template.monoFont || base.monoFont,
+      colors,
+      fields
+    }
+    this.templates.set(name, resolved)
+    return resolved
+  }
+
+  get(name) {
+    const template = this.templates.get(name)
+    if (!template) {
+      throw new Error(`Unknown certificate template "${name}"`)
+    }
+    return template
+  }
+
+  has(name) {
+    return this.templates.has(name)
+  }
+
+  // Template of an object type
+  forType(type) {
+    return this.get(this.typeTemplates.get(type) || this.defaultName)
+  }
+
+  toJSON() {
+    return {
+      default: this.defaultName,
+      types: Object.fromEntries(this.typeTemplates),
+      templates: Array.from(this.templates.values()).map(({ logo, ...template }) => ({
+        ...template,
+        logo: logo ? path.basename(logo) : null
+      }))
+    }
+  }
+}
+
+// Templates from the CERTIFICATE_TEMPLATES environment variable (JSON)
+export function loadCertificateTemplates(json = process.env.CERTIFICATE_TEMPLATES) {
+  if (!json) {
+    return new CertificateTemplates()
+  }
+
+  try {
+    return new CertificateTemplates(JSON.parse(json))
+  } catch (error) {
+    throw new Error(`Invalid CERTIFICATE_TEMPLATES: ${error.message}`)
+  }
+}
@@ -0,0 +1,118 @@
+import { nip19 } from 'nostr-tools'
+
+// Checks a certificate scanned from an object certificate QR code and gives
+// a verdict. Each check is { ok, detail }, with ok null when the check could
+// not be made (unsigned certificate, nothing to compare against):
+//   structure  the payload is a known certificate type with its fields
+//   signature  the BIP-340 signature is by the key that minted the object
+//   naddr      the naddr points at an identity event this server knows, or
+//              that the relays have
+//   hash       the image hash is the one recorded when the object was minted
+// The verdict is 'authentic' when every check passed, 'invalid' when one
+// failed and 'unverified' otherwise.
+export class CertificateVerifier {
+  constructor(store, nostrClient, qrGenerator) {
+    this.store = store
+    this.nostrClient = nostrClient
+    this.qrGenerator = qrGenerator
+  }
+
+  async verify(scanned) {
+    const structure = this.qrGenerator.validateCertificateData(scanned)
+    if (!structure.valid) {
+      return this.verdict(null, { structure: { ok: false, detail: structure.error } })
+    }
+
+    const data = structure.data
+    const checks = {
+      structure: { ok: true, detail: `${data.type} (version ${data.version || '1.0'})` },
+      signature: this.checkSignature(data)
+    }
+
+    const { check, object, event } = await this.resolveNaddr(data)
+    checks.naddr = check
+    checks.hash = this.checkHash(data, object, event)
+
+    return this.verdict(data, checks, object)
+  }
+
+  checkSignature(data) {
+    if (data.type === 'object-certificate') {
+      return { ok: null, detail: 'Certificate is not signed' }
+    }
+    if (data.version === '1.0') {
+      return { ok: null, detail: 'Version 1.0 signatures cannot be verified; download the certificate again for a signed one' }
+    }
+    if (!this.qrGenerator.verifyCertificate(data)) {
+      return { ok: false, detail: 'Signature is invalid or not by the key that minted the object' }
+    }
+    return { ok: true, detail: `Signed by ${nip19.npubEncode(data.pubkey)}` }
+  }
+
+  // Identity event the certificate's naddr points at: the object's own when
+  // it is in the store (under the current or the legacy kind), else the
+  // relays' copy
+  async resolveNaddr(data) {
+    let address
+    try {
+      const decoded = nip19.decode(data.naddr)
+      if (decoded.type !== 'naddr') throw new Error('not an naddr')
+      address = decoded.data
+    } catch (error) {
+      return { check: { ok: false, detail: 'naddr is not a valid Nostr address' } }
+    }
+    if (address.identifier !== data.id) {
+      return { check: { ok: false, detail: 'naddr points at another object' } }
+    }
+
+    const object = await this.store.getObject(data.id)
+    const objectPubkey = object && this.nostrClient.objectAddress(object)?.split(':')[1]
+    if (object && objectPubkey === address.pubkey && this.nostrClient.objectKinds.includes(address.kind)) {
+      return {
+        check: { ok: true, detail: 'Known object', eventId: object.nostrEventId, source: 'store' },
+        object
+      }
+    }
+
+    let event = null
+    try {
+      event = await this.nostrClient.findEventByAddress(address)
+    } catch (error) {
+      console.warn('Error resolving certificate naddr:', error.message)
+    }
+    if (!event) {
+      return { check: { ok: false, detail: 'No identity event found at this address' }, object: null }
+    }
+    return {
+      check: { ok: true, detail: 'Identity event found on the relays', eventId: event.id, source: 'relays' },
+      object: null,
+      event
+    }
+  }
+
+  checkHash(data, object, event) {
+    const expected = object
+      ? object.imageHash
+      : event?.tags.find(tag => tag[0] === 'hash')?.[1]
+    if (!expected) {
+      return { ok: null, detail: 'No recorded image hash to compare with' }
+    }
+    return expected === data.hash
+      ? { ok: true, detail: 'Image hash matches the minted image' }
+      : { ok: false, detail: 'Image hash does not match the minted image' }
+  }
+
+  verdict(data, checks, object = null) {
+    const results = Object.values(checks)
+    const valid = results.length === 4 && results.every(check => check.ok === true)
+    return {
+      valid,
+      verdict: results.some(check => check.ok === false) ? 'invalid' : valid ? 'authentic' : 'unverified',
+      type: data?.type ?? null,
+      version: data ? data.version || '1.0' : null,
+      objectId: data?.id ?? null,
+      checks,
+      object
+    }
+  }
+}
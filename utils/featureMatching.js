@@ -0,0 +1,472 @@
+import sharp from 'sharp'
+
+// FAST-9 test circle (radius 3), clockwise from the top
+const FAST_CIRCLE = [
+  [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+  [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+]
+
+const PATCH_RADIUS = 15 // orientation patch
+const PAIR_RADIUS = 12 // BRIEF test pairs are clipped to this box
+const BORDER = 20 // keeps rotated test pairs and the patch inside the image
+
+// Small seeded PRNG (mulberry32), so sampling patterns and RANSAC runs are
+// the same on every server
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// 256 BRIEF point pairs drawn from an isotropic Gaussian around the keypoint
+function buildBriefPattern(random) {
+  const gaussian = () => {
+    const u = Math.max(random(), 1e-12)
+    const v = random()
+    const value = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * 6
+    return Math.max(-PAIR_RADIUS, Math.min(PAIR_RADIUS, Math.round(value)))
+  }
+  return Array.from({ length: 256 }, () => [gaussian(), gaussian(), gaussian(), gaussian()])
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555)
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+// Solve the square linear system A x = b (Gaussian elimination with partial
+// pivoting). Returns null for singular systems.
+function solveLinearSystem(A, b) {
+  const n = b.length
+  const m = A.map((row, i) => [...row, b[i]])
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null
+    ;[m[col], m[pivot]] = [m[pivot], m[col]]
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col]
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k]
+    }
+  }
+
+  const x = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n]
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k]
+    x[row] = sum / m[row][row]
+  }
+  return x
+}
+
+function multiply3x3(a, b) {
+  const result = new Array(9).fill(0)
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col]
+    }
+  }
+  return result
+}
+
+// Similarity transform that moves points to their centroid and scales them
+// to an average distance of sqrt(2) (Hartley normalization)
+function normalizationTransform(points) {
+  const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length
+  const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length
+  const meanDistance = points.reduce((sum, [x, y]) => sum + Math.hypot(x - cx, y - cy), 0) / points.length || 1
+  const s = Math.SQRT2 / meanDistance
+  return {
+    matrix: [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1],
+    inverse: [1 / s, 0, cx, 0, 1 / s, cy, 0, 0, 1],
+    apply: ([x, y]) => [s * (x - cx), s * (y - cy)]
+  }
+}
+
+function boundingBoxArea(points) {
+  const xs = points.map(([x]) => x)
+  const ys = points.map(([, y]) => y)
+  return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys))
+}
+
+export function projectPoint(h, [x, y]) {
+  const w = h[6] * x + h[7] * y + h[8]
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w]
+}
+
+// Homography (row-major 3x3, h33 = 1) mapping each source point onto its
+// destination point, least squares for more than 4 pairs
+export function fitHomography(sourcePoints, destinationPoints) {
+  const source = normalizationTransform(sourcePoints)
+  const destination = normalizationTransform(destinationPoints)
+
+  const normal = Array.from({ length: 8 }, () => new Array(8).fill(0))
+  const rhs = new Array(8).fill(0)
+  const addRow = (row, value) => {
+    for (let i = 0; i < 8; i++) {
+      rhs[i] += row[i] * value
+      for (let j = 0; j < 8; j++) normal[i][j] += row[i] * row[j]
+    }
+  }
+
+  for (let i = 0; i < sourcePoints.length; i++) {
+    const [x, y] = source.apply(sourcePoints[i])
+    const [u, v] = destination.apply(destinationPoints[i])
+    addRow([x, y, 1, 0, 0, 0, -x * u, -y * u], u)
+    addRow([0, 0, 0, x, y, 1, -x * v, -y * v], v)
+  }
+
+  const solution = solveLinearSystem(normal, rhs)
+  if (!solution || solution.some(value => !Number.isFinite(value))) return null
+
+  const h = multiply3x3(destination.inverse, multiply3x3([...solution, 1], source.matrix))
+  return h.map(value => value / h[8])
+}
+
+// ORB-style local features (oriented FAST keypoints + rotated BRIEF
+// descriptors) and geometric verification, in pure JS. Keypoints are found
+// on a small image pyramid so moderately scaled photos still match.
+export class FeatureMatcher {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 320 // longest side of the base level
+    this.maxKeypoints = options.maxKeypoints || 300
+    // Verification photos often show the object small (framed, on a wall),
+    // so they are analysed at a higher resolution with more keypoints
+    this.queryMaxSize = options.queryMaxSize || 480
+    this.queryMaxKeypoints = options.queryMaxKeypoints || 500
+    this.fastThreshold = options.fastThreshold || 20
+    this.pyramidScales = options.pyramidScales || [1, 0.71, 0.5, 0.35]
+    this.maxDescriptorDistance = options.maxDescriptorDistance || 64 // of 256 bits
+    this.ratioTest = options.ratioTest || 0.8
+    this.ransacIterations = options.ransacIterations || 1000
+    this.inlierThreshold = options.inlierThreshold || 5 // pixels at base level
+    this.minInliers = options.minInliers || 15
+    this.minInlierRatio = options.minInlierRatio || 0.25
+    this.minCoverage = options.minCoverage || 0.3
+    this.pattern = buildBriefPattern(createRandom(0x0b5e55ed))
+  }
+
+  // Greyscale pixels of one pyramid level, plus a smoothed copy for the
+  // BRIEF tests
+  async loadLevel(imageBuffer, width, height) {
+    const base = sharp(imageBuffer)
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+
+    const pixels = await base.clone().raw().toBuffer()
+    const smoothed = await base.clone().blur(1.2).raw().toBuffer()
+    return { pixels, smoothed, width, height }
+  }
+
+  // FAST-9 corner score: 0 if fewer than 9 contiguous circle pixels are all
+  // brighter or all darker than the center by the threshold
+  fastScore(pixels, width, x, y) {
+    const center = pixels[y * width + x]
+    const threshold = this.fastThreshold
+    const differences = FAST_CIRCLE.map(([dx, dy]) => pixels[(y + dy) * width + x + dx] - center)
+
+    for (const sign of [1, -1]) {
+      let run = 0
+      for (let i = 0; i < 16 + 8; i++) {
+        if (sign * differences[i % 16] > threshold) {
+          run++
+          if (run >= 9) {
+            return differences.reduce((sum, difference) => sum + Math.max(0, sign * difference - threshold), 0)
+          }
+        } else {
+          run = 0
+        }
+      }
+    }
+    return 0
+  }
+
+  // Harris corner response over a 7x7 window, used to rank FAST corners
+  harrisResponse(pixels, width, x, y) {
+    let a = 0
+    let b = 0
+    let c = 0
+    for (let dy = -3; dy <= 3; dy++) {
+      for (let dx = -3; dx <= 3; dx++) {
+        const offset = (y + dy) * width + x + dx
+        const ix = pixels[offset + 1] - pixels[offset - 1]
+        const iy = pixels[offset + width] - pixels[offset - width]
+        a += ix * ix
+        b += iy * iy
+        c += ix * iy
+      }
+    }
+    return a * b - c * c - 0.04 * (a + b) * (a + b)
+  }
+
+  // Orientation from the intensity centroid of a circular patch
+  orientation(pixels, width, x, y) {
+    let m01 = 0
+    let m10 = 0
+    for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+      const span = Math.floor(Math.sqrt(PATCH_RADIUS * PATCH_RADIUS - dy * dy))
+      for (let dx = -span; dx <= span; dx++) {
+        const value = pixels[(y + dy) * width + x + dx]
+        m10 += dx * value
+        m01 += dy * value
+      }
+    }
+    return Math.atan2(m01, m10)
+  }
+
+  describe(smoothed, width, x, y, angle) {
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    const descriptor = new Uint32Array(8)
+    const sample = (px, py) => smoothed[
+      Math.round(y + px * sin + py * cos) * width + Math.round(x + px * cos - py * sin)
+    ]
+
+    this.pattern.forEach(([x1, y1, x2, y2], bit) => {
+      if (sample(x1, y1) < sample(x2, y2)) {
+        descriptor[bit >>> 5] |= 1 << (bit & 31)
+      }
+    })
+    return descriptor
+  }
+
+  detectLevel(level, scale) {
+    const { pixels, smoothed, width, height } = level
+    const scores = new Float32Array(width * height)
+
+    for (let y = BORDER; y < height - BORDER; y++) {
+      for (let x = BORDER; x < width - BORDER; x++) {
+        scores[y * width + x] = this.fastScore(pixels, width, x, y)
+      }
+    }
+
+    const keypoints = []
+    for (let y = BORDER; y < height - BORDER; y++) {
+      for (let x = BORDER; x < width - BORDER; x++) {
+        const score = scores[y * width + x]
+        if (score === 0) continue
+
+        // 3x3 non-maximum suppression
+        let isMaximum = true
+        for (let dy = -1; dy <= 1 && isMaximum; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if ((dx || dy) && scores[(y + dy) * width + x + dx] > score) {
+              isMaximum = false
+              break
+            }
+          }
+        }
+        if (!isMaximum) continue
+
+        keypoints.push({ x, y, scale, response: this.harrisResponse(pixels, width, x, y) })
+      }
+    }
+
+    return keypoints.map(keypoint => {
+      const angle = this.orientation(pixels, width, keypoint.x, keypoint.y)
+      return { ...keypoint, descriptor: this.describe(smoothed, width, keypoint.x, keypoint.y, angle) }
+    })
+  }
+
+  // Keypoints and descriptors of an image, in a JSON-friendly form:
+  // { width, height, keypoints: [[x, y], ...], descriptors: [hex, ...] }
+  // Coordinates are in the base level (longest side maxSize).
+  async extractFeatures(imageBuffer, { maxSize = this.maxSize, maxKeypoints = this.maxKeypoints } = {}) {
+    const metadata = await sharp(imageBuffer).metadata()
+    const ratio = maxSize / Math.max(metadata.width, metadata.height)
+    const width = Math.max(1, Math.round(metadata.width * ratio))
+    const height = Math.max(1, Math.round(metadata.height * ratio))
+
+    let candidates = []
+    for (const scale of this.pyramidScales) {
+      const levelWidth = Math.round(width * scale)
+      const levelHeight = Math.round(height * scale)
+      if (levelWidth <= 2 * BORDER || levelHeight <= 2 * BORDER) continue
+
+      const level = await this.loadLevel(imageBuffer, levelWidth, levelHeight)
+      candidates = candidates.concat(this.detectLevel(level, scale))
+    }
+
+    const strongest = candidates
+      .sort((a, b) => b.response - a.response)
+      .slice(0, maxKeypoints)
+
+    return {
+      width,
+      height,
+      keypoints: strongest.map(({ x, y, scale }) => [
+        Math.round((x / scale) * 10) / 10,
+        Math.round((y / scale) * 10) / 10
+      ]),
+      descriptors: strongest.map(({ descriptor }) =>
+        Array.from(descriptor, word => word.toString(16).padStart(8, '0')).join('')
+      )
+    }
+  }
+
+  parseDescriptors(descriptors) {
+    const words = new Uint32Array(descriptors.length * 8)
+    descriptors.forEach((hex, i) => {
+      for (let w = 0; w < 8; w++) {
+        words[i * 8 + w] = parseInt(hex.substring(w * 8, w * 8 + 8), 16)
+      }
+    })
+    return words
+  }
+
+  // Nearest stored descriptor for each query descriptor, kept when it is
+  // close enough and clearly better than the second nearest (ratio test)
+  matchDescriptors(queryFeatures, storedFeatures) {
+    const query = this.parseDescriptors(queryFeatures.descriptors)
+    const stored = this.parseDescriptors(storedFeatures.descriptors)
+    const storedCount = storedFeatures.descriptors.length
+    const matches = []
+
+    for (let q = 0; q < queryFeatures.descriptors.length; q++) {
+      let best = Infinity
+      let second = Infinity
+      let bestIndex = -1
+
+      for (let s = 0; s < storedCount; s++) {
+        let distance = 0
+        for (let w = 0; w < 8; w++) {
+          distance += popcount32(query[q * 8 + w] ^ stored[s * 8 + w])
+        }
+        if (distance < best) {
+          second = best
+          best = distance
+          bestIndex = s
+        } else if (distance < second) {
+          second = distance
+        }
+      }
+
+      if (best <= this.maxDescriptorDistance && best < this.ratioTest * second) {
+        matches.push({ queryIndex: q, storedIndex: bestIndex, distance: best })
+      }
+    }
+    return matches
+  }
+
+  // A homography is plausible when it keeps the stored image's corners in
+  // a convex, non-mirrored quadrilateral
+  isPlausibleHomography(h, width, height) {
+    const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(corner => projectPoint(h, corner))
+    if (corners.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y))) return false
+
+    for (let i = 0; i < 4; i++) {
+      const [ax, ay] = corners[i]
+      const [bx, by] = corners[(i + 1) % 4]
+      const [cx, cy] = corners[(i + 2) % 4]
+      if ((bx - ax) * (cy - by) - (by - ay) * (cx - bx) <= 0) return false
+    }
+    return true
+  }
+
+  // RANSAC homography from stored keypoints to query keypoints. Returns
+  // { homography, inliers } for the best model, or null.
+  estimateHomography(matches, queryFeatures, storedFeatures) {
+    if (matches.length < 4) return null
+
+    const random = createRandom(0x5eed ^ matches.length)
+    const source = matches.map(match => storedFeatures.keypoints[match.storedIndex])
+    const destination = matches.map(match => queryFeatures.keypoints[match.queryIndex])
+    const thresholdSquared = this.inlierThreshold * this.inlierThreshold
+
+    const inliersOf = (h) => {
+      const inliers = []
+      for (let i = 0; i < matches.length; i++) {
+        const [x, y] = projectPoint(h, source[i])
+        const dx = x - destination[i][0]
+        const dy = y - destination[i][1]
+        if (dx * dx + dy * dy <= thresholdSquared) inliers.push(i)
+      }
+      return inliers
+    }
+
+    let best = null
+    let iterations = this.ransacIterations
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const sample = new Set()
+      while (sample.size < 4) sample.add(Math.floor(random() * matches.length))
+      const indices = Array.from(sample)
+
+      const h = fitHomography(indices.map(i => source[i]), indices.map(i => destination[i]))
+      if (!h || !this.isPlausibleHomography(h, storedFeatures.width, storedFeatures.height)) continue
+
+      const inliers = inliersOf(h)
+      if (!best || inliers.length > best.inliers.length) {
+        best = { homography: h, inliers }
+
+        // Stop early once 99% sure an all-inlier sample has been drawn
+        const inlierRatio = inliers.length / matches.length
+        const allInlierSample = Math.pow(inlierRatio, 4)
+        if (allInlierSample >= 1) break
+        iterations = Math.min(iterations, Math.ceil(Math.log(0.01) / Math.log(1 - allInlierSample)))
+      }
+    }
+
+    if (!best || best.inliers.length < 4) return null
+
+    // Refit on all inliers
+    const refined = fitHomography(best.inliers.map(i => source[i]), best.inliers.map(i => destination[i]))
+    if (refined && this.isPlausibleHomography(refined, storedFeatures.width, storedFeatures.height)) {
+      const inliers = inliersOf(refined)
+      if (inliers.length >= best.inliers.length) {
+        best = { homography: refined, inliers }
+      }
+    }
+    return best
+  }
+
+  // 0-1 confidence of a geometric verification result, from the number of
+  // inliers, the share of matches they make up and the area they cover
+  featureConfidence({ inliers, inlierRatio, coverage }) {
+    const confidence = 0.5 * Math.min(1, inliers / (4 * this.minInliers)) + 0.25 * inlierRatio + 0.25 * coverage
+    return Math.round(confidence * 1000) / 1000
+  }
+
+  // Features of a verification photo
+  async extractQueryFeatures(imageBuffer) {
+    return this.extractFeatures(imageBuffer, { maxSize: this.queryMaxSize, maxKeypoints: this.queryMaxKeypoints })
+  }
+
+  // Geometric verification of a query image against one stored object
+  verifyFeatures(queryFeatures, storedFeatures) {
+    const result = { matched: false, matches: 0, inliers: 0, inlierRatio: 0, coverage: 0, homography: null }
+    if (!queryFeatures?.descriptors?.length || !storedFeatures?.descriptors?.length) return result
+
+    const matches = this.matchDescriptors(queryFeatures, storedFeatures)
+    result.matches = matches.length
+
+    const model = this.estimateHomography(matches, queryFeatures, storedFeatures)
+    if (!model) return result
+
+    // Share of the stored object's keypoint area the inliers span; a small
+    // shared detail (e.g. the same logo on two posters) covers little of it
+    const inlierArea = boundingBoxArea(model.inliers.map(i => storedFeatures.keypoints[matches[i].storedIndex]))
+    const storedArea = boundingBoxArea(storedFeatures.keypoints)
+    result.coverage = storedArea > 0 ? Math.round((inlierArea / storedArea) * 1000) / 1000 : 0
+    result.inliers = model.inliers.length
+    result.inlierRatio = Math.round((model.inliers.length / matches.length) * 1000) / 1000
+    result.homography = model.homography.map(value => Math.round(value * 1e6) / 1e6)
+    result.matched = result.inliers >= this.minInliers &&
+      result.inlierRatio >= this.minInlierRatio &&
+      result.coverage >= this.minCoverage
+    return result
+  }
+}
+
+// Export singleton instance
+export const featureMatcher = new FeatureMatcher()
@@ -0,0 +1,124 @@
+// Number of set bits in each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4]
+
+// Whether hash is a non-empty hex string, the only kind the index can compare
+export function isHexHash(hash) {
+  return typeof hash === 'string' && /^[0-9a-f]+$/i.test(hash)
+}
+
+// Calculate Hamming distance between two hex hashes
+export function hexHammingDistance(hash1, hash2) {
+  if (hash1.length !== hash2.length) return Infinity
+
+  let distance = 0
+  for (let i = 0; i < hash1.length; i++) {
+    distance += NIBBLE_BITS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)]
+  }
+  return distance
+}
+
+// Hamming-space index over hex hashes, backed by a BK-tree. Each hash can
+// carry several payloads (e.g. { objectId, type }). A search for hashes
+// within distance r of a query only visits subtrees whose edge distance lies
+// in [d - r, d + r] (triangle inequality), so lookups with small radii touch
+// a small fraction of the stored hashes instead of scanning all of them.
+// Hashes of different lengths can't be compared and live in separate trees.
+export class HashIndex {
+  constructor() {
+    this.roots = new Map() // hash length -> root node
+    this.size = 0
+    // Primary hashes stored without rotation/scale variants (e.g. restored
+    // from relays); verification only rotates the input when there are any
+    this.unvariedPrimaries = 0
+  }
+
+  // Throws for hashes that aren't hex: their distances would be NaN, which
+  // corrupts the tree for every hash added under them
+  add(hash, payload = {}) {
+    if (!isHexHash(hash)) {
+      throw new Error(`Invalid hash: ${JSON.stringify(hash)}`)
+    }
+    const root = this.roots.get(hash.length)
+    this.size++
+    if (payload.type === 'primary' && !payload.hasVariants) {
+      this.unvariedPrimaries++
+    }
+
+    if (!root) {
+      this.roots.set(hash.length, { hash, payloads: [payload], children: new Map() })
+      return
+    }
+
+    let node = root
+    while (true) {
+      const distance = hexHammingDistance(node.hash, hash)
+      if (distance === 0) {
+        node.payloads.push(payload)
+        return
+      }
+
+      const child = node.children.get(distance)
+      if (!child) {
+        node.children.set(distance, { hash, payloads: [payload], children: new Map() })
+        return
+      }
+      node = child
+    }
+  }
+
+  // All entries within maxDistance of hash, closest first. An optional
+  // filter(payload) narrows the results.
+  search(hash, maxDistance, filter = null) {
+    const root = isHexHash(hash) ? this.roots.get(hash.length) : null
+    if (!root) return []
+
+    const results = []
+    const stack = [root]
+
+    while (stack.length > 0) {
+      const node = stack.pop()
+      const distance = hexHammingDistance(node.hash, hash)
+
+      if (distance <= maxDistance) {
+        for (const payload of node.payloads) {
+          if (!filter || filter(payload)) {
+            results.push({ ...payload, hash: node.hash, distance })
+          }
+        }
+      }
+
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+          stack.push(child)
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance)
+  }
+
+  // Closest entry within maxDistance, or null
+  nearest(hash, maxDistance, filter = null) {
+    return this.search(hash, maxDistance, filter)[0] || null
+  }
+
+  // Iterate over every stored entry
+  *entries() {
+    for (const root of this.roots.values()) {
+      const stack = [root]
+      while (stack.length > 0) {
+        const node = stack.pop()
+        for (const payload of node.payloads) {
+          yield { ...payload, hash: node.hash }
+        }
+        stack.push(...node.children.values())
+      }
+    }
+  }
+
+  clear() {
+    this.roots.clear()
+    this.size = 0
+    this.unvariedPrimaries = 0
+  }
+}
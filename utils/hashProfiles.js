@@ -0,0 +1,92 @@
+import { HASH_ALGORITHMS } from './perceptualHash.js'
+
+// Hashes stored before the algorithm was recorded are blockhash
+export const LEGACY_HASH_ALGORITHM = 'blockhash'
+
+// Default Hamming distance thresholds (out of 256 bits) per algorithm:
+//   duplicate - creation rejects images this close to an existing object
+//   direct    - verification match against a primary hash
+//   variant   - verification match against a rotation/scale variant
+//   similar   - general similarity lookups
+//   candidate - radius for the color/edge stages and candidate ranking; the
+//               fused confidence gives hashes this far away no hash score
+export const DEFAULT_THRESHOLDS = {
+  blockhash: { duplicate: 3, direct: 3, variant: 8, similar: 12, candidate: 32 },
+  phash: { duplicate: 6, direct: 10, variant: 16, similar: 20, candidate: 48 },
+  dhash: { duplicate: 8, direct: 12, variant: 18, similar: 24, candidate: 48 },
+  ahash: { duplicate: 4, direct: 8, variant: 14, similar: 18, candidate: 40 },
+  whash: { duplicate: 4, direct: 6, variant: 12, similar: 16, candidate: 40 }
+}
+
+// Hash algorithm and thresholds per object type. Config shape:
+//   {
+//     "default": { "algorithm": "blockhash" },
+//     "types": { "sculpture": { "algorithm": "dhash", "thresholds": { "direct": 14 } } }
+//   }
+// Thresholds not given fall back to the algorithm's defaults (or the
+// default profile's, when a type keeps the default algorithm).
+export class HashProfiles {
+  constructor(config = {}) {
+    this.defaultProfile = this.buildProfile(config.default || {}, { algorithm: LEGACY_HASH_ALGORITHM })
+    this.typeProfiles = new Map(
+      Object.entries(config.types || {}).map(([type, profile]) => [type, this.buildProfile(profile, this.defaultProfile)])
+    )
+  }
+
+  buildProfile(profile, fallback) {
+    const algorithm = profile.algorithm || fallback.algorithm
+    if (!HASH_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown hash algorithm: ${algorithm}`)
+    }
+
+    const baseThresholds = algorithm === fallback.algorithm && fallback.thresholds
+      ? fallback.thresholds
+      : DEFAULT_THRESHOLDS[algorithm]
+    return { algorithm, thresholds: { ...baseThresholds, ...(profile.thresholds || {}) } }
+  }
+
+  // Profile used to hash new objects of this type
+  forType(type) {
+    return this.typeProfiles.get(type) || this.defaultProfile
+  }
+
+  // Thresholds for a stored hash. Hashes made with another algorithm than
+  // their type uses now (e.g. stored before the profile changed) keep that
+  // algorithm's defaults.
+  thresholdsFor(algorithm, type) {
+    const profile = this.forType(type)
+    return profile.algorithm === algorithm ? profile.thresholds : DEFAULT_THRESHOLDS[algorithm]
+  }
+
+  // Largest value of a threshold for any stored hash of this algorithm, used
+  // as the index search radius
+  maxThreshold(algorithm, name) {
+    let max = DEFAULT_THRESHOLDS[algorithm][name]
+    for (const profile of [this.defaultProfile, ...this.typeProfiles.values()]) {
+      if (profile.algorithm === algorithm) {
+        max = Math.max(max, profile.thresholds[name])
+      }
+    }
+    return max
+  }
+
+  toJSON() {
+    return {
+      default: this.defaultProfile,
+      types: Object.fromEntries(this.typeProfiles)
+    }
+  }
+}
+
+// Profiles from the HASH_PROFILES environment variable (JSON)
+export function loadHashProfiles(json = process.env.HASH_PROFILES) {
+  if (!json) {
+    return new HashProfiles()
+  }
+
+  try {
+    return new HashProfiles(JSON.parse(json))
+  } catch (error) {
+    throw new Error(`Invalid HASH_PROFILES: ${error.message}`)
+  }
+}
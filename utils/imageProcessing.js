@@ -1,31 +1,34 @@
 import sharp from 'sharp'
 import Jimp from 'jimp'
-import { imageHash } from 'image-hash'
-import { promisify } from 'util'
+import { perceptualHasher } from './perceptualHash.js'
+import decodeHeic from 'heic-decode'
+import { LEGACY_HASH_ALGORITHM } from './hashProfiles.js'
 
-const imageHashAsync = promisify(imageHash)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']
 
 export class ImageProcessor {
   constructor() {
     this.hashCache = new Map()
   }
 
-  // Generate perceptual hash using image-hash library
-  async generatePHash(imagePath) {
+  // Generate perceptual hash of an image file
+  async generatePHash(imagePath, algorithm = LEGACY_HASH_ALGORITHM) {
     try {
-      const hash = await imageHashAsync(imagePath, 16, 'hex')
-      return hash
+      const fs = await import('fs')
+      const imageBuffer = await fs.promises.readFile(imagePath)
+      return await perceptualHasher.hash(imageBuffer, algorithm)
     } catch (error) {
       console.error('Error generating pHash:', error)
       throw error
     }
   }
 
-  // Generate multiple perceptual hashes for robust matching
-  async generateRobustPHashFromBuffer(imageBuffer) {
+  // Generate multiple perceptual hashes for robust matching, all with the
+  // given algorithm. Everything is hashed in memory; each variant is
+  // JPEG-encoded first, as the stored hashes were computed from JPEG files.
+  async generateRobustPHashFromBuffer(imageBuffer, algorithm = LEGACY_HASH_ALGORITHM) {
     try {
       const hashes = []
-      const tempBasePath = `/tmp/temp_${Date.now()}`
       
       // Normalize image first - remove EXIF orientation and standardize
       const normalizedBuffer = await sharp(imageBuffer)
@@ -39,58 +42,38 @@ export class ImageProcessor {
         .toBuffer()
       
       // Generate hash for original normalized image
-      const originalPath = `${tempBasePath}_original.jpg`
-      await sharp(normalizedBuffer).toFile(originalPath)
-      const originalHash = await this.generatePHash(originalPath)
+      const originalHash = await perceptualHasher.hash(await sharp(normalizedBuffer).jpeg().toBuffer(), algorithm)
       hashes.push({ type: 'original', hash: originalHash })
       
       // Generate hash for strategic rotations to handle orientation issues
       // Use fewer angles but cover common scenarios: phone orientations, slight tilts, and 90-degree rotations
       for (let rotation of [15, 30, 45, 90, 135, 180, 225, 270, 315, 345]) {
-        const rotatedPath = `${tempBasePath}_rot${rotation}.jpg`
-        await sharp(normalizedBuffer)
+        const rotatedBuffer = await sharp(normalizedBuffer)
           .rotate(rotation, { background: { r: 255, g: 255, b: 255, alpha: 1 } })
-          .toFile(rotatedPath)
-        const rotatedHash = await this.generatePHash(rotatedPath)
+          .jpeg()
+          .toBuffer()
+        const rotatedHash = await perceptualHasher.hash(rotatedBuffer, algorithm)
         hashes.push({ type: `rotated_${rotation}`, hash: rotatedHash })
       }
       
       // Generate hash for slightly scaled versions to handle zoom differences
       for (let scale of [0.9, 1.1]) {
-        const scaledPath = `${tempBasePath}_scale${scale}.jpg`
-        await sharp(normalizedBuffer)
+        const scaledBuffer = await sharp(normalizedBuffer)
           .resize(Math.round(512 * scale), Math.round(512 * scale), { 
             fit: 'inside',
             background: { r: 255, g: 255, b: 255, alpha: 1 }
           })
-          .toFile(scaledPath)
-        const scaledHash = await this.generatePHash(scaledPath)
+          .jpeg()
+          .toBuffer()
+        const scaledHash = await perceptualHasher.hash(scaledBuffer, algorithm)
         hashes.push({ type: `scaled_${scale}`, hash: scaledHash })
       }
       
-      // Clean up temp files
-      const fs = await import('fs')
-      const filesToClean = [originalPath]
-      
-      // Add all rotation files
-      for (let rotation of [15, 30, 45, 90, 135, 180, 225, 270, 315, 345]) {
-        filesToClean.push(`${tempBasePath}_rot${rotation}.jpg`)
-      }
-      
-      // Add scale files
-      for (let scale of [0.9, 1.1]) {
-        filesToClean.push(`${tempBasePath}_scale${scale}.jpg`)
-      }
-      
-      for (let filePath of filesToClean) {
-        try { fs.unlinkSync(filePath) } catch (e) {}
-      }
-      
       // Return the original hash as primary, but store all variants
       const primaryHash = originalHash
       
       // If primary hash is all zeros, generate fallback
-      if (primaryHash === '0000000000000000000000000000000000000000000000000000000000000000') {
+      if (/^0+$/.test(primaryHash)) {
         console.log('Simple image detected, generating fallback hash')
         const metadata = await sharp(normalizedBuffer).metadata()
         const stats = await sharp(normalizedBuffer).stats()
@@ -99,10 +82,10 @@ export class ImageProcessor {
         const crypto = await import('crypto')
         const fallbackHash = crypto.createHash('sha256').update(fallbackData).digest('hex').substring(0, 64)
         console.log('Generated fallback hash:', fallbackHash)
-        return { primary: fallbackHash, variants: hashes }
+        return { primary: fallbackHash, algorithm, variants: hashes }
       }
       
-      return { primary: primaryHash, variants: hashes }
+      return { primary: primaryHash, algorithm, variants: hashes }
     } catch (error) {
       console.error('Error generating robust pHash from buffer:', error)
       throw error
@@ -110,8 +93,8 @@ export class ImageProcessor {
   }
 
   // Generate perceptual hash from buffer (legacy method for compatibility)
-  async generatePHashFromBuffer(imageBuffer) {
-    const result = await this.generateRobustPHashFromBuffer(imageBuffer)
+  async generatePHashFromBuffer(imageBuffer, algorithm = LEGACY_HASH_ALGORITHM) {
+    const result = await this.generateRobustPHashFromBuffer(imageBuffer, algorithm)
     return result.primary
   }
 
@@ -152,50 +135,95 @@ export class ImageProcessor {
     return distance <= threshold
   }
 
-  // Robust similarity check that handles rotations and scaling
-  async findBestMatch(newImageBuffer, hashToObjectMap, threshold = 12) {
+  // Closest primary hash in hashIndex within the named threshold of the
+  // stored object's type, or null
+  nearestWithinThreshold(hash, hashIndex, algorithm, hashProfiles, thresholdName) {
+    const radius = hashProfiles.maxThreshold(algorithm, thresholdName)
+    return hashIndex.search(hash, radius, payload => payload.type === 'primary')
+      .find(entry => entry.distance <= hashProfiles.thresholdsFor(algorithm, entry.objectType)[thresholdName]) || null
+  }
+
+  // Robust similarity check that handles rotations and scaling.
+  // hashIndexes maps each algorithm to a HashIndex of stored hashes; the new
+  // image is hashed with every algorithm in use and compared within the
+  // named threshold ('duplicate', 'similar', ...) of each stored object's
+  // type. Only primary hashes are considered, to prevent false positives.
+  // knownHashes maps algorithms the image was already hashed with to their
+  // { primary, variants }, so it is only hashed again for the others.
+  async findBestMatch(newImageBuffer, hashIndexes, hashProfiles, thresholdName = 'similar', knownHashes = {}) {
     try {
-      const newHashData = await this.generateRobustPHashFromBuffer(newImageBuffer)
-      const newHashes = [newHashData.primary, ...newHashData.variants.map(v => v.hash)]
-      
       let bestMatch = null
-      let bestDistance = Infinity
-      
-      for (const [existingHash, objectId] of hashToObjectMap.entries()) {
-        // First try direct comparison with primary hash (most strict)
-        const primaryDistance = this.hammingDistance(newHashData.primary, existingHash)
-        console.log(`Primary comparison ${newHashData.primary.substring(0, 16)}... with ${existingHash.substring(0, 16)}..., distance: ${primaryDistance}`)
+
+      for (const [algorithm, hashIndex] of hashIndexes) {
+        const newHashData = knownHashes[algorithm] || await this.generateRobustPHashFromBuffer(newImageBuffer, algorithm)
         
-        if (primaryDistance <= threshold && primaryDistance < bestDistance) {
-          bestDistance = primaryDistance
-          bestMatch = { objectId, distance: primaryDistance, hash: existingHash }
-        }
+        // First try direct comparison with primary hash (most strict)
+        let match = this.nearestWithinThreshold(newHashData.primary, hashIndex, algorithm, hashProfiles, thresholdName)
+        console.log(`Primary ${algorithm} lookup ${newHashData.primary.substring(0, 16)}..., best distance: ${match ? match.distance : 'none'}`)
         
-        // Only try variants if primary didn't match and we're in creation mode (threshold <= 3)
-        if (primaryDistance > threshold && threshold <= 3) {
-          for (const newHash of newHashes.slice(1)) { // Skip primary, already tested
-            try {
-              const distance = this.hammingDistance(newHash, existingHash)
-              console.log(`Variant comparison ${newHash.substring(0, 16)}... with ${existingHash.substring(0, 16)}..., distance: ${distance}`)
-              
-              if (distance < bestDistance && distance <= threshold) {
-                bestDistance = distance
-                bestMatch = { objectId, distance, hash: existingHash }
-              }
-            } catch (e) {
-              console.log(`Hash comparison failed: ${e.message}`)
+        // Only try variants if primary didn't match and we're checking for duplicates
+        if (!match && thresholdName === 'duplicate') {
+          for (const variant of newHashData.variants) {
+            const variantMatch = this.nearestWithinThreshold(variant.hash, hashIndex, algorithm, hashProfiles, thresholdName)
+            if (variantMatch && (!match || variantMatch.distance < match.distance)) {
+              console.log(`Variant ${variant.type} matched ${variantMatch.hash.substring(0, 16)}..., distance: ${variantMatch.distance}`)
+              match = variantMatch
             }
           }
         }
+
+        // Distances of different algorithms compare relative to their thresholds
+        if (match) {
+          match.algorithm = algorithm
+          match.relativeDistance = match.distance / Math.max(hashProfiles.thresholdsFor(algorithm, match.objectType)[thresholdName], 1)
+          if (!bestMatch || match.relativeDistance < bestMatch.relativeDistance) {
+            bestMatch = match
+          }
+        }
       }
       
       return bestMatch
+        ? { objectId: bestMatch.objectId, distance: bestMatch.distance, hash: bestMatch.hash, algorithm: bestMatch.algorithm }
+        : null
     } catch (error) {
       console.error('Error in robust matching:', error)
       return null
     }
   }
 
+  // HEIF container: an ISO BMFF 'ftyp' box with a HEIF brand
+  isHeif(imageBuffer) {
+    if (imageBuffer.length < 12 || imageBuffer.toString('ascii', 4, 8) !== 'ftyp') {
+      return false
+    }
+    return HEIF_BRANDS.includes(imageBuffer.toString('ascii', 8, 12))
+  }
+
+  // Decode an upload into a buffer sharp can read. Sharp reads JPEG, PNG,
+  // WebP, AVIF and TIFF itself, but its prebuilt libvips has no HEVC
+  // decoder, so HEIC photos (the iPhone default) are decoded with libheif
+  // and re-encoded as a high quality JPEG.
+  async decodeImage(imageBuffer) {
+    let metadata = null
+    try {
+      metadata = await sharp(imageBuffer).metadata()
+    } catch (error) {
+      metadata = null
+    }
+
+    if (metadata && !(metadata.format === 'heif' && metadata.compression === 'hevc')) {
+      return imageBuffer
+    }
+    if (!this.isHeif(imageBuffer)) {
+      throw new Error('Unsupported image format')
+    }
+
+    const { width, height, data } = await decodeHeic({ buffer: imageBuffer })
+    return sharp(Buffer.from(data), { raw: { width, height, channels: 4 } })
+      .jpeg({ quality: 95 })
+      .toBuffer()
+  }
+
   // Process and optimize image for storage
   async processImage(imageBuffer, options = {}) {
     const {
@@ -309,21 +337,12 @@ export class ImageProcessor {
     return results
   }
 
-  // Find similar images in a collection
-  async findSimilarImages(targetHash, imageHashes, threshold = 5) {
-    const similar = []
-    
-    for (const [id, hash] of imageHashes.entries()) {
-      if (this.areSimilar(targetHash, hash, threshold)) {
-        similar.push({
-          id,
-          hash,
-          distance: this.hammingDistance(targetHash, hash)
-        })
-      }
-    }
-    
-    return similar.sort((a, b) => a.distance - b.distance)
+  // Objects with a primary hash in hashIndex within threshold of
+  // targetHash, closest first. Goes through the index's BK-tree rather than
+  // comparing against every stored hash.
+  async findSimilarImages(targetHash, hashIndex, threshold = 5) {
+    return hashIndex.search(targetHash, threshold, payload => payload.type === 'primary')
+      .map(({ objectId, hash, distance }) => ({ id: objectId, hash, distance }))
   }
 
   // Cache hash for performance
@@ -0,0 +1,354 @@
+import sharp from 'sharp'
+import { fitHomography, projectPoint } from './featureMatching.js'
+
+// Convex hull (Andrew's monotone chain) of [x, y] points
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const lower = []
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop()
+    lower.push(point)
+  }
+  const upper = []
+  for (const point of sorted.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop()
+    upper.push(point)
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1))
+}
+
+// Signed area (shoelace); positive for clockwise polygons in image
+// coordinates (y pointing down)
+function polygonArea(points) {
+  let area = 0
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i]
+    const [x2, y2] = points[(i + 1) % points.length]
+    area += x1 * y2 - x2 * y1
+  }
+  return area / 2
+}
+
+// Reduce a convex polygon to a quadrilateral by repeatedly dropping the
+// vertex whose removal loses the least area
+function reduceToQuadrilateral(hull) {
+  const polygon = hull.slice()
+  while (polygon.length > 4) {
+    let smallestLoss = Infinity
+    let dropIndex = 0
+    for (let i = 0; i < polygon.length; i++) {
+      const previous = polygon[(i - 1 + polygon.length) % polygon.length]
+      const next = polygon[(i + 1) % polygon.length]
+      const loss = Math.abs(polygonArea([previous, polygon[i], next]))
+      if (loss < smallestLoss) {
+        smallestLoss = loss
+        dropIndex = i
+      }
+    }
+    polygon.splice(dropIndex, 1)
+  }
+  return polygon
+}
+
+// Order quadrilateral corners clockwise starting at the top-left one
+function orderCorners(quad) {
+  const corners = polygonArea(quad) < 0 ? quad.slice().reverse() : quad.slice()
+  let start = 0
+  corners.forEach(([x, y], i) => {
+    if (x + y < corners[start][0] + corners[start][1]) start = i
+  })
+  return corners.slice(start).concat(corners.slice(0, start))
+}
+
+const colorDistance = (data, offset, [r, g, b]) =>
+  Math.abs(data[offset] - r) + Math.abs(data[offset + 1] - g) + Math.abs(data[offset + 2] - b)
+
+// Finds the dominant quadrilateral object in a photo (a poster on a wall, a
+// framed print), warps it flat and trims uniform borders, so that hashing
+// sees the object rather than its surroundings. Detection is deliberately
+// conservative: when no clear object stands out from a uniform background
+// the image is passed through unchanged, so clean scans and full-frame
+// photos hash exactly as before.
+export class ImageRectifier {
+  constructor(options = {}) {
+    this.analysisSize = options.analysisSize || 512 // longest side used for detection
+    this.maxOutputSize = options.maxOutputSize || 1024
+    this.backgroundTolerance = options.backgroundTolerance || 60 // summed RGB difference
+    this.minBackgroundShare = options.minBackgroundShare || 0.5 // of the image border
+    this.minObjectArea = options.minObjectArea || 0.1 // of the image
+    this.maxObjectArea = options.maxObjectArea || 0.92
+    this.minQuadFit = options.minQuadFit || 0.9 // hull area / quadrilateral area
+    this.minSolidity = options.minSolidity || 0.6 // object pixels / quadrilateral area
+    this.maxTrim = options.maxTrim || 0.25 // of each side
+  }
+
+  // Median color of the outermost ring of pixels
+  borderColor(data, width, height, channels) {
+    const samples = [[], [], []]
+    const add = (x, y) => {
+      const offset = (y * width + x) * channels
+      for (let c = 0; c < 3; c++) samples[c].push(data[offset + c])
+    }
+    for (let x = 0; x < width; x++) {
+      add(x, 0)
+      add(x, height - 1)
+    }
+    for (let y = 1; y < height - 1; y++) {
+      add(0, y)
+      add(width - 1, y)
+    }
+    return samples.map(values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)])
+  }
+
+  // Largest 4-connected component of the mask, as a list of pixel indices
+  largestComponent(mask, width, height) {
+    const visited = new Uint8Array(mask.length)
+    let largest = []
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || visited[start]) continue
+
+      const component = []
+      const stack = [start]
+      visited[start] = 1
+      while (stack.length > 0) {
+        const index = stack.pop()
+        component.push(index)
+        const x = index % width
+        const y = (index - x) / width
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ]
+        for (const neighbour of neighbours) {
+          if (neighbour >= 0 && mask[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1
+            stack.push(neighbour)
+          }
+        }
+      }
+
+      if (component.length > largest.length) largest = component
+    }
+    return largest
+  }
+
+  // Corners of the dominant quadrilateral in analysis coordinates, or null
+  detectQuadrilateral(data, width, height, channels) {
+    const background = this.borderColor(data, width, height, channels)
+
+    let borderPixels = 0
+    let backgroundPixels = 0
+    const mask = new Uint8Array(width * height)
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const isBackground = colorDistance(data, (y * width + x) * channels, background) <= this.backgroundTolerance
+        mask[y * width + x] = isBackground ? 0 : 1
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+          borderPixels++
+          if (isBackground) backgroundPixels++
+        }
+      }
+    }
+    // No uniform surroundings to separate the object from
+    if (backgroundPixels / borderPixels < this.minBackgroundShare) return null
+
+    // Close small gaps (text, thin lines) so the object forms one component:
+    // dilate, then erode back to the object's outline
+    const dilated = new Uint8Array(mask.length)
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const index = y * width + x
+        dilated[index] = mask[index] || mask[index - 1] || mask[index + 1] || mask[index - width] || mask[index + width]
+      }
+    }
+    const closed = new Uint8Array(mask.length)
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const index = y * width + x
+        closed[index] = dilated[index] && dilated[index - 1] && dilated[index + 1] && dilated[index - width] && dilated[index + width]
+      }
+    }
+
+    const component = this.largestComponent(closed, width, height)
+    const imageArea = width * height
+    if (component.length < this.minObjectArea * imageArea) return null
+
+    // Hull of the component's outline pixels is enough, and much cheaper
+    const outline = []
+    for (const index of component) {
+      const x = index % width
+      const y = (index - x) / width
+      if (!closed[index - 1] || !closed[index + 1] || !closed[index - width] || !closed[index + width]) {
+        outline.push([x, y])
+      }
+    }
+
+    const hull = convexHull(outline)
+    if (hull.length < 4) return null
+
+    const quad = orderCorners(reduceToQuadrilateral(hull))
+    const quadArea = Math.abs(polygonArea(quad))
+    const hullArea = Math.abs(polygonArea(hull))
+
+    if (quadArea > this.maxObjectArea * imageArea || quadArea < this.minObjectArea * imageArea) return null
+    if (hullArea / quadArea < this.minQuadFit || component.length / quadArea < this.minSolidity) return null
+
+    return quad
+  }
+
+  // Bilinear perspective warp of the quad (corners clockwise from top-left)
+  // in raw RGB data onto an outputWidth x outputHeight rectangle
+  warp(data, width, height, channels, quad, outputWidth, outputHeight) {
+    const rectangle = [[0, 0], [outputWidth, 0], [outputWidth, outputHeight], [0, outputHeight]]
+    const homography = fitHomography(rectangle, quad)
+    if (!homography) return null
+
+    const output = Buffer.alloc(outputWidth * outputHeight * 3)
+    for (let y = 0; y < outputHeight; y++) {
+      for (let x = 0; x < outputWidth; x++) {
+        const [sx, sy] = projectPoint(homography, [x + 0.5, y + 0.5])
+        const fx = Math.min(Math.max(sx - 0.5, 0), width - 1)
+        const fy = Math.min(Math.max(sy - 0.5, 0), height - 1)
+        const x0 = Math.floor(fx)
+        const y0 = Math.floor(fy)
+        const x1 = Math.min(x0 + 1, width - 1)
+        const y1 = Math.min(y0 + 1, height - 1)
+        const wx = fx - x0
+        const wy = fy - y0
+
+        for (let c = 0; c < 3; c++) {
+          const top = data[(y0 * width + x0) * channels + c] * (1 - wx) + data[(y0 * width + x1) * channels + c] * wx
+          const bottom = data[(y1 * width + x0) * channels + c] * (1 - wx) + data[(y1 * width + x1) * channels + c] * wx
+          output[(y * outputWidth + x) * 3 + c] = Math.round(top * (1 - wy) + bottom * wy)
+        }
+      }
+    }
+    return output
+  }
+
+  // Median color of count pixels at offsetOf(i)
+  medianColor(data, count, offsetOf) {
+    const channels = [[], [], []]
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < 3; c++) channels[c].push(data[offsetOf(i) + c])
+    }
+    return channels.map(values => values.sort((a, b) => a - b)[Math.floor(count / 2)])
+  }
+
+  // Rows/columns to strip from each side: `inset` lines of detection slack,
+  // or, when a frame or mat is found, the whole frame. A frame is a band of
+  // lines of (almost) a single color that ends in a sharp edge; it is looked
+  // for from `slack` lines in, past any lines mixed with the surroundings.
+  // Uniform margins in the print's own background color are kept.
+  findTrim(data, width, height, inset = 0, slack = inset) {
+    const tolerance = this.backgroundTolerance
+    const lines = {
+      top: i => [width, x => (i * width + x) * 3],
+      right: i => [height, y => (y * width + width - 1 - i) * 3],
+      bottom: i => [width, x => ((height - 1 - i) * width + x) * 3],
+      left: i => [height, y => (y * width + i) * 3]
+    }
+    const uniformColor = (count, offsetOf) => {
+      const color = this.medianColor(data, count, offsetOf)
+      let uniform = 0
+      for (let i = 0; i < count; i++) {
+        if (colorDistance(data, offsetOf(i), color) <= tolerance) uniform++
+      }
+      return uniform / count >= 0.98 ? color : null
+    }
+
+    const trim = {}
+    for (const [side, line] of Object.entries(lines)) {
+      const limit = Math.floor((side === 'top' || side === 'bottom' ? height : width) * this.maxTrim)
+      const bandColors = []
+      let depth = slack
+      while (depth < limit) {
+        const color = uniformColor(...line(depth))
+        if (!color) break
+        bandColors.push(color)
+        depth++
+      }
+
+      // A frame ends in a sharp edge (blurred over a few lines by resampling);
+      // a band that fades into the content (a margin, a gradient) is part of
+      // the print
+      const band = bandColors[0]
+      const next = depth + slack < limit ? this.medianColor(data, ...line(depth + slack)) : null
+      const isFrame = band && next && band.reduce((sum, value, c) => sum + Math.abs(value - next[c]), 0) > tolerance
+      trim[side] = isFrame ? depth : inset
+    }
+    return trim
+  }
+
+  // Returns { buffer, crop }. buffer is the rectified object as JPEG, or the
+  // input unchanged when nothing was detected. crop describes the detection
+  // for debugging: corners (clockwise from top-left, in pixels of the
+  // EXIF-oriented input), output size and trimmed borders.
+  async rectify(imageBuffer) {
+    const noCrop = { buffer: imageBuffer, crop: { detected: false } }
+
+    try {
+      const oriented = sharp(imageBuffer).rotate().flatten({ background: { r: 255, g: 255, b: 255 } })
+      const { data, info } = await oriented.clone()
+        .resize(this.maxOutputSize, this.maxOutputSize, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+
+      const analysis = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .resize(this.analysisSize, this.analysisSize, { fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+
+      const quad = this.detectQuadrilateral(analysis.data, analysis.info.width, analysis.info.height, analysis.info.channels)
+      if (!quad) return noCrop
+
+      // Scale corners up to the working image
+      const scale = info.width / analysis.info.width
+      const corners = quad.map(([x, y]) => [(x + 0.5) * scale, (y + 0.5) * scale])
+      const side = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1])
+      const outputWidth = Math.max(1, Math.round((side(corners[0], corners[1]) + side(corners[3], corners[2])) / 2))
+      const outputHeight = Math.max(1, Math.round((side(corners[0], corners[3]) + side(corners[1], corners[2])) / 2))
+
+      const warped = this.warp(data, info.width, info.height, info.channels, corners, outputWidth, outputHeight)
+      if (!warped) return noCrop
+
+      // Corners are only accurate to half an analysis pixel
+      const trim = this.findTrim(warped, outputWidth, outputHeight, Math.ceil(scale / 2), Math.ceil(scale) + 1)
+      const buffer = await sharp(warped, { raw: { width: outputWidth, height: outputHeight, channels: 3 } })
+        .extract({
+          left: trim.left,
+          top: trim.top,
+          width: outputWidth - trim.left - trim.right,
+          height: outputHeight - trim.top - trim.bottom
+        })
+        .jpeg({ quality: 95 })
+        .toBuffer()
+
+      // Report corners in the oriented input's own pixels
+      const metadata = await sharp(imageBuffer).metadata()
+      const orientedWidth = (metadata.orientation || 1) >= 5 ? metadata.height : metadata.width
+      const inputScale = orientedWidth / info.width
+
+      return {
+        buffer,
+        crop: {
+          detected: true,
+          corners: corners.map(([x, y]) => [Math.round(x * inputScale), Math.round(y * inputScale)]),
+          width: outputWidth - trim.left - trim.right,
+          height: outputHeight - trim.top - trim.bottom,
+          trim
+        }
+      }
+    } catch (error) {
+      console.error('Error rectifying image:', error)
+      return noCrop
+    }
+  }
+}
+
+// Export singleton instance
+export const imageRectifier = new ImageRectifier()
@@ -0,0 +1,471 @@
+import QRCode from 'qrcode'
+
+// Raised for label sheet options that can't be used; status is the HTTP
+// status to answer with
+export class LabelSheetError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'LabelSheetError'
+    this.status = status
+  }
+}
+
+// PDF points per millimetre
+const PT = 72 / 25.4
+
+export const PAGE_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 }
+}
+
+// Sheet templates, in millimetres: label size, grid, the offset of the first
+// label from the page's top left corner and the gaps between labels
+export const LABEL_TEMPLATES = {
+  'avery-l7160': {
+    description: 'Avery L7160 / J8160: A4, 21 labels of 63.5 x 38.1 mm',
+    page: 'a4', width: 63.5, height: 38.1, columns: 3, rows: 7, top: 15.15, left: 7.25, gapX: 2.5, gapY: 0
+  },
+  'avery-l7163': {
+    description: 'Avery L7163 / J8163: A4, 14 labels of 99.1 x 38.1 mm',
+    page: 'a4', width: 99.1, height: 38.1, columns: 2, rows: 7, top: 15.15, left: 4.65, gapX: 2.5, gapY: 0
+  },
+  'avery-l7651': {
+    description: 'Avery L7651 / J8651: A4, 65 labels of 38.1 x 21.2 mm',
+    page: 'a4', width: 38.1, height: 21.2, columns: 5, rows: 13, top: 10.7, left: 4.75, gapX: 2.5, gapY: 0
+  },
+  'avery-5160': {
+    description: 'Avery 5160: Letter, 30 labels of 2.625 x 1 in',
+    page: 'letter', width: 66.675, height: 25.4, columns: 3, rows: 10, top: 12.7, left: 4.7625, gapX: 3.175, gapY: 0
+  },
+  'avery-5163': {
+    description: 'Avery 5163: Letter, 10 labels of 4 x 2 in',
+    page: 'letter', width: 101.6, height: 50.8, columns: 2, rows: 5, top: 12.7, left: 3.96875, gapX: 4.7625, gapY: 0
+  }
+}
+
+export const DEFAULT_LABEL_TEMPLATE = 'avery-l7160'
+
+// Margin around a custom grid, where the cut marks go
+const CUSTOM_MARGIN = 10
+const CUT_MARK_LENGTH = 4
+
+// Positive number of millimetres from a query value, or the fallback when
+// missing
+function parseLength(value, name, { fallback, min = 0, max = 300 }) {
+  if (value === undefined || value === '') {
+    return fallback
+  }
+  const length = Number(value)
+  if (!Number.isFinite(length) || length < min || length > max) {
+    throw new LabelSheetError(`${name} must be a length in mm between ${min} and ${max}`)
+  }
+  return length
+}
+
+function parseColor(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback
+  }
+  const match = String(value).match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i)
+  if (!match) {
+    throw new LabelSheetError(`${name} must be a hex colour like #1a2b3c`)
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1]
+  return `#${hex.toLowerCase()}`
+}
+
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1'
+}
+
+// Sheet layout from the request options: a named template, or "custom" with
+// width and height (and paper, gap) giving a grid centred on the page
+export function resolveTemplate({ template = DEFAULT_LABEL_TEMPLATE, width, height, paper = 'a4', gap } = {}) {
+  if (template !== 'custom') {
+    const named = LABEL_TEMPLATES[template]
+    if (!named) {
+      throw new LabelSheetError(`Unknown label template "${template}" (one of ${[...Object.keys(LABEL_TEMPLATES), 'custom'].join(', ')})`)
+    }
+    return { name: template, ...named }
+  }
+
+  const pageSize = PAGE_SIZES[paper]
+  if (!pageSize) {
+    throw new LabelSheetError(`Unknown paper size "${paper}" (one of ${Object.keys(PAGE_SIZES).join(', ')})`)
+  }
+  const usableWidth = pageSize.width - 2 * CUSTOM_MARGIN
+  const usableHeight = pageSize.height - 2 * CUSTOM_MARGIN
+  const labelWidth = parseLength(width, 'width', { min: 10, max: usableWidth })
+  const labelHeight = parseLength(height, 'height', { min: 10, max: usableHeight })
+  if (labelWidth === undefined || labelHeight === undefined) {
+    throw new LabelSheetError('Custom templates need a label width and height (mm)')
+  }
+  const labelGap = parseLength(gap, 'gap', { fallback: 3, max: 50 })
+
+  const columns = Math.floor((usableWidth + labelGap) / (labelWidth + labelGap))
+  const rows = Math.floor((usableHeight + labelGap) / (labelHeight + labelGap))
+  return {
+    name: 'custom',
+    description: `Custom: ${paper === 'a4' ? 'A4' : 'Letter'}, ${columns * rows} labels of ${labelWidth} x ${labelHeight} mm`,
+    page: paper,
+    width: labelWidth,
+    height: labelHeight,
+    columns,
+    rows,
+    left: (pageSize.width - columns * labelWidth - (columns - 1) * labelGap) / 2,
+    top: (pageSize.height - rows * labelHeight - (rows - 1) * labelGap) / 2,
+    gapX: labelGap,
+    gapY: labelGap
+  }
+}
+
+// Label sheet options from a request's query string. Throws LabelSheetError.
+export function parseLabelOptions(query = {}) {
+  const template = resolveTemplate(query)
+  const perPage = template.columns * template.rows
+
+  const format = query.format || 'pdf'
+  if (!['pdf', 'svg'].includes(format)) {
+    throw new LabelSheetError('format must be pdf or svg')
+  }
+
+  const copies = query.copies === undefined ? 1 : Number(query.copies)
+  if (!Number.isInteger(copies) || copies < 1 || copies > 500) {
+    throw new LabelSheetError('copies must be a whole number between 1 and 500')
+  }
+  // Labels already used on the first sheet
+  const skip = query.skip === undefined ? 0 : Number(query.skip)
+  if (!Number.isInteger(skip) || skip < 0 || skip >= perPage) {
+    throw new LabelSheetError(`skip must be a whole number between 0 and ${perPage - 1}`)
+  }
+  const page = query.page === undefined ? 1 : Number(query.page)
+  if (!Number.isInteger(page) || page < 1) {
+    throw new LabelSheetError('page must be a whole number from 1')
+  }
+
+  return {
+    template,
+    format,
+    copies,
+    skip,
+    page,
+    bleed: parseLength(query.bleed, 'bleed', { fallback: 0, max: 5 }),
+    cutMarks: parseFlag(query.cutMarks),
+    background: parseColor(query.background, 'background', null),
+    color: parseColor(query.color, 'color', '#000000')
+  }
+}
+
+// Rough text width for the built-in fonts, in font size units
+const FONT_WIDTHS = { regular: 0.54, bold: 0.6, mono: 0.6 }
+
+function textWidth(text, size, font) {
+  return text.length * size * FONT_WIDTHS[font]
+}
+
+// Text shortened with "..." to fit a width
+function fitText(text, maxWidth, size, font) {
+  if (textWidth(text, size, font) <= maxWidth) {
+    return text
+  }
+  const maxChars = Math.floor(maxWidth / (size * FONT_WIDTHS[font])) - 3
+  return maxChars > 0 ? `${text.slice(0, maxChars)}...` : ''
+}
+
+// Text broken into lines at spaces to fit a width, the last of at most
+// maxLines shortened
+function wrapText(text, maxWidth, size, font, maxLines) {
+  const lines = []
+  let rest = text.trim()
+  while (rest && lines.length < maxLines - 1 && textWidth(rest, size, font) > maxWidth) {
+    const maxChars = Math.floor(maxWidth / (size * FONT_WIDTHS[font]))
+    const breakAt = rest.lastIndexOf(' ', maxChars)
+    if (breakAt <= 0) break
+    lines.push(rest.slice(0, breakAt))
+    rest = rest.slice(breakAt + 1).trim()
+  }
+  return [...lines, fitText(rest, maxWidth, size, font)]
+}
+
+// Horizontal runs of dark modules per row of a QR code: [row, column, length]
+function qrRuns(data) {
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: 'H' })
+  const runs = []
+  for (let row = 0; row < modules.size; row++) {
+    let start = null
+    for (let column = 0; column <= modules.size; column++) {
+      const dark = column < modules.size && modules.get(row, column)
+      if (dark && start === null) {
+        start = column
+      } else if (!dark && start !== null) {
+        runs.push([row, start, column - start])
+        start = null
+      }
+    }
+  }
+  return { size: modules.size, runs }
+}
+
+// Lays labels out on sheets and renders them as vector PDF or SVG. Labels
+// are { name, artist, physicalId, qrData }: the QR code holds qrData (the
+// object's verify URL) and the text what fits of the rest. With bleed, the
+// label background extends past the label edge by that much; cut marks are
+// drawn in the page margins along every label edge.
+export class LabelSheet {
+  constructor({ template, bleed = 0, cutMarks = false, background = null, color = '#000000', skip = 0 }) {
+    this.template = template
+    this.pageSize = PAGE_SIZES[template.page]
+    this.bleed = bleed
+    this.cutMarks = cutMarks
+    this.background = background
+    this.color = color
+    this.skip = skip
+  }
+
+  get perPage() {
+    return this.template.columns * this.template.rows
+  }
+
+  // Drawing items of every page, in mm from the page's top left corner
+  layout(labels) {
+    const pages = []
+    const positions = [...Array(this.skip).fill(null), ...labels]
+
+    for (let index = 0; index < positions.length; index += this.perPage) {
+      const items = []
+      positions.slice(index, index + this.perPage).forEach((label, slot) => {
+        if (!label) return
+        const { x, y } = this.slotPosition(slot)
+        items.push(...this.labelItems(label, x, y))
+      })
+      if (this.cutMarks) {
+        items.push(...this.cutMarkItems())
+      }
+      pages.push(items)
+    }
+    return pages
+  }
+
+  slotPosition(slot) {
+    const { columns, width, height, left, top, gapX, gapY } = this.template
+    return {
+      x: left + (slot % columns) * (width + gapX),
+      y: top + Math.floor(slot / columns) * (height + gapY)
+    }
+  }
+
+  labelItems(label, x, y) {
+    const { width, height } = this.template
+    const items = []
+    const pad = Math.min(Math.max(Math.min(width, height) * 0.08, 1.5), 4)
+
+    if (this.background) {
+      items.push({
+        type: 'rect',
+        x: x - this.bleed,
+        y: y - this.bleed,
+        width: width + 2 * this.bleed,
+        height: height + 2 * this.bleed,
+        fill: this.background
+      })
+    }
+
+    // Wide labels: QR code on the left, text beside it. Narrow ones: QR code
+    // on top, physical ID below.
+    if (width >= height * 1.4) {
+      const qrSize = Math.min(height - 2 * pad, width * 0.45)
+      items.push({ type: 'qr', x: x + pad, y: y + (height - qrSize) / 2, size: qrSize, data: label.qrData })
+
+      const textX = x + 2 * pad + qrSize
+      const textWidthAvailable = width - 3 * pad - qrSize
+      const nameSize = Math.min(Math.max(height * 0.09, 2), 3.5)
+      const lines = [
+        ...wrapText(label.name || 'Untitled', textWidthAvailable, nameSize, 'bold', 2)
+          .map(text => ({ text, size: nameSize, font: 'bold', fitted: true })),
+        label.artist && { text: label.artist, size: nameSize * 0.75, font: 'regular' },
+        label.physicalId && { text: label.physicalId, size: nameSize * 0.7, font: 'mono' },
+        { text: 'Scan to verify', size: nameSize * 0.6, font: 'regular' }
+      ].filter(Boolean)
+
+      // As many lines as fit, centred vertically
+      const fitting = []
+      let linesHeight = 0
+      for (const line of lines) {
+        if (linesHeight + line.size * 1.3 > height - 2 * pad) break
+        fitting.push(line)
+        linesHeight += line.size * 1.3
+      }
+      let baseline = y + (height - linesHeight) / 2
+      for (const line of fitting) {
+        baseline += line.size * 1.3
+        items.push({
+          type: 'text',
+          x: textX,
+          y: baseline - line.size * 0.3,
+          size: line.size,
+          font: line.font,
+          text: line.fitted ? line.text : fitText(line.text, textWidthAvailable, line.size, line.font)
+        })
+      }
+    } else {
+      const textSize = Math.min(Math.max(height * 0.07, 1.6), 3)
+      const qrSize = Math.min(width - 2 * pad, height - 3 * pad - textSize)
+      items.push({ type: 'qr', x: x + (width - qrSize) / 2, y: y + pad, size: qrSize, data: label.qrData })
+      if (label.physicalId) {
+        items.push({
+          type: 'text',
+          x: x + width / 2,
+          y: y + 2 * pad + qrSize + textSize * 0.75,
+          size: textSize,
+          font: 'mono',
+          anchor: 'middle',
+          text: fitText(label.physicalId, width - 2 * pad, textSize, 'mono')
+        })
+      }
+    }
+
+    return items
+  }
+
+  // Marks in the page margins in line with every label edge, clear of the
+  // bleed
+  cutMarkItems() {
+    const { columns, rows, width, height, left, top, gapX, gapY } = this.template
+    const right = left + columns * width + (columns - 1) * gapX
+    const bottom = top + rows * height + (rows - 1) * gapY
+    const offset = this.bleed + 1
+    const items = []
+    const mark = (x1, y1, x2, y2) => items.push({ type: 'line', x1, y1, x2, y2, width: 0.15 })
+
+    const edgesX = new Set()
+    for (let column = 0; column < columns; column++) {
+      edgesX.add(left + column * (width + gapX))
+      edgesX.add(left + column * (width + gapX) + width)
+    }
+    for (const x of edgesX) {
+      mark(x, Math.max(top - offset - CUT_MARK_LENGTH, 0), x, top - offset)
+      mark(x, bottom + offset, x, Math.min(bottom + offset + CUT_MARK_LENGTH, this.pageSize.height))
+    }
+
+    const edgesY = new Set()
+    for (let row = 0; row < rows; row++) {
+      edgesY.add(top + row * (height + gapY))
+      edgesY.add(top + row * (height + gapY) + height)
+    }
+    for (const y of edgesY) {
+      mark(Math.max(left - offset - CUT_MARK_LENGTH, 0), y, left - offset, y)
+      mark(right + offset, y, Math.min(right + offset + CUT_MARK_LENGTH, this.pageSize.width), y)
+    }
+    return items
+  }
+
+  // One page as an SVG document, in mm
+  renderSvg(items) {
+    const { width, height } = this.pageSize
+    const escape = (text) => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+    const fonts = {
+      regular: 'font-family="Helvetica, Arial, sans-serif"',
+      bold: 'font-family="Helvetica, Arial, sans-serif" font-weight="bold"',
+      mono: 'font-family="Courier, monospace"'
+    }
+    const n = (value) => +value.toFixed(3)
+
+    const elements = items.map(item => {
+      switch (item.type) {
+        case 'rect':
+          return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" fill="${item.fill}"/>`
+        case 'line':
+          return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" stroke="#000000" stroke-width="${item.width}"/>`
+        case 'text':
+          return `<text x="${n(item.x)}" y="${n(item.y)}" font-size="${n(item.size)}" ${fonts[item.font]}${item.anchor ? ` text-anchor="${item.anchor}"` : ''} fill="${this.color}">${escape(item.text)}</text>`
+        case 'qr': {
+          const { size, runs } = qrRuns(item.data)
+          const module = item.size / (size + 4)
+          const x0 = item.x + 2 * module
+          const y0 = item.y + 2 * module
+          const path = runs
+            .map(([row, column, length]) => `M${n(x0 + column * module)} ${n(y0 + row * module)}h${n(length * module)}v${n(module)}h${n(-length * module)}z`)
+            .join('')
+          return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.size)}" height="${n(item.size)}" fill="#ffffff"/><path d="${path}" fill="#000000"/>`
+        }
+      }
+      return ''
+    })
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">
+${elements.join('\n')}
+</svg>
+`
+  }
+
+  // Every page as a PDF document, with the standard Helvetica and Courier
+  // fonts (text outside Latin-1 is replaced)
+  renderPdf(pages) {
+    const pageHeight = this.pageSize.height
+    const fonts = { regular: 'F1', bold: 'F2', mono: 'F3' }
+    const n = (value) => +(value * PT).toFixed(2)
+    const rgb = (hex) => [1, 3, 5].map(i => +(parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ')
+    const pdfString = (text) => text
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+      .replace(/[\\()]/g, c => `\\${c}`)
+
+    const contents = pages.map(items => items.map(item => {
+      switch (item.type) {
+        case 'rect':
+          return `${rgb(item.fill)} rg ${n(item.x)} ${n(pageHeight - item.y - item.height)} ${n(item.width)} ${n(item.height)} re f`
+        case 'line':
+          return `0 0 0 RG ${n(item.width)} w ${n(item.x1)} ${n(pageHeight - item.y1)} m ${n(item.x2)} ${n(pageHeight - item.y2)} l S`
+        case 'text': {
+          const x = item.anchor === 'middle' ? item.x - textWidth(item.text, item.size, item.font) / 2 : item.x
+          return `BT /${fonts[item.font]} ${n(item.size)} Tf ${rgb(this.color)} rg ${n(x)} ${n(pageHeight - item.y)} Td (${pdfString(item.text)}) Tj ET`
+        }
+        case 'qr': {
+          const { size, runs } = qrRuns(item.data)
+          const module = item.size / (size + 4)
+          const x0 = item.x + 2 * module
+          const y0 = item.y + 2 * module
+          const modules = runs
+            .map(([row, column, length]) => `${n(x0 + column * module)} ${n(pageHeight - y0 - (row + 1) * module)} ${n(length * module)} ${n(module)} re`)
+            .join('\n')
+          return `1 1 1 rg ${n(item.x)} ${n(pageHeight - item.y - item.size)} ${n(item.size)} ${n(item.size)} re f\n0 0 0 rg\n${modules}\nf`
+        }
+      }
+      return ''
+    }).join('\n'))
+
+    // Objects: 1 catalog, 2 page tree, 3-5 fonts, then a page and its
+    // content stream per page
+    const objects = []
+    const pageIds = contents.map((_, index) => 6 + index * 2)
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+    contents.forEach((content, index) => {
+      const id = pageIds[index]
+      objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(this.pageSize.width)} ${n(pageHeight)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${id + 1} 0 R >>`
+      objects[id + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    })
+
+    let pdf = '%PDF-1.4\n'
+    const offsets = []
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(pdf, 'latin1')
+      pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`
+    }
+    const xref = Buffer.byteLength(pdf, 'latin1')
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+    for (let id = 1; id < objects.length; id++) {
+      pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+    return Buffer.from(pdf, 'latin1')
+  }
+}
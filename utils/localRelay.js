@@ -0,0 +1,186 @@
+import { WebSocketServer, WebSocket } from 'ws'
+import { verifyEvent, matchFilter, kinds } from 'nostr-tools'
+
+// Minimal NIP-01 relay keeping events in memory, for development and tests
+// without the public relays. Accepts EVENT (signature checked, replaceable
+// and addressable events replaced by newer versions, ephemeral events only
+// forwarded), REQ with any tag filter (#d, #e, #phash, ...) and CLOSE.
+// Nothing is persisted: events are gone when it stops.
+export class LocalRelay {
+  constructor({ port = 12097, host = '127.0.0.1', maxEvents = 10000 } = {}) {
+    this.port = port
+    this.host = host
+    this.maxEvents = maxEvents
+    this.events = new Map() // event id -> event, oldest first
+    this.replaceable = new Map() // "kind:pubkey" or "kind:pubkey:d" -> event id
+    this.clients = new Map() // socket -> Map(subscription id -> filters)
+    this.server = null
+  }
+
+  get url() {
+    return `ws://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${this.port}`
+  }
+
+  async start() {
+    this.server = new WebSocketServer({ port: this.port, host: this.host })
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve)
+      this.server.once('error', reject)
+    })
+    // Port 0 picks a free port
+    this.port = this.server.address().port
+    this.server.on('connection', (socket) => this.handleConnection(socket))
+    console.log(`Local relay listening on ${this.url}`)
+    return this.url
+  }
+
+  async stop() {
+    if (!this.server) return
+    for (const socket of this.clients.keys()) {
+      socket.terminate()
+    }
+    this.clients.clear()
+    await new Promise(resolve => this.server.close(resolve))
+    this.server = null
+  }
+
+  handleConnection(socket) {
+    const subscriptions = new Map()
+    this.clients.set(socket, subscriptions)
+    socket.on('message', (data) => this.handleMessage(socket, subscriptions, data))
+    socket.on('close', () => this.clients.delete(socket))
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  handleMessage(socket, subscriptions, data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch (error) {
+      return this.send(socket, ['NOTICE', 'invalid: could not parse message'])
+    }
+    if (!Array.isArray(message)) {
+      return this.send(socket, ['NOTICE', 'invalid: message must be an array'])
+    }
+
+    const [type, ...args] = message
+    switch (type) {
+      case 'EVENT':
+        return this.handleEvent(socket, args[0])
+      case 'REQ': {
+        const [subscriptionId, ...filters] = args
+        if (typeof subscriptionId !== 'string' || filters.some(filter => !filter || typeof filter !== 'object')) {
+          return this.send(socket, ['CLOSED', String(subscriptionId), 'invalid: malformed subscription'])
+        }
+        subscriptions.set(subscriptionId, filters)
+        for (const event of this.query(filters)) {
+          this.send(socket, ['EVENT', subscriptionId, event])
+        }
+        return this.send(socket, ['EOSE', subscriptionId])
+      }
+      case 'CLOSE':
+        subscriptions.delete(args[0])
+        return
+      default:
+        return this.send(socket, ['NOTICE', `unsupported: ${type} messages are not supported`])
+    }
+  }
+
+  handleEvent(socket, event) {
+    let valid = false
+    try {
+      valid = verifyEvent(event)
+    } catch (error) {
+      // malformed event
+    }
+    if (!valid) {
+      return this.send(socket, ['OK', event?.id ?? '', false, 'invalid: bad event or signature'])
+    }
+    if (this.events.has(event.id)) {
+      return this.send(socket, ['OK', event.id, true, 'duplicate: already have this event'])
+    }
+    if (!this.storeEvent(event)) {
+      return this.send(socket, ['OK', event.id, true, 'duplicate: have a newer version'])
+    }
+
+    this.send(socket, ['OK', event.id, true, ''])
+    for (const [client, subscriptions] of this.clients) {
+      for (const [subscriptionId, filters] of subscriptions) {
+        if (filters.some(filter => matchFilter(filter, event))) {
+          this.send(client, ['EVENT', subscriptionId, event])
+        }
+      }
+    }
+  }
+
+  // Key of the event a replaceable or addressable event replaces, if any
+  replaceableKey(event) {
+    if (kinds.isReplaceableKind(event.kind)) {
+      return `${event.kind}:${event.pubkey}`
+    }
+    if (kinds.isAddressableKind(event.kind)) {
+      const d = event.tags.find(tag => tag[0] === 'd')?.[1] ?? ''
+      return `${event.kind}:${event.pubkey}:${d}`
+    }
+    return null
+  }
+
+  // Keep an event, replacing the older version of a replaceable one. Returns
+  // false when a newer version is already stored.
+  storeEvent(event) {
+    if (kinds.isEphemeralKind(event.kind)) {
+      return true
+    }
+
+    const key = this.replaceableKey(event)
+    if (key) {
+      const existing = this.events.get(this.replaceable.get(key))
+      if (existing) {
+        // Ties go to the lowest id (NIP-01)
+        if (existing.created_at > event.created_at ||
+            (existing.created_at === event.created_at && existing.id < event.id)) {
+          return false
+        }
+        this.events.delete(existing.id)
+      }
+      this.replaceable.set(key, event.id)
+    }
+
+    this.events.set(event.id, event)
+    if (this.events.size > this.maxEvents) {
+      const [oldest] = this.events.values()
+      this.events.delete(oldest.id)
+      const oldestKey = this.replaceableKey(oldest)
+      if (oldestKey && this.replaceable.get(oldestKey) === oldest.id) {
+        this.replaceable.delete(oldestKey)
+      }
+    }
+    return true
+  }
+
+  // Stored events matching any of the filters, newest first, each filter's
+  // limit applied to its own matches
+  query(filters) {
+    const newestFirst = Array.from(this.events.values())
+      .sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id))
+    const results = new Map()
+
+    for (const filter of filters) {
+      let matches = newestFirst.filter(event => matchFilter(filter, event))
+      if (Number.isInteger(filter.limit)) {
+        matches = matches.slice(0, Math.max(filter.limit, 0))
+      }
+      for (const event of matches) {
+        results.set(event.id, event)
+      }
+    }
+
+    return Array.from(results.values())
+      .sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id))
+  }
+}
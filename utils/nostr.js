@@ -1,13 +1,64 @@
-import { generateSecretKey, getPublicKey, finalizeEvent, SimplePool, nip19 } from 'nostr-tools'
+import { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent, getEventHash, SimplePool, nip19 } from 'nostr-tools'
+import { normalizeURL } from 'nostr-tools/utils'
 import { createHash } from 'crypto'
 import WebSocket from 'ws'
 
 // Make WebSocket available globally for nostr-tools
 global.WebSocket = WebSocket
 
+// Ownership transfer of an object (regular event, so every transfer is kept)
+export const OWNERSHIP_TRANSFER_KIND = 3033
+
+// Kind of the event an issuer's cosignature of a creator-signed object is
+// made over. It is never published: verifiers rebuild it from the identity
+// event's address and the time in its issuance tag.
+export const ISSUANCE_KIND = 3035
+
+// Unsigned issuance event: the issuer vouching for an object address
+// ("kind:pubkey:d")
+export function issuanceTemplate(address, pubkey, createdAt) {
+  return {
+    kind: ISSUANCE_KIND,
+    created_at: createdAt,
+    tags: [['a', address]],
+    content: '',
+    pubkey
+  }
+}
+
+// Object identity (addressable event, so the latest version of each object
+// is kept by its d tag). Configurable with NOSTR_OBJECT_KIND.
+export const DEFAULT_OBJECT_KIND = 30444
+// OK message prefixes (NIP-01) of relays that will keep refusing an event;
+// anything else (rate limits, errors, timeouts, lost connections) is retried
+const PERMANENT_REJECTIONS = ['invalid:', 'blocked:', 'restricted:', 'pow:', 'mute:', 'auth-required:']
+// Notices kept per relay
+const MAX_NOTICES = 10
+
+// Kind of the identity events published before it was configurable. NIP-51
+// defines it as follow sets, so they are only read, for migration.
+export const LEGACY_OBJECT_KIND = 30000
+
+// Object identity kind from the NOSTR_OBJECT_KIND environment variable
+export function loadObjectKind(value = process.env.NOSTR_OBJECT_KIND) {
+  if (!value) {
+    return DEFAULT_OBJECT_KIND
+  }
+
+  const kind = Number(value)
+  if (!Number.isInteger(kind) || kind < 30000 || kind > 39999 || kind === LEGACY_OBJECT_KIND) {
+    throw new Error(`Invalid NOSTR_OBJECT_KIND: ${value} (must be an addressable kind, 30001-39999)`)
+  }
+  return kind
+}
+
 export class NostrClient {
-  constructor(privateKey = null, relays = []) {
+  constructor(privateKey = null, relays = [], { objectKind = DEFAULT_OBJECT_KIND } = {}) {
     this.privateKey = privateKey || generateSecretKey()
+    this.objectKind = objectKind
+    // Identity kinds to query: the current one and, until every object has
+    // been migrated, the legacy one
+    this.objectKinds = [objectKind, LEGACY_OBJECT_KIND]
     this.publicKey = getPublicKey(this.privateKey)
     this.relays = relays.length > 0 ? relays : [
       'wss://relay.damus.io',
@@ -15,11 +66,32 @@ export class NostrClient {
       'wss://relay.nostr.band',
       'wss://relay.snort.social'
     ]
-    this.pool = new SimplePool()
+    // Pings detect dead connections, which the pool then reopens on demand
+    this.pool = new SimplePool({ enablePing: true })
+    this.connectionTimeout = 5000
+    // Per relay: last OK, last error and recent NOTICE messages
+    this.relayStatus = new Map(this.relays.map(url => [url, {
+      url,
+      lastOkAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      notices: []
+    }]))
+    this.watchedRelays = new WeakSet()
   }
 
-  // Create object identity event (kind 30000 - parameterized replaceable event)
-  async createObjectIdentity(objectData) {
+  // Sign an object identity event (addressable event of this.objectKind);
+  // publish it with the outbox
+  signObjectIdentity(objectData) {
+    return finalizeEvent(this.objectIdentityTemplate(objectData), this.privateKey)
+  }
+
+  // Unsigned object identity event. Objects signed by their creator's own
+  // key (pubkey) tag this server as their issuer, so a resync finds them,
+  // with the server's cosignature of their address (see verifyIssuance).
+  // Objects republished under a new kind point back to their original
+  // identity event (mintEventId), where their provenance chain starts.
+  objectIdentityTemplate(objectData, pubkey = this.publicKey) {
     const {
       uniqueId,
       name,
@@ -29,12 +101,21 @@ export class NostrClient {
       provenance = 'first-mint',
       description = '',
       imageUrl = '',
-      pHash = ''
+      pHash = '',
+      pHashAlgorithm = 'blockhash',
+      images = [{ imageUrl, pHash }], // every image of the object, main image first
+      lud16 = '', // artist's lightning address for zaps
+      mintEventId = null
     } = objectData
 
-    const event = {
-      kind: 30000,
-      created_at: Math.floor(Date.now() / 1000),
+    const createdAt = Math.floor(Date.now() / 1000)
+    const issuance = pubkey !== this.publicKey
+      ? finalizeEvent(issuanceTemplate(`${this.objectKind}:${pubkey}:${uniqueId}`, this.publicKey, createdAt), this.privateKey)
+      : null
+
+    return {
+      kind: this.objectKind,
+      created_at: createdAt,
       tags: [
         ['d', uniqueId], // unique ID per object (slug)
         ['name', name],
@@ -42,35 +123,84 @@ export class NostrClient {
         ['hash', imageHash],
         ['artist', artist],
         ['prov', provenance],
-        ['phash', pHash], // perceptual hash for duplicate detection
-        ['image', imageUrl]
+        // perceptual hash of each image for duplicate detection, and its algorithm
+        ...images.map(image => ['phash', image.pHash, pHashAlgorithm]),
+        ...images.map(image => ['image', image.imageUrl]),
+        ...(lud16 ? [['lud16', lud16]] : []),
+        ...(issuance ? [['p', this.publicKey, '', 'issuer'], ['issuance', issuance.sig, String(createdAt)]] : []),
+        ...(mintEventId ? [['e', mintEventId, '', 'mint']] : [])
       ],
       content: description,
-      pubkey: this.publicKey
+      pubkey
     }
+  }
 
-    const signedEvent = finalizeEvent(event, this.privateKey)
-    
-    // Publish to relays
-    await this.publishEvent(signedEvent)
-    
-    return signedEvent
+  // Connection to a relay, opened if needed, with its NOTICEs recorded
+  async connectRelay(url) {
+    const relay = await this.pool.ensureRelay(url, { connectionTimeout: this.connectionTimeout })
+    if (!this.watchedRelays.has(relay)) {
+      this.watchedRelays.add(relay)
+      relay.onnotice = (message) => {
+        const status = this.relayStatus.get(url)
+        status.notices = [{ message, at: Date.now() }, ...status.notices].slice(0, MAX_NOTICES)
+        console.log(`NOTICE from ${url}: ${message}`)
+      }
+    }
+    return relay
   }
 
-  // Publish event to relays
-  async publishEvent(event) {
-    const promises = this.relays.map(relay => 
-      this.pool.publish([relay], event)
-    )
-    
-    await Promise.allSettled(promises)
-    return event
+  // Send an event to one relay and wait for its OK. A duplicate counts as
+  // accepted: the relay already has the event.
+  async publishToRelay(url, event) {
+    const status = this.relayStatus.get(url)
+    try {
+      const relay = await this.connectRelay(url)
+      const message = await relay.publish(event)
+      status.lastOkAt = Date.now()
+      return { relay: url, accepted: true, message: message || '' }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error)
+      if (message.startsWith('duplicate:')) {
+        status.lastOkAt = Date.now()
+        return { relay: url, accepted: true, message }
+      }
+      status.lastError = message
+      status.lastErrorAt = Date.now()
+      return {
+        relay: url,
+        accepted: false,
+        message,
+        retry: !PERMANENT_REJECTIONS.some(prefix => message.startsWith(prefix))
+      }
+    }
+  }
+
+  // Publish an event to relays (all by default) and report which accepted it
+  // and which didn't, and why. Never throws; failed relays are for the
+  // outbox to retry.
+  async publishEvent(event, relays = this.relays) {
+    const results = await Promise.all(relays.map(url => this.publishToRelay(url, event)))
+    return {
+      eventId: event.id,
+      accepted: results.filter(result => result.accepted).map(result => result.relay),
+      rejected: results
+        .filter(result => !result.accepted)
+        .map(({ relay, message, retry }) => ({ relay, reason: message, retry }))
+    }
+  }
+
+  // Connection state and recent OK, error and NOTICE activity of each relay
+  listRelayStatus() {
+    return Array.from(this.relayStatus.values()).map(status => ({
+      ...status,
+      connected: Boolean(this.pool.relays.get(normalizeURL(status.url))?.connected)
+    }))
   }
 
   // Find object by pHash (for duplicate detection)
   async findObjectByPHash(pHash, threshold = 5) {
     const filter = {
-      kinds: [30000],
+      kinds: this.objectKinds,
       '#phash': [pHash]
     }
 
@@ -81,18 +211,34 @@ export class NostrClient {
   // Find object by unique ID
   async findObjectById(uniqueId) {
     const filter = {
-      kinds: [30000],
+      kinds: this.objectKinds,
       '#d': [uniqueId]
     }
 
     const events = await this.pool.querySync(this.relays, filter)
-    return events.length > 0 ? events[0] : null
+    // Migrated objects have both versions; the current kind wins
+    const identities = events
+      .filter(event => isObjectIdentity(event, this.objectKind))
+      .sort((a, b) => (b.kind === this.objectKind) - (a.kind === this.objectKind) || b.created_at - a.created_at)
+    return identities[0] || null
+  }
+
+  // Latest event at an address (kind, pubkey and d tag, as in an naddr)
+  async findEventByAddress({ kind, pubkey, identifier }, maxWait = 3000) {
+    const filter = {
+      kinds: [kind],
+      authors: [pubkey],
+      '#d': [identifier]
+    }
+
+    const events = await this.pool.querySync(this.relays, filter, { maxWait })
+    return events.sort((a, b) => b.created_at - a.created_at)[0] || null
   }
 
   // Get all objects by artist
   async getObjectsByArtist(artist) {
     const filter = {
-      kinds: [30000],
+      kinds: this.objectKinds,
       '#artist': [artist]
     }
 
@@ -100,28 +246,135 @@ export class NostrClient {
     return events
   }
 
-  // Create zap event for object
-  async createZapEvent(objectId, amount, comment = '') {
-    const event = {
+  // Get all object identities issued by this client: published with its key,
+  // or signed by their creators and tagging it as issuer
+  async getOwnObjectIdentities(maxWait = 10000) {
+    const [own, issued] = await Promise.all([
+      this.pool.querySync(this.relays, { kinds: this.objectKinds, authors: [this.publicKey] }, { maxWait }),
+      this.pool.querySync(this.relays, { kinds: this.objectKinds, '#p': [this.publicKey] }, { maxWait })
+    ])
+
+    return [...own, ...issued.filter(event => this.verifyIssuance(event))].filter(event => isObjectIdentity(event, this.objectKind))
+  }
+
+  // Whether this server issued a creator-signed identity event: anyone can
+  // tag it as issuer, so the event must also carry its cosignature of the
+  // event's address
+  verifyIssuance(event) {
+    const isIssuer = event.tags.some(tag => tag[0] === 'p' && tag[1] === this.publicKey && tag[3] === 'issuer')
+    const [, sig, createdAt] = event.tags.find(tag => tag[0] === 'issuance') || []
+    const uniqueId = event.tags.find(tag => tag[0] === 'd')?.[1]
+    if (!isIssuer || !sig || !uniqueId || !/^\d+$/.test(createdAt || '')) {
+      return false
+    }
+
+    const issuance = issuanceTemplate(`${event.kind}:${event.pubkey}:${uniqueId}`, this.publicKey, parseInt(createdAt))
+    try {
+      return verifyEvent({ ...issuance, id: getEventHash(issuance), sig })
+    } catch (error) {
+      return false
+    }
+  }
+
+  // Create a NIP-57 zap request (kind 9734) for an object, to recipientPubkey
+  // (see ZapService.recipientPubkey). It is not published: it goes to the
+  // recipient's LNURL-pay callback with the invoice request, and comes back
+  // inside the zap receipt once the invoice is paid.
+  createZapRequest({ object, amountMsats, comment = '', recipientPubkey }) {
+    const tags = [
+      ['p', recipientPubkey],
+      ['amount', amountMsats.toString()],
+      ['relays', ...this.relays]
+    ]
+    // Local-only objects (never published) have no event id or address to point at
+    if (/^[0-9a-f]{64}$/.test(object.nostrEventId || '')) {
+      tags.push(['e', object.nostrEventId])
+    }
+    const address = this.objectAddress(object)
+    if (address) {
+      tags.push(['a', address])
+    }
+
+    return finalizeEvent({
       kind: 9734, // Zap request
       created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['e', objectId], // reference to object event
-        ['amount', amount.toString()],
-        ['relays', ...this.relays]
-      ],
-      content: comment,
-      pubkey: this.publicKey
+      tags,
+      content: comment
+    }, this.privateKey)
+  }
+
+  // Zap receipts (kind 9735) for a recipient, as stored on the relays
+  async getZapReceipts(recipientPubkey = this.publicKey, since = 0, maxWait = 5000) {
+    const filter = {
+      kinds: [9735],
+      '#p': [recipientPubkey],
+      since
+    }
+
+    return this.pool.querySync(this.relays, filter, { maxWait })
+  }
+
+  // Follow new zap receipts for a recipient; returns the subscription
+  subscribeZapReceipts(onReceipt, recipientPubkey = this.publicKey) {
+    const filter = {
+      kinds: [9735],
+      '#p': [recipientPubkey],
+      since: Math.floor(Date.now() / 1000)
     }
 
-    const signedEvent = finalizeEvent(event, this.privateKey)
-    await this.publishEvent(signedEvent)
-    
-    return signedEvent
+    return this.pool.subscribeMany(this.relays, filter, { onevent: onReceipt })
   }
 
-  // Add content/story to object (as thread)
-  async addObjectContent(objectId, content, contentType = 'text') {
+  // "kind:pubkey:d" address of an object's identity event, from its naddr
+  objectAddress(object) {
+    try {
+      const { type, data } = nip19.decode(object.naddr)
+      return type === 'naddr' ? `${data.kind}:${data.pubkey}:${data.identifier}` : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  // Create and sign an ownership transfer event (not published yet): it
+  // links the object (d tag and address) to its new owner's pubkey and to
+  // the previous link of its provenance chain (the identity event for the
+  // first transfer), so the chain can be rebuilt from the relays
+  createOwnershipTransfer({ object, newOwner, previousOwner = null, previousEventId, type = 'transfer', note = '', price = null }) {
+    const tags = [
+      ['d', object.id],
+      ['e', previousEventId, '', 'prev'],
+      ['p', newOwner, '', 'owner'],
+      ...(previousOwner ? [['p', previousOwner, '', 'previous-owner']] : []),
+      ['prov', type],
+      ...(price ? [['price', price.toString(), 'sats']] : []),
+      ['alt', `Ownership transfer of ${object.name}`]
+    ]
+    const address = this.objectAddress(object)
+    if (address) {
+      tags.splice(1, 0, ['a', address])
+    }
+
+    return finalizeEvent({
+      kind: OWNERSHIP_TRANSFER_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags,
+      content: note
+    }, this.privateKey)
+  }
+
+  // Ownership transfers of the given objects (by d tag), whoever signed
+  // them; the provenance chain decides which ones count
+  async getOwnershipTransfers(uniqueIds, maxWait = 5000) {
+    const filter = {
+      kinds: [OWNERSHIP_TRANSFER_KIND],
+      '#d': uniqueIds
+    }
+
+    return this.pool.querySync(this.relays, filter, { maxWait })
+  }
+
+  // Sign content/story for an object (as thread); publish it with the outbox
+  signObjectContent(objectId, content, contentType = 'text') {
     const event = {
       kind: 1, // Text note
       created_at: Math.floor(Date.now() / 1000),
@@ -133,10 +386,7 @@ export class NostrClient {
       pubkey: this.publicKey
     }
 
-    const signedEvent = finalizeEvent(event, this.privateKey)
-    await this.publishEvent(signedEvent)
-    
-    return signedEvent
+    return finalizeEvent(event, this.privateKey)
   }
 
   // Get object thread (all related content)
@@ -167,6 +417,16 @@ export class NostrClient {
 }
 
 // Utility functions
+
+// Whether an event is an object identity. Legacy kind 30000 events are
+// also follow sets, so those only count when they carry an image hash.
+export function isObjectIdentity(event, objectKind) {
+  if (event.kind === LEGACY_OBJECT_KIND) {
+    return event.tags.some(tag => tag[0] === 'hash')
+  }
+  return event.kind === objectKind
+}
+
 export function generateObjectId(name, artist, timestamp = Date.now()) {
   const data = `${name}-${artist}-${timestamp}`
   return createHash('sha256').update(data).digest('hex').substring(0, 16)
@@ -0,0 +1,128 @@
+// Signed events waiting for relays that haven't accepted them yet. Events
+// are published right away; the relays that failed with a retriable error
+// (connection refused, timeout, rate limit) get the event again later, with
+// exponential backoff, until they accept it or the attempts run out.
+export class Outbox {
+  constructor(nostrClient, store, { retryInterval = 30 * 1000, maxDelay = 60 * 60 * 1000, maxAttempts = 10 } = {}) {
+    this.nostrClient = nostrClient
+    this.store = store
+    this.retryInterval = retryInterval
+    this.maxDelay = maxDelay
+    this.maxAttempts = maxAttempts
+    this.timer = null
+    this.flushing = null
+  }
+
+  // Delay before the next attempt, after the given number of attempts
+  backoff(attempts) {
+    return Math.min(this.retryInterval * 2 ** (attempts - 1), this.maxDelay)
+  }
+
+  // Publish an event to every relay and queue it for the ones to retry.
+  // Returns the relays that accepted it, those that refused it and why, and
+  // those it is queued for.
+  async publish(event) {
+    const report = await this.nostrClient.publishEvent(event)
+    const retry = report.rejected.filter(rejection => rejection.retry).map(rejection => rejection.relay)
+
+    if (retry.length > 0) {
+      await this.store.queueOutboxEvent({
+        id: event.id,
+        event,
+        relays: retry,
+        accepted: report.accepted,
+        attempts: 1,
+        errors: Object.fromEntries(report.rejected.map(rejection => [rejection.relay, rejection.reason])),
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now() + this.backoff(1)
+      })
+      console.warn(`Event ${event.id} queued for ${retry.length} relay(s): ${retry.join(', ')}`)
+    }
+
+    return { ...report, queued: retry }
+  }
+
+  // Retry queued events that are due (all of them with force)
+  async flush({ force = false } = {}) {
+    // Only one flush at a time; concurrent callers share the running one
+    if (this.flushing) {
+      return this.flushing
+    }
+
+    this.flushing = this.runFlush(force).finally(() => {
+      this.flushing = null
+    })
+    return this.flushing
+  }
+
+  async runFlush(force) {
+    const now = Date.now()
+    const result = { attempted: 0, published: [], requeued: [], dropped: [] }
+
+    for (const entry of await this.store.listOutbox()) {
+      if (!force && entry.nextAttemptAt > now) continue
+
+      // Relays may have been removed from the configuration since
+      const relays = entry.relays.filter(url => this.nostrClient.relays.includes(url))
+      if (relays.length === 0) {
+        await this.store.removeOutboxEvent(entry.id)
+        result.dropped.push(entry.id)
+        continue
+      }
+
+      result.attempted++
+      const report = await this.nostrClient.publishEvent(entry.event, relays)
+      const retry = report.rejected.filter(rejection => rejection.retry).map(rejection => rejection.relay)
+      const attempts = entry.attempts + 1
+
+      if (retry.length === 0) {
+        await this.store.removeOutboxEvent(entry.id)
+        result.published.push(entry.id)
+      } else if (attempts >= this.maxAttempts) {
+        await this.store.removeOutboxEvent(entry.id)
+        result.dropped.push(entry.id)
+        console.warn(`Giving up on event ${entry.id} after ${attempts} attempts: ${retry.join(', ')}`)
+      } else {
+        await this.store.updateOutboxEvent(entry.id, {
+          relays: retry,
+          accepted: [...entry.accepted, ...report.accepted],
+          attempts,
+          // Latest error of each relay that hasn't accepted the event
+          errors: Object.fromEntries([
+            ...Object.entries(entry.errors).filter(([url]) => !report.accepted.includes(url)),
+            ...report.rejected.map(rejection => [rejection.relay, rejection.reason])
+          ]),
+          nextAttemptAt: Date.now() + this.backoff(attempts)
+        })
+        result.requeued.push(entry.id)
+      }
+    }
+
+    if (result.attempted > 0 || result.dropped.length > 0) {
+      console.log(`Outbox: ${result.published.length} published, ${result.requeued.length} requeued, ${result.dropped.length} dropped`)
+    }
+    return result
+  }
+
+  // Queued events, without their content
+  async list() {
+    const entries = await this.store.listOutbox()
+    return entries.map(({ event, ...entry }) => ({ ...entry, kind: event.kind }))
+  }
+
+  // Retry due events every retryInterval
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => {
+      this.flush().catch(error => {
+        console.warn('Outbox flush failed:', error.message)
+      })
+    }, this.retryInterval)
+    this.timer.unref()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
@@ -0,0 +1,145 @@
+import { randomBytes } from 'crypto'
+
+// Raised when premium content can't be released; status is the HTTP status
+// to answer with (402 until the session's payment is confirmed)
+export class PayPerViewError extends Error {
+  constructor(message, status = 403) {
+    super(message)
+    this.name = 'PayPerViewError'
+    this.status = status
+  }
+}
+
+// Pay-per-view price in whole sats from a request field: null for none,
+// throws for anything that isn't a positive integer
+export function parsePrice(value) {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') {
+    return null
+  }
+
+  const price = Number(value)
+  if (!Number.isInteger(price) || price < 1) {
+    throw new PayPerViewError('Pay-per-view price must be a positive whole number of sats', 400)
+  }
+  return price
+}
+
+// Pay-per-view gating. Objects may declare a price (object.payPerView) for
+// premium story content (kept in the store, never published to the relays)
+// and their high-resolution images. A successful verification starts a
+// session; paying the session's zap unlocks the premium content for that
+// session only, and it is released only once the zap receipt has settled it.
+export class PayPerViewService {
+  constructor(store, zapService, { sessionTtl = 24 * 60 * 60 * 1000 } = {}) {
+    this.store = store
+    this.zapService = zapService
+    this.sessionTtl = sessionTtl
+  }
+
+  // What an object gates behind payment, or null if nothing
+  async offer(object) {
+    const price = object?.payPerView?.price
+    if (!price) {
+      return null
+    }
+
+    const content = await this.store.listPremiumContent(object.id)
+    const highResImages = object.payPerView.highResImages
+      ? (object.images || []).filter(image => image.hasHighRes).length
+      : 0
+    if (content.length === 0 && highResImages === 0) {
+      return null
+    }
+
+    return { price, premiumContent: content.length, highResImages }
+  }
+
+  // Start a session for a verified object; returns null if it has nothing
+  // to sell
+  async startSession(object, method) {
+    const offer = await this.offer(object)
+    if (!offer) {
+      return null
+    }
+
+    const now = Date.now()
+    const session = await this.store.createSession({
+      id: randomBytes(24).toString('hex'),
+      objectId: object.id,
+      method,
+      createdAt: now,
+      expiresAt: now + this.sessionTtl,
+      zapId: null
+    })
+    return { ...this.describe(session, null), offer }
+  }
+
+  // Public view of a session
+  describe(session, zap) {
+    return {
+      id: session.id,
+      objectId: session.objectId,
+      expiresAt: session.expiresAt,
+      unlocked: zap?.status === 'paid',
+      zapId: session.zapId,
+      zapStatus: zap?.status ?? null
+    }
+  }
+
+  async getSession(sessionId) {
+    const session = sessionId ? await this.store.getSession(sessionId) : null
+    if (!session) {
+      throw new PayPerViewError('Unknown verification session', 404)
+    }
+    if (session.expiresAt <= Date.now()) {
+      throw new PayPerViewError('Verification session has expired; verify the object again', 410)
+    }
+    return session
+  }
+
+  // Current state of a session, looking for the receipt of a pending payment
+  async status(sessionId) {
+    const session = await this.getSession(sessionId)
+    let zap = session.zapId ? await this.store.getZap(session.zapId) : null
+    if (zap?.status === 'pending') {
+      zap = await this.zapService.checkReceipts(zap)
+    }
+    return this.describe(session, zap)
+  }
+
+  // Request the invoice that unlocks a session. Asking again while the
+  // payment is pending returns the same invoice.
+  async requestUnlock(sessionId) {
+    const session = await this.getSession(sessionId)
+    const existing = session.zapId ? await this.store.getZap(session.zapId) : null
+    if (existing) {
+      return { session: this.describe(session, existing), zap: existing }
+    }
+
+    const object = await this.store.getObject(session.objectId)
+    const price = object?.payPerView?.price
+    if (!price) {
+      throw new PayPerViewError('This object has no pay-per-view content', 404)
+    }
+
+    const zap = await this.zapService.requestZap(object, { amount: price, comment: 'Pay-per-view' })
+    const updated = await this.store.updateSession(session.id, { zapId: zap.id })
+    return { session: this.describe(updated, zap), zap }
+  }
+
+  // Check that a session may see an object's premium content: it must be
+  // for that object, unexpired, and its payment settled (at the price when it
+  // was requested; later price changes don't take back what was paid for)
+  async authorize(sessionId, object) {
+    const session = await this.getSession(sessionId)
+    if (session.objectId !== object.id) {
+      throw new PayPerViewError('Verification session is for another object')
+    }
+
+    const zap = session.zapId ? await this.store.getZap(session.zapId) : null
+    if (zap?.status !== 'paid') {
+      throw new PayPerViewError('Payment required', 402)
+    }
+    return session
+  }
+}
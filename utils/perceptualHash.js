@@ -0,0 +1,241 @@
+import sharp from 'sharp'
+
+export const HASH_ALGORITHMS = ['blockhash', 'phash', 'dhash', 'ahash', 'whash']
+
+// Perceptual hashes computed in-process from raw greyscale pixels, without
+// writing anything to disk. All hashes are 256 bits (64 hex chars) by
+// default, so they are comparable in size with the stored hashes and the
+// Hamming distance thresholds used across the app.
+export class PerceptualHasher {
+  constructor(hashSize = 16) {
+    this.hashSize = hashSize
+    this.dctSize = hashSize * 4
+    this.cosineTable = this.buildCosineTable(this.dctSize, hashSize)
+  }
+
+  // cos((2x + 1) * u * PI / 2N) for the low frequencies u < hashSize
+  buildCosineTable(size, frequencies) {
+    const table = []
+    for (let u = 0; u < frequencies; u++) {
+      const row = new Float64Array(size)
+      for (let x = 0; x < size; x++) {
+        row[x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))
+      }
+      table.push(row)
+    }
+    return table
+  }
+
+  // Greyscale pixels of the image resized to exactly width x height,
+  // with transparency flattened onto white
+  async greyscalePixels(imageBuffer, width, height) {
+    const { data } = await sharp(imageBuffer)
+      .flatten({ background: { r: 255, g: 255, b: 255 } })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+
+    return data
+  }
+
+  // Pack an array of booleans into a hex string
+  bitsToHex(bits) {
+    let hex = ''
+    for (let i = 0; i < bits.length; i += 4) {
+      const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]
+      hex += nibble.toString(16)
+    }
+    return hex
+  }
+
+  median(values) {
+    const sorted = Array.from(values).sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+
+  // Average hash: pixel brighter than the mean
+  async aHash(imageBuffer) {
+    const size = this.hashSize
+    const pixels = await this.greyscalePixels(imageBuffer, size, size)
+    const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length
+
+    return this.bitsToHex(Array.from(pixels, value => (value > mean ? 1 : 0)))
+  }
+
+  // Difference hash: pixel brighter than its right-hand neighbour
+  async dHash(imageBuffer) {
+    const size = this.hashSize
+    const pixels = await this.greyscalePixels(imageBuffer, size + 1, size)
+    const bits = []
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const offset = y * (size + 1) + x
+        bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0)
+      }
+    }
+
+    return this.bitsToHex(bits)
+  }
+
+  // DCT hash: the lowest hashSize x hashSize DCT coefficients of a
+  // dctSize x dctSize greyscale image, compared against their median
+  // (the DC term is left out of the median since it only carries brightness)
+  async pHash(imageBuffer) {
+    const size = this.dctSize
+    const frequencies = this.hashSize
+    const pixels = await this.greyscalePixels(imageBuffer, size, size)
+
+    // A flat image has no structure to hash
+    if (pixels.every(value => value === pixels[0])) {
+      return '0'.repeat((frequencies * frequencies) / 4)
+    }
+
+    // Separable 2D DCT-II, rows first, only computing the low frequencies
+    const rows = new Float64Array(size * frequencies)
+    for (let y = 0; y < size; y++) {
+      for (let u = 0; u < frequencies; u++) {
+        const cosines = this.cosineTable[u]
+        let sum = 0
+        for (let x = 0; x < size; x++) {
+          sum += pixels[y * size + x] * cosines[x]
+        }
+        rows[y * frequencies + u] = sum
+      }
+    }
+
+    const coefficients = new Float64Array(frequencies * frequencies)
+    for (let v = 0; v < frequencies; v++) {
+      const cosines = this.cosineTable[v]
+      for (let u = 0; u < frequencies; u++) {
+        let sum = 0
+        for (let y = 0; y < size; y++) {
+          sum += rows[y * frequencies + u] * cosines[y]
+        }
+        coefficients[v * frequencies + u] = sum
+      }
+    }
+
+    // Differences below floating point noise count as equal, so the hash is
+    // stable across platforms
+    const medianValue = this.median(coefficients.subarray(1))
+    return this.bitsToHex(Array.from(coefficients, value => (value - medianValue > 1e-6 ? 1 : 0)))
+  }
+
+  // Wavelet hash: Haar low-pass (LL) band of a dctSize x dctSize greyscale
+  // image, decomposed down to hashSize x hashSize and compared against its
+  // median. The image mean is removed first so only structure is hashed.
+  async wHash(imageBuffer) {
+    let size = this.dctSize
+    const pixels = await this.greyscalePixels(imageBuffer, size, size)
+    const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length
+    let band = Float64Array.from(pixels, value => value - mean)
+
+    while (size > this.hashSize) {
+      const half = size / 2
+      const next = new Float64Array(half * half)
+      for (let y = 0; y < half; y++) {
+        for (let x = 0; x < half; x++) {
+          const offset = 2 * y * size + 2 * x
+          next[y * half + x] = (band[offset] + band[offset + 1] + band[offset + size] + band[offset + size + 1]) / 2
+        }
+      }
+      band = next
+      size = half
+    }
+
+    const medianValue = this.median(band)
+    return this.bitsToHex(Array.from(band, value => (value - medianValue > 1e-6 ? 1 : 0)))
+  }
+
+  // Block mean value hash (blockhash.io "bmvbhash"), the algorithm the
+  // image-hash package implements. Ported here so stored hashes stay
+  // comparable; works on RGBA pixels with fractional block boundaries.
+  async blockHash(imageBuffer) {
+    const bits = this.hashSize
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+    const { width, height } = info
+
+    const blocks = Array.from({ length: bits }, () => new Array(bits).fill(0))
+    const blockWidth = width / bits
+    const blockHeight = height / bits
+
+    // Split a pixel coordinate over the (at most two) blocks it overlaps
+    const spread = (position, blockSize, size) => {
+      if (size % bits === 0) {
+        const block = Math.floor(position / blockSize)
+        return [[block, 1]]
+      }
+      const mod = (position + 1) % blockSize
+      const fraction = mod - Math.floor(mod)
+      const whole = mod - fraction
+      // Whole part is 0 on bottom/right borders and on block boundaries
+      if (whole > 0 || position + 1 === size) {
+        const block = Math.floor(position / blockSize)
+        return [[block, 1 - fraction], [block, fraction]]
+      }
+      return [[Math.floor(position / blockSize), 1 - fraction], [Math.ceil(position / blockSize), fraction]]
+    }
+
+    const columns = Array.from({ length: width }, (_, x) => spread(x, blockWidth, width))
+    for (let y = 0; y < height; y++) {
+      const rows = spread(y, blockHeight, height)
+      for (let x = 0; x < width; x++) {
+        const offset = (y * width + x) * 4
+        const value = data[offset + 3] === 0 ? 765 : data[offset] + data[offset + 1] + data[offset + 2]
+        for (const [row, rowWeight] of rows) {
+          for (const [column, columnWeight] of columns[x]) {
+            blocks[row][column] += value * rowWeight * columnWeight
+          }
+        }
+      }
+    }
+
+    // Compare each block against the median of its horizontal band (a
+    // quarter of the image). Near-median blocks in images dominated by
+    // black or white count as 1 when the median is in the upper half.
+    const values = blocks.flat()
+    const halfBlockValue = (blockWidth * blockHeight * 256 * 3) / 2
+    const bandSize = values.length / 4
+    const bitsArray = []
+    for (let band = 0; band < 4; band++) {
+      const bandValues = values.slice(band * bandSize, (band + 1) * bandSize)
+      const sorted = bandValues.slice().sort((a, b) => a - b)
+      // Same (off by one) even-length median as blockhash, for compatibility
+      const medianValue = sorted.length % 2 === 0
+        ? (sorted[sorted.length / 2] + sorted[sorted.length / 2 + 1]) / 2
+        : sorted[Math.floor(sorted.length / 2)]
+      for (const value of bandValues) {
+        bitsArray.push(Number(value > medianValue || (Math.abs(value - medianValue) < 1 && medianValue > halfBlockValue)))
+      }
+    }
+
+    return this.bitsToHex(bitsArray)
+  }
+
+  // Hash with the named algorithm (see HASH_ALGORITHMS)
+  async hash(imageBuffer, algorithm = 'blockhash') {
+    switch (algorithm) {
+      case 'blockhash':
+        return this.blockHash(imageBuffer)
+      case 'phash':
+        return this.pHash(imageBuffer)
+      case 'dhash':
+        return this.dHash(imageBuffer)
+      case 'ahash':
+        return this.aHash(imageBuffer)
+      case 'whash':
+        return this.wHash(imageBuffer)
+      default:
+        throw new Error(`Unknown hash algorithm: ${algorithm}`)
+    }
+  }
+}
+
+// Export singleton instance
+export const perceptualHasher = new PerceptualHasher()
@@ -1,10 +1,51 @@
 import crypto from 'crypto'
 import QRCode from 'qrcode'
 import sharp from 'sharp'
+import { nip19 } from 'nostr-tools'
+import { decodeCompactCertificate } from './qrCode.js'
+import { CertificateTemplates } from './certificateTemplates.js'
+
+// Text for SVG elements and attributes
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+// Lines of at most maxChars, broken at spaces
+function wrapLines(text, maxChars) {
+  const lines = []
+  let line = ''
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line)
+      line = word
+    } else {
+      line = line ? `${line} ${word}` : word
+    }
+  }
+  return line ? [...lines, line] : lines
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, Math.max(maxChars - 1, 1))}…` : text
+}
 
 export class PhysicalIdentifier {
-  constructor() {
+  constructor({ baseUrl = process.env.BASE_URL || 'http://localhost:12001', certificateTemplates = new CertificateTemplates() } = {}) {
     this.identifierCache = new Map()
+    // Public URL of the app, for the verify URLs in QR codes
+    this.baseUrl = baseUrl.replace(/\/$/, '')
+    // Physical certificate layouts, per object type
+    this.certificateTemplates = certificateTemplates
+  }
+
+  // Short verify URL of a physical ID, e.g. https://example.com/v/lq2x-1a2b
+  verifyUrl(physicalId) {
+    return `${this.baseUrl}/v/${encodeURIComponent(physicalId)}`
   }
 
   // Generate a unique physical identifier for an object
@@ -32,18 +73,14 @@ export class PhysicalIdentifier {
     }
   }
 
-  // Generate QR code containing the physical ID
-  async generatePhysicalQR(physicalId, objectId) {
+  // Generate QR code containing the physical ID's verify URL. Short enough
+  // for a sparse code that phone cameras read on small stickers, and opens
+  // the verify page when scanned with any camera app.
+  async generatePhysicalQR(physicalId) {
     try {
-      const qrData = {
-        type: 'nostr_object_verification',
-        physicalId,
-        objectId,
-        verifyUrl: `${process.env.BASE_URL || 'http://localhost:12001'}/api/verify-physical/${physicalId}`,
-        timestamp: Date.now()
-      }
+      const qrData = this.verifyUrl(physicalId)
 
-      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
+      const qrCodeDataURL = await QRCode.toDataURL(qrData, {
         errorCorrectionLevel: 'H', // High error correction for damaged stickers
         type: 'image/png',
         quality: 0.92,
@@ -58,7 +95,7 @@ export class PhysicalIdentifier {
       return {
         qrCodeDataURL,
         qrData,
-        printableText: `ID: ${physicalId}\nVerify: /verify-physical/${physicalId}`
+        printableText: `ID: ${physicalId}\nVerify: ${qrData}`
       }
     } catch (error) {
       console.error('Error generating physical QR code:', error)
@@ -66,53 +103,91 @@ export class PhysicalIdentifier {
     }
   }
 
-  // Generate a physical certificate/sticker image
-  async generatePhysicalCertificate(objectData, physicalId, qrCodeDataURL) {
+  // Generate a physical certificate/sticker image: the QR code beside a
+  // panel with the template's logo, title and fields, composited with sharp
+  async generatePhysicalCertificate(objectData, physicalId, qrCodeDataURL, template = this.certificateTemplates.forType(objectData.type)) {
     try {
-      // Create certificate background
-      const width = 400
-      const height = 300
-      
-      // Convert QR code data URL to buffer
-      const qrBuffer = Buffer.from(qrCodeDataURL.split(',')[1], 'base64')
-      
+      const { width, height, colors, labels, font, monoFont } = template
+
+      // QR code on the left, as large as the certificate allows
+      const qrSize = Math.min(height - 40, Math.round(width / 2))
+      const qrBuffer = await sharp(Buffer.from(qrCodeDataURL.split(',')[1], 'base64'))
+        .resize(qrSize, qrSize, { kernel: 'nearest' })
+        .toBuffer()
+
+      const panelLeft = qrSize + 20
+      const panelWidth = width - panelLeft - 20
+      const panelHeight = height - 40
+      // Characters of a line at a font size (average glyph width ~0.55em)
+      const fit = (size) => Math.floor((panelWidth - 20) / (size * 0.55))
+
+      const layers = []
+      let y = 30
+      if (template.logo) {
+        const logo = await sharp(template.logo)
+          .resize({ width: panelWidth - 20, height: 40, fit: 'inside' })
+          .png()
+          .toBuffer({ resolveWithObject: true })
+        layers.push({ input: logo.data, top: 20 + 10, left: panelLeft + 10, blend: 'over' })
+        y += logo.info.height + 10
+      }
+
+      const text = (size, value, { bold = false, mono = false, color = colors.text } = {}) =>
+        `<text x="10" y="${y}" font-family="${escapeXml(mono ? monoFont : font)}" font-size="${size}"${bold ? ' font-weight="bold"' : ''} fill="${color}">${escapeXml(value)}</text>`
+      const elements = [text(14, truncate(labels.title, fit(14)), { bold: true, color: colors.title })]
+      y += 20
+
+      const created = new Intl.DateTimeFormat(template.language, { dateStyle: 'medium' }).format(new Date())
+      const verifyPath = `/v/${physicalId}`
+      const fieldLines = {
+        name: () => [[10, `${labels.name}: ${objectData.name}`]],
+        artist: () => [[10, `${labels.artist}: ${objectData.artist}`]],
+        type: () => [[10, `${labels.type}: ${objectData.type}`]],
+        physicalId: () => [[8, labels.physicalId, { bold: true }], [7, physicalId, { mono: true }]],
+        verifyUrl: () => [[8, labels.verifyUrl], [6, verifyPath, { mono: true }]],
+        statement: () => wrapLines(labels.statement, fit(8)).map(line => [8, line]),
+        createdAt: () => [[6, `${labels.createdAt} ${created}`]]
+      }
+
+      // Fields in the template's order, as many as fit in the panel
+      for (const field of template.fields) {
+        const lines = fieldLines[field]()
+        const fieldHeight = lines.length * 15 + 5
+        if (y + fieldHeight - 15 > panelHeight - 5) break
+        for (const [size, value, options] of lines) {
+          elements.push(text(size, truncate(value, fit(size)), options))
+          y += 15
+        }
+        y += 5
+      }
+
+      const panel = `
+        <svg width="${panelWidth}" height="${panelHeight}">
+          <rect width="${panelWidth}" height="${panelHeight}" fill="${colors.panel}" stroke="${colors.border}" stroke-width="2"/>
+          ${elements.join('\n          ')}
+        </svg>
+      `
+      // The panel goes under the logo
+      layers.unshift(
+        { input: qrBuffer, top: 20, left: 20, blend: 'over' },
+        { input: Buffer.from(panel), top: 20, left: panelLeft, blend: 'over' }
+      )
+
+      const background = colors.background.replace('#', '')
+      const hex = background.length === 3 ? background.replace(/./g, c => c + c) : background
       const certificateBuffer = await sharp({
         create: {
           width,
           height,
           channels: 3,
-          background: { r: 255, g: 255, b: 255 }
+          background: {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16)
+          }
         }
       })
-      .composite([
-        {
-          input: qrBuffer,
-          top: 20,
-          left: 20,
-          blend: 'over'
-        },
-        {
-          input: Buffer.from(`
-            <svg width="180" height="260">
-              <rect width="180" height="260" fill="white" stroke="black" stroke-width="2"/>
-              <text x="10" y="30" font-family="Arial" font-size="14" font-weight="bold">NOSTR OBJECT ID</text>
-              <text x="10" y="50" font-family="Arial" font-size="10">Name: ${objectData.name}</text>
-              <text x="10" y="70" font-family="Arial" font-size="10">Artist: ${objectData.artist}</text>
-              <text x="10" y="90" font-family="Arial" font-size="10">Type: ${objectData.type}</text>
-              <text x="10" y="120" font-family="Arial" font-size="8" font-weight="bold">Physical ID:</text>
-              <text x="10" y="135" font-family="monospace" font-size="7">${physicalId}</text>
-              <text x="10" y="160" font-family="Arial" font-size="8">Scan QR or visit:</text>
-              <text x="10" y="175" font-family="monospace" font-size="6">/verify-physical/${physicalId.substring(0, 20)}</text>
-              <text x="10" y="200" font-family="Arial" font-size="8">This certificate proves</text>
-              <text x="10" y="215" font-family="Arial" font-size="8">object authenticity</text>
-              <text x="10" y="240" font-family="Arial" font-size="6">Created: ${new Date().toISOString().split('T')[0]}</text>
-            </svg>
-          `),
-          top: 20,
-          left: 220,
-          blend: 'over'
-        }
-      ])
+      .composite(layers)
       .png()
       .toBuffer()
 
@@ -145,8 +220,9 @@ export class PhysicalIdentifier {
         physicalIdentifier = this.generatePhysicalId(objectData)
       }
       
-      const qrCode = await this.generatePhysicalQR(physicalIdentifier.physicalId, objectId)
-      const certificate = await this.generatePhysicalCertificate(objectData, physicalIdentifier.physicalId, qrCode.qrCodeDataURL)
+      const qrCode = await this.generatePhysicalQR(physicalIdentifier.physicalId)
+      const template = this.certificateTemplates.forType(objectData.type)
+      const certificate = await this.generatePhysicalCertificate(objectData, physicalIdentifier.physicalId, qrCode.qrCodeDataURL, template)
 
       return {
         physicalId: physicalIdentifier.physicalId,
@@ -156,12 +232,13 @@ export class PhysicalIdentifier {
         qrData: qrCode.qrData,
         printableText: qrCode.printableText,
         certificate,
+        certificateTemplate: template.name,
         verificationMethods: {
           qr_scan: `Scan QR code with any QR reader`,
           manual_entry: `Enter ID: ${physicalIdentifier.physicalId}`,
           short_entry: physicalIdentifier.shortId !== physicalIdentifier.physicalId ? `Enter short ID: ${physicalIdentifier.shortId}` : null,
           numeric_entry: `Enter numeric ID: ${physicalIdentifier.numericId}`,
-          url_visit: `Visit: /verify-physical/${physicalIdentifier.physicalId}`
+          url_visit: `Visit: ${qrCode.qrData}`
         },
         isCustomId: !!objectData.customPhysicalId
       }
@@ -184,30 +261,97 @@ export class PhysicalIdentifier {
     return parseInt(hash.substring(0, 8), 16).toString().substring(0, 8)
   }
 
-  // Extract physical ID from QR code scan
+  // Identify what a QR code scan points at. Accepts the compact formats:
+  //   https://host/v/<physicalId>              physical ID verify URL
+  //   https://host/c/<naddr>?s=...&t=...       signed certificate URL
+  //   nostr:naddr1...                          object certificate (NIP-21)
+  // the legacy JSON payloads (nostr_object_verification, object-certificate,
+  // secure-certificate), /api/verify-physical/<physicalId> URLs and plain
+  // physical IDs. Certificate scans have no physical ID but an objectId, and
+  // signed ones the certificate payload to verify; nostr: scans also give
+  // the decoded address ({ identifier, pubkey, kind, relays }).
   parseQRScan(qrScanResult) {
+    const text = typeof qrScanResult === 'string' ? qrScanResult.trim() : ''
+    const result = (format, fields) => ({
+      valid: true,
+      format,
+      physicalId: null,
+      objectId: null,
+      certificate: null,
+      timestamp: null,
+      ...fields
+    })
+
+    if (/^nostr:naddr1/i.test(text)) {
+      try {
+        const { type, data } = nip19.decode(text.slice('nostr:'.length).toLowerCase())
+        if (type === 'naddr') {
+          return result('nostr-uri', { objectId: data.identifier, address: data })
+        }
+      } catch (error) {
+        // not a valid naddr
+      }
+      return { valid: false, error: 'Invalid nostr: address' }
+    }
+
+    if (/^https?:\/\//i.test(text)) {
+      let url
+      try {
+        url = new URL(text)
+      } catch (error) {
+        return { valid: false, error: 'Invalid URL' }
+      }
+
+      const verifyPath = url.pathname.match(/^\/(?:v|api\/verify-physical)\/([^/]+)$/)
+      if (verifyPath) {
+        let physicalId
+        try {
+          physicalId = decodeURIComponent(verifyPath[1])
+        } catch (error) {
+          return { valid: false, error: 'Invalid physical ID in URL' }
+        }
+        return result(url.pathname.startsWith('/v/') ? 'verify-url' : 'legacy-verify-url', { physicalId })
+      }
+
+      const certificate = decodeCompactCertificate(text)
+      if (certificate) {
+        return result('certificate-url', {
+          objectId: certificate.id,
+          certificate,
+          timestamp: certificate.created_at * 1000
+        })
+      }
+      return { valid: false, error: 'Not a verification URL' }
+    }
+
+    let qrData = null
     try {
-      const qrData = JSON.parse(qrScanResult)
+      qrData = JSON.parse(text)
+    } catch (error) {
+      // not JSON
+    }
+    if (qrData && typeof qrData === 'object') {
       if (qrData.type === 'nostr_object_verification' && qrData.physicalId) {
-        return {
-          valid: true,
+        return result('legacy-json', {
           physicalId: qrData.physicalId,
-          objectId: qrData.objectId,
-          timestamp: qrData.timestamp
-        }
+          objectId: qrData.objectId ?? null,
+          timestamp: qrData.timestamp ?? null
+        })
       }
-      return { valid: false, error: 'Invalid QR code format' }
-    } catch (error) {
-      // Try as plain text physical ID
-      if (typeof qrScanResult === 'string' && qrScanResult.length > 10) {
-        return {
-          valid: true,
-          physicalId: qrScanResult,
-          objectId: null,
-          timestamp: null
-        }
+      if ((qrData.type === 'object-certificate' || qrData.type === 'secure-certificate') && qrData.id) {
+        return result('legacy-json', {
+          objectId: qrData.id,
+          certificate: qrData,
+          timestamp: qrData.timestamp ?? (qrData.created_at ? qrData.created_at * 1000 : null)
+        })
       }
-      return { valid: false, error: 'Could not parse QR code' }
+      return { valid: false, error: 'Invalid QR code format' }
+    }
+
+    // Try as plain text physical ID
+    if (text.length > 10) {
+      return result('physical-id', { physicalId: text })
     }
+    return { valid: false, error: 'Could not parse QR code' }
   }
-}
\ No newline at end of file
+}
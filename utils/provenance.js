@@ -0,0 +1,123 @@
+import { verifyEvent, nip19 } from 'nostr-tools'
+import { OWNERSHIP_TRANSFER_KIND } from './nostr.js'
+
+// How an object changed hands
+export const TRANSFER_TYPES = ['sale', 'gift', 'transfer']
+
+// Raised for invalid transfer requests; status is the HTTP status to answer with
+export class ProvenanceError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ProvenanceError'
+    this.status = status
+  }
+}
+
+// Hex pubkey from a hex or npub string
+export function parsePubkey(value) {
+  const input = (value || '').trim()
+  if (/^[0-9a-f]{64}$/i.test(input)) {
+    return input.toLowerCase()
+  }
+
+  try {
+    const { type, data } = nip19.decode(input)
+    if (type === 'npub') {
+      return data
+    }
+  } catch (error) {
+    // fall through
+  }
+  throw new ProvenanceError(`Invalid pubkey: ${value}`)
+}
+
+const getTag = (event, name) => event.tags.find(tag => tag[0] === name)?.[1] ?? null
+const getMarkedTag = (event, name, marker) =>
+  event.tags.find(tag => tag[0] === name && tag[3] === marker)?.[1] ?? null
+
+// Link of a provenance chain, from a transfer event
+export function transferToLink(event) {
+  const price = event.tags.find(tag => tag[0] === 'price')?.[1]
+  return {
+    type: getTag(event, 'prov') || 'transfer',
+    eventId: event.id,
+    previousEventId: getMarkedTag(event, 'e', 'prev'),
+    from: getMarkedTag(event, 'p', 'previous-owner'),
+    to: getMarkedTag(event, 'p', 'owner'),
+    price: price ? parseInt(price) : null,
+    note: event.content || '',
+    signer: event.pubkey,
+    createdAt: event.created_at * 1000
+  }
+}
+
+// Rebuild an object's provenance chain from transfer events (local and from
+// the relays, duplicates allowed). The chain starts at the identity event
+// (the mint) and follows each transfer's prev link. A transfer counts when it
+// is validly signed by the object's holder at that point (its owner, or its
+// creator while it has none), or by the issuing server while the object has
+// no owner: once owned, only the owner can pass it on. Anyone can publish
+// transfer events, so those by anybody else are ignored; forks,
+// transfers from someone who wasn't the owner and transfers by the chain's
+// parties that don't link up are reported as issues.
+export function buildProvenanceChain(object, events, issuerPubkey) {
+  const creatorPubkey = object.pubkey || issuerPubkey
+  const issues = []
+  const transfers = new Map()
+  for (const event of events) {
+    if (transfers.has(event.id) || event.kind !== OWNERSHIP_TRANSFER_KIND || getTag(event, 'd') !== object.id) {
+      continue
+    }
+    if (!verifyEvent(event)) {
+      issues.push(`Transfer ${event.id} has an invalid signature`)
+    } else {
+      transfers.set(event.id, event)
+    }
+  }
+
+  const chain = [{
+    type: 'mint',
+    eventId: object.nostrEventId,
+    previousEventId: null,
+    from: null,
+    to: null,
+    price: null,
+    note: '',
+    signer: creatorPubkey,
+    createdAt: object.createdAt
+  }]
+  const chained = []
+  let head = object.nostrEventId
+  let owner = null
+
+  for (;;) {
+    const holder = owner || creatorPubkey
+    const next = Array.from(transfers.values())
+      .filter(event => getMarkedTag(event, 'e', 'prev') === head)
+      .filter(event => event.pubkey === holder || (event.pubkey === issuerPubkey && !owner))
+      .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id))
+    if (next.length === 0) break
+    if (next.length > 1) {
+      issues.push(`Conflicting transfers after ${head}: ${next.map(event => event.id).join(', ')}`)
+    }
+
+    const event = next[0]
+    const link = transferToLink(event)
+    if (link.from !== owner) {
+      issues.push(`Transfer ${event.id} is from ${link.from || 'no owner'}, but the owner was ${owner || 'no one'}`)
+    }
+    chain.push(link)
+    chained.push(event)
+    transfers.delete(event.id)
+    owner = link.to
+    head = event.id
+  }
+
+  const parties = new Set([issuerPubkey, creatorPubkey, ...chain.map(link => link.to).filter(Boolean)])
+  const unlinked = Array.from(transfers.values()).filter(event => parties.has(event.pubkey))
+  if (unlinked.length > 0) {
+    issues.push(`${unlinked.length} transfer(s) not linked into the chain: ${unlinked.map(event => event.id).join(', ')}`)
+  }
+
+  return { owner, chain, events: chained, verified: issues.length === 0, issues }
+}
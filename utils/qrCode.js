@@ -1,8 +1,93 @@
 import QRCode from 'qrcode'
 import { createHash } from 'crypto'
+import { finalizeEvent, verifyEvent, getEventHash, nip19 } from 'nostr-tools'
+
+// Kind of the event a certificate signature is made over. It is never
+// published: verifiers rebuild it from the certificate fields.
+export const CERTIFICATE_KIND = 3034
+
+// Unsigned certificate event over an object's id, image hash and naddr, for
+// the key that minted the object
+export function certificateTemplate({ id, hash, naddr, pubkey, createdAt = Math.floor(Date.now() / 1000) }) {
+  return {
+    kind: CERTIFICATE_KIND,
+    created_at: createdAt,
+    tags: [
+      ['d', id],
+      ['x', hash],
+      ['naddr', naddr]
+    ],
+    content: '',
+    pubkey
+  }
+}
+
+// naddr without relay hints: certificates sign it, so they stay valid (and
+// their QR codes small) whatever relays the object is on
+export function canonicalNaddr(naddr) {
+  const { type, data } = nip19.decode(naddr)
+  if (type !== 'naddr') {
+    throw new Error('Not an naddr')
+  }
+  return nip19.naddrEncode({ kind: data.kind, pubkey: data.pubkey, identifier: data.identifier })
+}
+
+// Compact certificate for QR codes: a verify URL carrying the naddr, the
+// signature and image hash (base64url) and created_at,
+// e.g. https://example.com/c/naddr1...?s=...&t=1700000000
+export function encodeCompactCertificate(payload, baseUrl) {
+  const signatureAndHash = Buffer.from(payload.sig + payload.hash, 'hex').toString('base64url')
+  return `${baseUrl}/c/${payload.naddr}?s=${signatureAndHash}&t=${payload.created_at}`
+}
+
+// Certificate payload from a compact certificate URL, or null when the text
+// isn't one
+export function decodeCompactCertificate(text) {
+  try {
+    const url = new URL(text)
+    const match = url.pathname.match(/^\/c\/(naddr1[02-9ac-hj-np-z]+)$/i)
+    if (!match) return null
+
+    const naddr = match[1].toLowerCase()
+    const { type, data } = nip19.decode(naddr)
+    const signatureAndHash = Buffer.from(url.searchParams.get('s') || '', 'base64url')
+    const createdAt = Number(url.searchParams.get('t'))
+    if (type !== 'naddr' || signatureAndHash.length !== 96 || !Number.isInteger(createdAt)) return null
+
+    return {
+      type: 'secure-certificate',
+      version: '2.0',
+      id: data.identifier,
+      hash: signatureAndHash.subarray(64).toString('hex'),
+      naddr,
+      pubkey: data.pubkey,
+      created_at: createdAt,
+      sig: signatureAndHash.subarray(0, 64).toString('hex')
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+// Certificate QR payload from a signed certificate event
+export function certificatePayload(event) {
+  const tag = (name) => event.tags.find(tag => tag[0] === name)?.[1]
+  return {
+    type: 'secure-certificate',
+    version: '2.0',
+    id: tag('d'),
+    hash: tag('x'),
+    naddr: tag('naddr'),
+    pubkey: event.pubkey,
+    created_at: event.created_at,
+    sig: event.sig
+  }
+}
 
 export class QRCodeGenerator {
-  constructor() {
+  constructor({ baseUrl = process.env.BASE_URL || 'http://localhost:12001' } = {}) {
+    // Public URL of the app, for the verify URLs in QR codes
+    this.baseUrl = baseUrl.replace(/\/$/, '')
     this.defaultOptions = {
       errorCorrectionLevel: 'M',
       type: 'image/png',
@@ -16,7 +101,8 @@ export class QRCodeGenerator {
     }
   }
 
-  // Generate QR code for object certificate
+  // Generate QR code for an unsigned object certificate: a nostr: URI
+  // (NIP-21) of the object's naddr, which any Nostr app can open
   async generateObjectCertificate(objectData, options = {}) {
     const {
       id,
@@ -39,7 +125,7 @@ export class QRCodeGenerator {
       version: '1.0'
     }
 
-    const dataString = JSON.stringify(certificateData)
+    const dataString = `nostr:${canonicalNaddr(naddr)}`
     const qrOptions = { ...this.defaultOptions, ...options }
 
     try {
@@ -155,26 +241,54 @@ export class QRCodeGenerator {
     }
   }
 
-  // Validate QR code data
+  // Validate QR code data scanned from an object certificate: a compact
+  // certificate URL, or the JSON (string or parsed) of a plain object
+  // certificate or a secure one
   validateCertificateData(dataString) {
-    try {
-      const data = JSON.parse(dataString)
-      
-      const requiredFields = ['id', 'name', 'artist', 'naddr', 'hash', 'timestamp', 'type']
-      const hasAllFields = requiredFields.every(field => data.hasOwnProperty(field))
-      
-      if (!hasAllFields) {
-        return { valid: false, error: 'Missing required fields' }
-      }
-
-      if (data.type !== 'object-certificate') {
-        return { valid: false, error: 'Invalid certificate type' }
+    let data
+    if (typeof dataString === 'string' && /^https?:\/\//i.test(dataString.trim())) {
+      data = decodeCompactCertificate(dataString.trim())
+      if (!data) {
+        return { valid: false, error: 'Not a certificate URL' }
       }
-
       return { valid: true, data }
+    }
+
+    try {
+      data = typeof dataString === 'string' ? JSON.parse(dataString) : dataString
     } catch (error) {
       return { valid: false, error: 'Invalid JSON data' }
     }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { valid: false, error: 'Invalid JSON data' }
+    }
+
+    const requiredFields = {
+      'object-certificate': ['id', 'name', 'artist', 'naddr', 'hash', 'timestamp', 'type'],
+      // Version 1 secure certificates carried a server-only hash as signature
+      'secure-certificate': data.version === '1.0'
+        ? ['id', 'naddr', 'hash', 'timestamp', 'type', 'signature']
+        : ['id', 'naddr', 'hash', 'pubkey', 'created_at', 'sig', 'type']
+    }[data.type]
+    if (!requiredFields) {
+      return { valid: false, error: 'Invalid certificate type' }
+    }
+
+    const missing = requiredFields.filter(field => !Object.prototype.hasOwnProperty.call(data, field))
+    if (missing.length > 0) {
+      return { valid: false, error: `Missing required fields: ${missing.join(', ')}` }
+    }
+
+    if (['id', 'naddr', 'hash'].some(field => typeof data[field] !== 'string')) {
+      return { valid: false, error: 'Malformed id, naddr or hash' }
+    }
+    if (data.type === 'secure-certificate' && data.version !== '1.0') {
+      if (!/^[0-9a-f]{64}$/.test(data.pubkey) || !/^[0-9a-f]{128}$/.test(data.sig) || !Number.isInteger(data.created_at)) {
+        return { valid: false, error: 'Malformed pubkey, signature or created_at' }
+      }
+    }
+
+    return { valid: true, data }
   }
 
   // Generate secure hash for QR code verification
@@ -183,34 +297,34 @@ export class QRCodeGenerator {
     return createHash('sha256').update(dataString).digest('hex')
   }
 
-  // Create tamper-proof certificate
-  async generateSecureCertificate(objectData, secretKey, options = {}) {
-    const certificateData = {
-      ...objectData,
-      timestamp: Date.now(),
-      type: 'secure-certificate',
-      version: '1.0'
+  // Create tamper-proof certificate: a BIP-340 signature by the minting key
+  // (privateKey) over the object id, image hash and naddr
+  async generateSecureCertificate(objectData, privateKey, options = {}) {
+    const { id, hash } = objectData
+    const naddr = canonicalNaddr(objectData.naddr)
+    const pubkey = nip19.decode(naddr).data.pubkey
+    const event = finalizeEvent(certificateTemplate({ id, hash, naddr, pubkey }), privateKey)
+    if (event.pubkey !== pubkey) {
+      throw new Error('Certificates must be signed by the key that minted the object')
     }
 
-    // Add signature
-    const dataString = JSON.stringify(certificateData)
-    const signature = createHash('sha256')
-      .update(dataString + secretKey)
-      .digest('hex')
-
-    const secureData = {
-      ...certificateData,
-      signature
-    }
+    return this.generateSignedCertificate(event, options)
+  }
 
+  // Certificate QR code from a certificate event signed elsewhere (by a
+  // creator's own signer). The QR code holds the compact certificate URL.
+  async generateSignedCertificate(event, options = {}) {
+    const secureData = certificatePayload(event)
+    const dataString = encodeCompactCertificate(secureData, this.baseUrl)
     const qrOptions = { ...this.defaultOptions, ...options }
 
     try {
-      const qrCodeBuffer = await QRCode.toBuffer(JSON.stringify(secureData), qrOptions)
+      const qrCodeBuffer = await QRCode.toBuffer(dataString, qrOptions)
       return {
         qrCode: qrCodeBuffer,
         data: secureData,
-        signature
+        dataString,
+        signature: secureData.sig
       }
     } catch (error) {
       console.error('Error generating secure certificate:', error)
@@ -218,16 +332,18 @@ export class QRCodeGenerator {
     }
   }
 
-  // Verify secure certificate
-  verifyCertificate(certificateData, secretKey) {
+  // Verify a secure certificate offline: its signature must be valid and
+  // made by the key that minted the object (the naddr's pubkey)
+  verifyCertificate(certificateData) {
     try {
-      const { signature, ...dataWithoutSignature } = certificateData
-      const dataString = JSON.stringify(dataWithoutSignature)
-      const expectedSignature = createHash('sha256')
-        .update(dataString + secretKey)
-        .digest('hex')
+      const { id, hash, naddr, pubkey, created_at: createdAt, sig } = certificateData
+      const { type, data } = nip19.decode(naddr)
+      if (type !== 'naddr' || data.pubkey !== pubkey || data.identifier !== id) {
+        return false
+      }
 
-      return signature === expectedSignature
+      const event = certificateTemplate({ id, hash, naddr, pubkey, createdAt })
+      return verifyEvent({ ...event, id: getEventHash(event), sig })
     } catch (error) {
       console.error('Error verifying certificate:', error)
       return false
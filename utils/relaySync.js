@@ -0,0 +1,236 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { LEGACY_HASH_ALGORITHM } from './hashProfiles.js'
+import { buildProvenanceChain } from './provenance.js'
+import { LEGACY_OBJECT_KIND } from './nostr.js'
+
+// Read a single tag value from a Nostr event
+function getTagValue(event, name) {
+  const tag = event.tags.find(tag => tag[0] === name)
+  return tag ? tag[1] : null
+}
+
+// Object IDs are generated as hex, and older ones were slugs
+const OBJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+
+// Kind of the identity event an object's naddr points to
+function naddrKind(nostrClient, naddr) {
+  try {
+    return parseInt(nostrClient.objectAddress({ naddr }).split(':')[0])
+  } catch (error) {
+    return null
+  }
+}
+
+export class RelaySync {
+  constructor(nostrClient, store, uploadsDir, outbox) {
+    this.nostrClient = nostrClient
+    this.store = store
+    this.outbox = outbox
+    this.uploadsDir = uploadsDir
+    this.running = null
+  }
+
+  // Keep only the newest version of each replaceable event (by author and d
+  // tag, as relays do). Migrated objects also have a legacy kind version,
+  // which never wins.
+  latestEventsById(events) {
+    const latest = new Map()
+    const isLegacy = (event) => event.kind === LEGACY_OBJECT_KIND
+
+    for (const event of events) {
+      const uniqueId = getTagValue(event, 'd')
+      if (!uniqueId) continue
+
+      const key = `${event.pubkey}:${uniqueId}`
+      const existing = latest.get(key)
+      if (!existing || isLegacy(existing) > isLegacy(event) ||
+          (isLegacy(existing) === isLegacy(event) && event.created_at > existing.created_at)) {
+        latest.set(key, event)
+      }
+    }
+
+    return latest
+  }
+
+  // Build a local object record from an object identity event
+  async eventToObjectRecord(event) {
+    const uniqueId = getTagValue(event, 'd')
+    // The d tag names the object's files in uploadsDir
+    if (!OBJECT_ID_PATTERN.test(uniqueId || '')) {
+      throw new Error('Invalid object ID')
+    }
+    const imagePath = path.join(this.uploadsDir, `${uniqueId}.jpg`)
+    const thumbnailPath = path.join(this.uploadsDir, `${uniqueId}_thumb.jpg`)
+    const certificatePath = path.join(this.uploadsDir, `${uniqueId}_cert.png`)
+    const physicalCertPath = path.join(this.uploadsDir, `${uniqueId}_physical_cert.png`)
+
+    const fileExists = async (filePath) => {
+      try {
+        await fs.access(filePath)
+        return true
+      } catch (error) {
+        return false
+      }
+    }
+
+    // One phash and image tag per object image, main image first
+    const pHashTags = event.tags.filter(tag => tag[0] === 'phash' && tag[1])
+    const imageUrls = event.tags.filter(tag => tag[0] === 'image').map(tag => tag[1])
+    const images = []
+    for (const [imageIndex, [, pHash, algorithm]] of pHashTags.entries()) {
+      const baseName = imageIndex === 0 ? uniqueId : `${uniqueId}_${imageIndex}`
+      const imageFile = path.join(this.uploadsDir, `${baseName}.jpg`)
+      const thumbnailFile = path.join(this.uploadsDir, `${baseName}_thumb.jpg`)
+      images.push({
+        imageUrl: imageUrls[imageIndex] || null,
+        thumbnailUrl: await fileExists(thumbnailFile) ? `/api/images/${baseName}_thumb.jpg` : null,
+        imagePath: await fileExists(imageFile) ? imageFile : null,
+        thumbnailPath: await fileExists(thumbnailFile) ? thumbnailFile : null,
+        pHash,
+        // Events from before the algorithm was tagged carry legacy hashes
+        pHashAlgorithm: algorithm || LEGACY_HASH_ALGORITHM
+      })
+    }
+
+    return {
+      id: uniqueId,
+      name: getTagValue(event, 'name') || '',
+      artist: getTagValue(event, 'artist') || '',
+      type: getTagValue(event, 'type') || 'other',
+      description: event.content || '',
+      lud16: getTagValue(event, 'lud16'),
+      imageHash: getTagValue(event, 'hash'),
+      pHash: images[0]?.pHash || null,
+      pHashAlgorithm: images[0]?.pHashAlgorithm || LEGACY_HASH_ALGORITHM,
+      naddr: this.nostrClient.generateNaddr(event),
+      // Republished objects keep their original identity event, where their
+      // provenance chain and story thread start
+      nostrEventId: event.tags.find(tag => tag[0] === 'e' && tag[3] === 'mint')?.[1] || event.id,
+      pubkey: event.pubkey,
+      imagePath: await fileExists(imagePath) ? imagePath : null,
+      thumbnailPath: await fileExists(thumbnailPath) ? thumbnailPath : null,
+      images,
+      certificatePath: await fileExists(certificatePath) ? certificatePath : null,
+      physicalCertPath: await fileExists(physicalCertPath) ? physicalCertPath : null,
+      metadata: null,
+      satsBalance: 0,
+      createdAt: event.created_at * 1000,
+      views: 0,
+      restoredFromRelays: true
+    }
+  }
+
+  // Republish the identity events of objects still on the legacy kind under
+  // the configured kind, and point the objects' naddr at the new event. The
+  // new event links back to the original one (their provenance chain and
+  // story thread still start there). Objects signed by their creator can only
+  // be republished by them and are listed in needsCreator.
+  async migrateObjectKind({ dryRun = false } = {}) {
+    const kind = this.nostrClient.objectKind
+    const result = { kind, migrated: [], needsCreator: [], failed: [] }
+
+    for (const object of await this.store.listObjects()) {
+      if (naddrKind(this.nostrClient, object.naddr) !== LEGACY_OBJECT_KIND) {
+        continue
+      }
+      if (object.pubkey && object.pubkey !== this.nostrClient.publicKey) {
+        result.needsCreator.push(object.id)
+        continue
+      }
+      if (dryRun) {
+        result.migrated.push({ id: object.id })
+        continue
+      }
+
+      try {
+        const event = this.nostrClient.signObjectIdentity({
+          uniqueId: object.id,
+          name: object.name,
+          type: object.type,
+          imageHash: object.imageHash,
+          artist: object.artist,
+          description: object.description,
+          pHashAlgorithm: object.pHashAlgorithm,
+          // Objects from before multiple images only have their main image
+          images: object.images?.length > 0
+            ? object.images.map(image => ({ imageUrl: image.imageUrl, pHash: image.pHash }))
+            : [{ imageUrl: `/api/images/${object.id}.jpg`, pHash: object.pHash }],
+          lud16: object.lud16 || '',
+          mintEventId: object.nostrEventId
+        })
+        const naddr = this.nostrClient.generateNaddr(event)
+        await this.store.updateObject(object.id, { naddr })
+        const relays = await this.outbox.publish(event)
+        result.migrated.push({ id: object.id, eventId: event.id, naddr, relays })
+      } catch (error) {
+        console.warn(`Failed to migrate object ${object.id}:`, error.message)
+        result.failed.push({ id: object.id, error: error.message })
+      }
+    }
+
+    console.log(`Kind migration to ${kind}: ${result.migrated.length} migrated, ${result.needsCreator.length} need their creator, ${result.failed.length} failed`)
+    return result
+  }
+
+  // Query relays for our own object identities and add any that are missing
+  // from the local store. Objects that already exist locally are left alone,
+  // since the local record carries state (balance, views, physical IDs) that
+  // is not published to relays.
+  async resync(options = {}) {
+    // Only one resync at a time; concurrent callers share the running one
+    if (this.running) {
+      return this.running
+    }
+
+    this.running = this.runResync(options).finally(() => {
+      this.running = null
+    })
+    return this.running
+  }
+
+  async runResync({ maxWait = 10000 } = {}) {
+    const startedAt = Date.now()
+    console.log(`Resyncing object index from relays for ${this.nostrClient.publicKey}...`)
+
+    const events = await this.nostrClient.getOwnObjectIdentities(maxWait)
+    const latest = this.latestEventsById(events)
+    // Ownership transfers, to restore each object's current owner
+    const uniqueIds = [...new Set([...latest.values()].map(event => getTagValue(event, 'd')))]
+    const transfers = uniqueIds.length > 0 ? await this.nostrClient.getOwnershipTransfers(uniqueIds, maxWait) : []
+
+    const result = {
+      eventsFound: events.length,
+      objectsFound: latest.size,
+      restored: [],
+      skipped: [],
+      failed: []
+    }
+
+    for (const event of latest.values()) {
+      const uniqueId = getTagValue(event, 'd')
+      try {
+        if (await this.store.getObject(uniqueId)) {
+          result.skipped.push(uniqueId)
+          continue
+        }
+
+        const record = await this.eventToObjectRecord(event)
+        const provenance = buildProvenanceChain(record, transfers, this.nostrClient.publicKey)
+        record.ownerPubkey = provenance.owner
+        record.transfers = provenance.events
+        await this.store.createObject(record, {
+          hashes: record.images.map(image => ({ hash: image.pHash, algorithm: image.pHashAlgorithm }))
+        })
+        result.restored.push(uniqueId)
+      } catch (error) {
+        console.warn(`Failed to restore object ${uniqueId}:`, error.message)
+        result.failed.push({ id: uniqueId, error: error.message })
+      }
+    }
+
+    result.durationMs = Date.now() - startedAt
+    console.log(`Resync complete: ${result.restored.length} restored, ${result.skipped.length} already present, ${result.failed.length} failed`)
+    return result
+  }
+}
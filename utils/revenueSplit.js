@@ -0,0 +1,93 @@
+// Parties a payment to an object is split between:
+//   artist   - the object's creator
+//   object   - the object's community fund (its satsBalance)
+//   platform - the operator of this server
+//   owner    - the object's current owner
+export const SPLIT_PARTIES = ['artist', 'object', 'platform', 'owner']
+
+// Shares in percent
+export const DEFAULT_REVENUE_SPLIT = { artist: 50, object: 50, platform: 0, owner: 0 }
+
+// Validate a split ({ party: percent }, missing parties get 0) and return it
+// with every party present. Shares must be non-negative and add up to 100.
+export function normalizeSplit(split) {
+  if (!split || typeof split !== 'object' || Array.isArray(split)) {
+    throw new Error('Revenue split must be an object of percentages')
+  }
+
+  const unknown = Object.keys(split).filter(party => !SPLIT_PARTIES.includes(party))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown revenue split parties: ${unknown.join(', ')}`)
+  }
+
+  const normalized = {}
+  for (const party of SPLIT_PARTIES) {
+    const share = split[party] ?? 0
+    if (typeof share !== 'number' || !Number.isFinite(share) || share < 0) {
+      throw new Error(`Invalid ${party} share: ${share}`)
+    }
+    normalized[party] = share
+  }
+
+  const total = SPLIT_PARTIES.reduce((sum, party) => sum + normalized[party], 0)
+  if (Math.abs(total - 100) > 1e-9) {
+    throw new Error(`Revenue split shares must add up to 100 (got ${total})`)
+  }
+  return normalized
+}
+
+// Split a whole number of sats by the given shares. Each party gets the floor
+// of its exact share; leftover sats go to the largest remainders (ties in
+// SPLIT_PARTIES order), so the parts always add up to the amount.
+export function splitAmount(amount, split) {
+  const exact = SPLIT_PARTIES.map(party => ({ party, value: (amount * split[party]) / 100 }))
+  const parts = Object.fromEntries(exact.map(({ party, value }) => [party, Math.floor(value)]))
+
+  let leftover = amount - Object.values(parts).reduce((sum, value) => sum + value, 0)
+  const byRemainder = exact
+    .filter(({ party }) => split[party] > 0)
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+  for (const { party } of byRemainder) {
+    if (leftover <= 0) break
+    parts[party]++
+    leftover--
+  }
+  return parts
+}
+
+// Split that applies to an object: its own, or the default. Without an owner
+// on record the owner's share stays with the object fund.
+export function effectiveSplit(object, defaultSplit = DEFAULT_REVENUE_SPLIT) {
+  const split = { ...DEFAULT_REVENUE_SPLIT, ...(object?.revenueSplit || defaultSplit) }
+  if (!object?.ownerPubkey && split.owner > 0) {
+    split.object += split.owner
+    split.owner = 0
+  }
+  return split
+}
+
+// Default split from the REVENUE_SPLIT environment variable (JSON)
+export function loadRevenueSplit(json = process.env.REVENUE_SPLIT) {
+  if (!json) {
+    return { ...DEFAULT_REVENUE_SPLIT }
+  }
+
+  try {
+    return normalizeSplit(JSON.parse(json))
+  } catch (error) {
+    throw new Error(`Invalid REVENUE_SPLIT: ${error.message}`)
+  }
+}
+
+// Totals per party (and overall) of a list of ledger entries
+export function sumShares(entries) {
+  const totals = Object.fromEntries(SPLIT_PARTIES.map(party => [party, 0]))
+  let total = 0
+  for (const entry of entries) {
+    total += entry.amount
+    for (const party of SPLIT_PARTIES) {
+      totals[party] += entry.shares[party] || 0
+    }
+  }
+  return { ...totals, total }
+}
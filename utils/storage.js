@@ -0,0 +1,643 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { HashIndex, isHexHash } from './hashIndex.js'
+import { LEGACY_HASH_ALGORITHM } from './hashProfiles.js'
+
+// Raised when a write would make the indexes disagree (e.g. a physical ID
+// that already belongs to another object)
+export class StorageConflictError extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'StorageConflictError'
+    this.details = details
+  }
+}
+
+// Hashes can be given as plain strings (legacy algorithm) or { hash, algorithm }
+const normalizeHash = (entry) => typeof entry === 'string'
+  ? { hash: entry, algorithm: LEGACY_HASH_ALGORITHM }
+  : { hash: entry.hash, algorithm: entry.algorithm || LEGACY_HASH_ALGORITHM }
+
+// Image features are stored as a list, one per object image; objects
+// stored before objects could have several images have a single entry
+const normalizeFeatures = (features) => Array.isArray(features) ? features : [features]
+
+// Image a primary hash was made from (its position in record.images)
+const primaryImageIndex = (record, hash) => Math.max(record?.images?.findIndex(image => image.pHash === hash) ?? 0, 0)
+
+// Map that, while a transaction runs, records the previous value of every
+// key it changes in journal, so a failed write can be undone
+class JournaledMap extends Map {
+  set(key, value) {
+    this.journal?.push([this, key, super.has(key), super.get(key)])
+    return super.set(key, value)
+  }
+
+  delete(key) {
+    this.journal?.push([this, key, super.has(key), super.get(key)])
+    return super.delete(key)
+  }
+}
+
+// In-memory object store. Holds the object records plus the lookup indexes
+// (primary hash -> objectId, physicalId -> objectId), the algorithm each
+// hash was made with, the rotation/scale hash variants and the image
+// features (color histogram, edge hash, keypoints) of each object image. An
+// object has one primary hash per image. Zaps (NIP-57 invoices and their
+// receipts) are kept by zap request id, and every settled payment gets a
+// revenue ledger entry with its split between the parties. Premium
+// (pay-per-view) story content and verification sessions are kept here too,
+// never on the relays. Signed events that some relays haven't accepted yet
+// wait in the outbox until they are republished. All primary and
+// variant hashes are also kept in one HashIndex per algorithm for sublinear
+// similarity lookups. Used for tests and demos.
+export class MemoryStore {
+  constructor() {
+    this.objects = new JournaledMap()
+    this.hashes = new JournaledMap()
+    this.hashAlgorithms = new JournaledMap() // primary hash -> algorithm
+    this.hashVariants = new JournaledMap() // objectId -> [{ type, hash, algorithm, imageIndex }]
+    this.imageFeatures = new JournaledMap() // objectId -> [{ colorHistogram, edgeHash, localFeatures }] per image
+    this.physicalIds = new JournaledMap()
+    this.zaps = new JournaledMap() // zap request id -> { objectId, amountMsats, invoice, status, ... }
+    this.ledger = new JournaledMap() // entry id -> { objectId, artist, source, sourceId, amount, shares, ... }
+    this.premiumContent = new JournaledMap() // objectId -> [{ id, content, contentType, createdAt }]
+    this.sessions = new JournaledMap() // session id -> { objectId, createdAt, expiresAt, zapId }
+    this.outbox = new JournaledMap() // event id -> { event, relays, attempts, nextAttemptAt, errors, ... }
+    this.hashIndexes = new Map() // algorithm -> HashIndex
+  }
+
+  async init() {
+    return this
+  }
+
+  async getObject(id) {
+    return this.objects.get(id) || null
+  }
+
+  async listObjects() {
+    return Array.from(this.objects.values())
+  }
+
+  async countObjects() {
+    return this.objects.size
+  }
+
+  // Create an object together with its index entries. Either everything is
+  // written or nothing is. Primary hashes are given in image order; variants
+  // name their image with imageIndex and features may be a list per image.
+  async createObject(record, { hashes = [], hashVariants = [], features = null, physicalIds = [] } = {}) {
+    if (this.objects.has(record.id)) {
+      throw new StorageConflictError(`Object ${record.id} already exists`, { objectId: record.id })
+    }
+
+    for (const physicalId of physicalIds) {
+      const existingObjectId = this.physicalIds.get(physicalId)
+      if (existingObjectId && existingObjectId !== record.id) {
+        throw new StorageConflictError(`Physical ID "${physicalId}" already exists`, {
+          physicalId,
+          objectId: existingObjectId
+        })
+      }
+    }
+
+    const primaries = hashes.map(normalizeHash)
+    for (const { hash } of primaries) {
+      if (!isHexHash(hash)) {
+        throw new Error(`Invalid image hash: ${JSON.stringify(hash)}`)
+      }
+      const existingObjectId = this.hashes.get(hash)
+      if (existingObjectId && existingObjectId !== record.id) {
+        throw new StorageConflictError(`Image hash ${hash} already belongs to another object`, {
+          hash,
+          objectId: existingObjectId
+        })
+      }
+    }
+
+    const variants = hashVariants.map(variant => ({
+      type: variant.type,
+      imageIndex: variant.imageIndex || 0,
+      ...normalizeHash(variant)
+    }))
+    const invalidVariant = variants.find(variant => !isHexHash(variant.hash))
+    if (invalidVariant) {
+      throw new Error(`Invalid ${invalidVariant.type} hash: ${JSON.stringify(invalidVariant.hash)}`)
+    }
+
+    this.objects.set(record.id, record)
+    for (const { hash, algorithm } of primaries) {
+      this.hashes.set(hash, record.id)
+      this.hashAlgorithms.set(hash, algorithm)
+    }
+    if (variants.length > 0) {
+      this.hashVariants.set(record.id, variants)
+    }
+    if (features) {
+      this.imageFeatures.set(record.id, normalizeFeatures(features))
+    }
+    for (const physicalId of physicalIds) {
+      this.physicalIds.set(physicalId, record.id)
+    }
+
+    const hasVariants = variants.length > 0
+    primaries.forEach(({ hash, algorithm }, imageIndex) => {
+      this.indexHash(hash, algorithm, { objectId: record.id, objectType: record.type, type: 'primary', imageIndex, hasVariants })
+    })
+    for (const { type, hash, algorithm, imageIndex } of variants) {
+      this.indexHash(hash, algorithm, { objectId: record.id, objectType: record.type, type, imageIndex, hasVariants })
+    }
+
+    return record
+  }
+
+  // Merge changes into an existing object record
+  async updateObject(id, changes) {
+    const existing = this.objects.get(id)
+    if (!existing) {
+      return null
+    }
+
+    const updated = { ...existing, ...changes, id }
+    this.objects.set(id, updated)
+    return updated
+  }
+
+  // Append an ownership transfer event to an object's provenance chain and
+  // make its new owner current, provided the chain still ends at
+  // previousEventId (so concurrent transfers can't fork it)
+  async recordTransfer(id, { previousEventId, ownerPubkey, transfer }) {
+    const existing = this.objects.get(id)
+    if (!existing) {
+      return null
+    }
+
+    const transfers = existing.transfers || []
+    const head = transfers.length > 0 ? transfers[transfers.length - 1].id : existing.nostrEventId
+    if (head !== previousEventId) {
+      throw new StorageConflictError(`Object ${id} was transferred in the meantime`, { objectId: id, head })
+    }
+
+    const updated = { ...existing, ownerPubkey, transfers: [...transfers, transfer] }
+    this.objects.set(id, updated)
+    return updated
+  }
+
+  async findObjectIdByHash(hash) {
+    return this.hashes.get(hash) || null
+  }
+
+  async getHashEntries() {
+    return Array.from(this.hashes.entries())
+  }
+
+  // Algorithm a primary hash was made with; hashes stored before algorithms
+  // were recorded are legacy
+  getHashAlgorithm(hash) {
+    return this.hashAlgorithms.get(hash) || LEGACY_HASH_ALGORITHM
+  }
+
+  // Every stored hash (primaries and variants) as
+  // { hash, objectId, type, algorithm }
+  async getHashVariantEntries() {
+    const entries = []
+    for (const [hash, objectId] of this.hashes) {
+      entries.push({ hash, objectId, type: 'primary', algorithm: this.getHashAlgorithm(hash) })
+    }
+    for (const [objectId, variants] of this.hashVariants) {
+      for (const { type, hash, algorithm = LEGACY_HASH_ALGORITHM } of variants) {
+        entries.push({ hash, objectId, type, algorithm })
+      }
+    }
+    return entries
+  }
+
+  async getImageFeatures(objectId) {
+    return this.imageFeatures.get(objectId) || null
+  }
+
+  // All stored image features as [objectId, features] pairs
+  async listImageFeatures() {
+    return Array.from(this.imageFeatures.entries())
+  }
+
+  indexHash(hash, algorithm, payload) {
+    if (!this.hashIndexes.has(algorithm)) {
+      this.hashIndexes.set(algorithm, new HashIndex())
+    }
+    this.hashIndexes.get(algorithm).add(hash, payload)
+  }
+
+  // Index over every primary and variant hash made with an algorithm;
+  // payloads are { objectId, objectType, type, imageIndex, hasVariants }
+  getHashIndex(algorithm = LEGACY_HASH_ALGORITHM) {
+    return this.hashIndexes.get(algorithm) || new HashIndex()
+  }
+
+  // All hash indexes, as algorithm -> HashIndex
+  getHashIndexes() {
+    return this.hashIndexes
+  }
+
+  rebuildHashIndex() {
+    this.hashIndexes = new Map()
+    for (const [hash, objectId] of this.hashes) {
+      const record = this.objects.get(objectId)
+      this.indexHash(hash, this.getHashAlgorithm(hash), {
+        objectId,
+        objectType: record?.type,
+        type: 'primary',
+        imageIndex: primaryImageIndex(record, hash),
+        hasVariants: this.hashVariants.has(objectId)
+      })
+    }
+    for (const [objectId, variants] of this.hashVariants) {
+      for (const { type, hash, algorithm = LEGACY_HASH_ALGORITHM, imageIndex = 0 } of variants) {
+        this.indexHash(hash, algorithm, { objectId, objectType: this.objects.get(objectId)?.type, type, imageIndex, hasVariants: true })
+      }
+    }
+  }
+
+  async createZap(zap) {
+    if (this.zaps.has(zap.id)) {
+      throw new StorageConflictError(`Zap ${zap.id} already exists`, { zapId: zap.id })
+    }
+    this.zaps.set(zap.id, zap)
+    return zap
+  }
+
+  async getZap(id) {
+    return this.zaps.get(id) || null
+  }
+
+  async listZaps(objectId) {
+    return Array.from(this.zaps.values()).filter(zap => zap.objectId === objectId)
+  }
+
+  async listPendingZaps() {
+    return Array.from(this.zaps.values()).filter(zap => zap.status === 'pending')
+  }
+
+  // Mark a pending zap paid, record its ledger entry and credit its object in
+  // one write. settle(object, zap) returns { objectChanges, ledgerEntry }.
+  // Returns null when the zap is unknown or already settled, so a receipt is
+  // never credited twice.
+  async settleZap(id, settlement, settle) {
+    const zap = this.zaps.get(id)
+    if (!zap || zap.status !== 'pending') {
+      return null
+    }
+
+    const object = this.objects.get(zap.objectId) || null
+    const paid = { ...zap, ...settlement, status: 'paid' }
+    const { objectChanges = {}, ledgerEntry = null } = settle(object, paid)
+
+    const settled = ledgerEntry ? { ...paid, ledgerEntryId: ledgerEntry.id } : paid
+    this.zaps.set(id, settled)
+    if (ledgerEntry) {
+      this.ledger.set(ledgerEntry.id, ledgerEntry)
+    }
+    if (object) {
+      this.objects.set(object.id, { ...object, ...objectChanges, id: object.id })
+    }
+    return settled
+  }
+
+  async getLedgerEntry(id) {
+    return this.ledger.get(id) || null
+  }
+
+  // Ledger entries, oldest first, optionally only those of one object or artist
+  async listLedgerEntries({ objectId = null, artist = null } = {}) {
+    return Array.from(this.ledger.values())
+      .filter(entry => (!objectId || entry.objectId === objectId) && (!artist || entry.artist === artist))
+      .sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  async addPremiumContent(objectId, item) {
+    this.premiumContent.set(objectId, [...(this.premiumContent.get(objectId) || []), item])
+    return item
+  }
+
+  async listPremiumContent(objectId) {
+    return this.premiumContent.get(objectId) || []
+  }
+
+  // Store a verification session, dropping sessions that have expired
+  async createSession(session) {
+    const now = Date.now()
+    for (const [id, existing] of this.sessions) {
+      if (existing.expiresAt <= now) {
+        this.sessions.delete(id)
+      }
+    }
+    this.sessions.set(session.id, session)
+    return session
+  }
+
+  async getSession(id) {
+    return this.sessions.get(id) || null
+  }
+
+  async updateSession(id, changes) {
+    const existing = this.sessions.get(id)
+    if (!existing) {
+      return null
+    }
+
+    const updated = { ...existing, ...changes, id }
+    this.sessions.set(id, updated)
+    return updated
+  }
+
+  // Queue a signed event for the relays that haven't accepted it yet
+  async queueOutboxEvent(entry) {
+    this.outbox.set(entry.id, entry)
+    return entry
+  }
+
+  async listOutbox() {
+    return Array.from(this.outbox.values())
+  }
+
+  async updateOutboxEvent(id, changes) {
+    const existing = this.outbox.get(id)
+    if (!existing) {
+      return null
+    }
+
+    const updated = { ...existing, ...changes, id }
+    this.outbox.set(id, updated)
+    return updated
+  }
+
+  async removeOutboxEvent(id) {
+    return this.outbox.delete(id)
+  }
+
+  async findObjectIdByPhysicalId(physicalId) {
+    return this.physicalIds.get(physicalId) || null
+  }
+
+  async getPhysicalIdEntries() {
+    return Array.from(this.physicalIds.entries())
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      objects: Object.fromEntries(this.objects),
+      hashes: Object.fromEntries(this.hashes),
+      hashAlgorithms: Object.fromEntries(this.hashAlgorithms),
+      hashVariants: Object.fromEntries(this.hashVariants),
+      imageFeatures: Object.fromEntries(this.imageFeatures),
+      physicalIds: Object.fromEntries(this.physicalIds),
+      zaps: Object.fromEntries(this.zaps),
+      ledger: Object.fromEntries(this.ledger),
+      premiumContent: Object.fromEntries(this.premiumContent),
+      sessions: Object.fromEntries(this.sessions),
+      outbox: Object.fromEntries(this.outbox)
+    }
+  }
+
+  load(data = {}) {
+    this.objects = new JournaledMap(Object.entries(data.objects || {}))
+    this.hashes = new JournaledMap(Object.entries(data.hashes || {}))
+    this.hashAlgorithms = new JournaledMap(Object.entries(data.hashAlgorithms || {}))
+    this.hashVariants = new JournaledMap(Object.entries(data.hashVariants || {}))
+    this.imageFeatures = new JournaledMap(
+      Object.entries(data.imageFeatures || {}).map(([objectId, features]) => [objectId, normalizeFeatures(features)])
+    )
+    this.physicalIds = new JournaledMap(Object.entries(data.physicalIds || {}))
+    this.zaps = new JournaledMap(Object.entries(data.zaps || {}))
+    this.ledger = new JournaledMap(Object.entries(data.ledger || {}))
+    this.premiumContent = new JournaledMap(Object.entries(data.premiumContent || {}))
+    this.sessions = new JournaledMap(Object.entries(data.sessions || {}))
+    this.outbox = new JournaledMap(Object.entries(data.outbox || {}))
+    this.rebuildHashIndex()
+  }
+}
+
+// Maps of the store state a FileStore logs changes of
+const LOGGED_MAPS = [
+  'objects', 'hashes', 'hashAlgorithms', 'hashVariants', 'imageFeatures', 'physicalIds',
+  'zaps', 'ledger', 'premiumContent', 'sessions', 'outbox'
+]
+
+// File-backed object store. Keeps the working set in memory. Every mutation
+// appends the entries it changed to a log next to the database file (one
+// JSON line per entry), so a write costs the size of what changed, not of
+// the whole store. Once the log reaches compactAfter entries the whole state
+// is written to the database file (temp file, then rename) and the log
+// emptied. Loading replays the log over the database file; a line cut short
+// by a crash is ignored.
+export class FileStore extends MemoryStore {
+  constructor(filePath, { compactAfter = 1000 } = {}) {
+    super()
+    this.filePath = filePath
+    this.logPath = `${filePath}.log`
+    this.compactAfter = compactAfter
+    this.logEntries = 0
+    this.writeQueue = Promise.resolve()
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8')
+      this.load(JSON.parse(raw))
+      console.log(`Loaded ${this.objects.size} objects from ${this.filePath}`)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      console.log(`No existing database at ${this.filePath}, starting empty`)
+    }
+
+    await this.replayLog()
+    return this
+  }
+
+  async replayLog() {
+    let raw
+    try {
+      raw = await fs.readFile(this.logPath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return
+      throw error
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line) continue
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        console.warn(`Ignoring incomplete entry in ${this.logPath}`)
+        continue
+      }
+      this.applyLogEntry(entry)
+      this.logEntries++
+    }
+    this.rebuildHashIndex()
+    if (this.logEntries > 0) {
+      console.log(`Replayed ${this.logEntries} changes from ${this.logPath}`)
+    }
+  }
+
+  // Log entries are { map, key, value }, or { map, key, deleted: true }
+  applyLogEntry({ map, key, value, deleted }) {
+    if (!LOGGED_MAPS.includes(map)) return
+    if (deleted) {
+      this[map].delete(key)
+    } else {
+      this[map].set(key, value)
+    }
+  }
+
+  async createObject(record, indexes = {}) {
+    const { hashes = [], physicalIds = [] } = indexes
+    return this.transaction(() => super.createObject(record, indexes), () => [
+      ['objects', record.id],
+      ...hashes.map(normalizeHash).flatMap(({ hash }) => [['hashes', hash], ['hashAlgorithms', hash]]),
+      ['hashVariants', record.id],
+      ['imageFeatures', record.id],
+      ...physicalIds.map(physicalId => ['physicalIds', physicalId])
+    ])
+  }
+
+  async updateObject(id, changes) {
+    return this.transaction(() => super.updateObject(id, changes), () => [['objects', id]])
+  }
+
+  async recordTransfer(id, transfer) {
+    return this.transaction(() => super.recordTransfer(id, transfer), () => [['objects', id]])
+  }
+
+  async createZap(zap) {
+    return this.transaction(() => super.createZap(zap), () => [['zaps', zap.id]])
+  }
+
+  async settleZap(id, settlement, settle) {
+    return this.transaction(() => super.settleZap(id, settlement, settle), (settled) => settled ? [
+      ['zaps', id],
+      ['objects', settled.objectId],
+      ...(settled.ledgerEntryId ? [['ledger', settled.ledgerEntryId]] : [])
+    ] : [])
+  }
+
+  async addPremiumContent(objectId, item) {
+    return this.transaction(() => super.addPremiumContent(objectId, item), () => [['premiumContent', objectId]])
+  }
+
+  async createSession(session) {
+    // Expired sessions are dropped along the way
+    const expired = Array.from(this.sessions.values())
+      .filter(existing => existing.expiresAt <= Date.now())
+      .map(existing => ['sessions', existing.id])
+    return this.transaction(() => super.createSession(session), () => [...expired, ['sessions', session.id]])
+  }
+
+  async updateSession(id, changes) {
+    return this.transaction(() => super.updateSession(id, changes), () => [['sessions', id]])
+  }
+
+  async queueOutboxEvent(entry) {
+    return this.transaction(() => super.queueOutboxEvent(entry), () => [['outbox', entry.id]])
+  }
+
+  async updateOutboxEvent(id, changes) {
+    return this.transaction(() => super.updateOutboxEvent(id, changes), () => [['outbox', id]])
+  }
+
+  async removeOutboxEvent(id) {
+    return this.transaction(() => super.removeOutboxEvent(id), () => [['outbox', id]])
+  }
+
+  // Run a mutation and log the entries it changed (changed(result) lists
+  // them as [map, key]); undo its changes if either fails. Transactions are
+  // serialized so concurrent requests can't interleave writes.
+  transaction(mutate, changed) {
+    const run = async () => {
+      const journal = []
+      this.setJournal(journal)
+      try {
+        const result = await mutate()
+        this.setJournal(null)
+        await this.appendLog(changed(result))
+        return result
+      } catch (error) {
+        this.setJournal(null)
+        this.undo(journal)
+        throw error
+      }
+    }
+
+    const result = this.writeQueue.then(run, run)
+    this.writeQueue = result.catch(() => {})
+    return result
+  }
+
+  setJournal(journal) {
+    for (const map of LOGGED_MAPS) {
+      this[map].journal = journal
+    }
+  }
+
+  // Put back the previous values a journal recorded, newest change first
+  undo(journal) {
+    for (const [map, key, had, previous] of journal.reverse()) {
+      if (had) {
+        map.set(key, previous)
+      } else {
+        map.delete(key)
+      }
+    }
+    if (journal.some(([map]) => map === this.hashes || map === this.hashVariants)) {
+      this.rebuildHashIndex()
+    }
+  }
+
+  async appendLog(keys) {
+    if (keys.length === 0) return
+
+    const lines = keys.map(([map, key]) => JSON.stringify(
+      this[map].has(key) ? { map, key, value: this[map].get(key) } : { map, key, deleted: true }
+    ))
+    await fs.appendFile(this.logPath, lines.join('\n') + '\n')
+    this.logEntries += lines.length
+
+    if (this.logEntries >= this.compactAfter) {
+      await this.persist()
+    }
+  }
+
+  // Write the whole state to the database file and empty the log
+  async persist() {
+    const tempPath = `${this.filePath}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify(this.toJSON()))
+    await fs.rename(tempPath, this.filePath)
+    await fs.writeFile(this.logPath, '')
+    this.logEntries = 0
+  }
+}
+
+// Create the store selected by STORAGE_BACKEND ('file' or 'memory')
+export async function createStore(options = {}) {
+  const {
+    backend = process.env.STORAGE_BACKEND || 'file',
+    filePath = process.env.STORAGE_PATH || path.join(process.cwd(), 'data', 'objects.json')
+  } = options
+
+  let store
+  if (backend === 'memory') {
+    store = new MemoryStore()
+  } else if (backend === 'file') {
+    store = new FileStore(filePath)
+  } else {
+    throw new Error(`Unknown storage backend: ${backend}`)
+  }
+
+  return store.init()
+}
@@ -0,0 +1,110 @@
+import { verifyEvent } from 'nostr-tools'
+import { randomBytes } from 'crypto'
+
+// How far a user-signed event's created_at may be from the server's clock
+const MAX_CLOCK_SKEW = 10 * 60
+
+// Raised when a user-signed event doesn't check out; status is the HTTP
+// status to answer with
+export class SignatureError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'SignatureError'
+    this.status = status
+  }
+}
+
+// Check an event signed by a user (NIP-07 extension or NIP-46 remote
+// signer): a valid signature by the expected pubkey, of the expected kind,
+// signed recently. Returns the event.
+export function verifyUserEvent(event, { kind, pubkey = null }) {
+  if (!event || typeof event !== 'object' || !Array.isArray(event.tags)) {
+    throw new SignatureError('A signed Nostr event is required')
+  }
+  if (event.kind !== kind) {
+    throw new SignatureError(`Expected a kind ${kind} event`)
+  }
+  let valid = false
+  try {
+    valid = verifyEvent(event)
+  } catch (error) {
+    // malformed event
+  }
+  if (!valid) {
+    throw new SignatureError('Invalid event signature')
+  }
+  if (pubkey && event.pubkey !== pubkey) {
+    throw new SignatureError('Event is signed by the wrong key', 403)
+  }
+  if (Math.abs(event.created_at - Math.floor(Date.now() / 1000)) > MAX_CLOCK_SKEW) {
+    throw new SignatureError('Event created_at is too far from the current time')
+  }
+  return event
+}
+
+// Check that a user signed exactly the template they were given (same kind,
+// tags and content; created_at may be the signer's own)
+export function verifySignedTemplate(event, template, pubkey) {
+  verifyUserEvent(event, { kind: template.kind, pubkey })
+  if (event.content !== template.content || JSON.stringify(event.tags) !== JSON.stringify(template.tags)) {
+    throw new SignatureError('Signed event does not match the template')
+  }
+  return event
+}
+
+// Objects waiting for their creator's signature: the unsigned events and
+// whatever is needed to finish creating the object (large data, like the
+// images, belongs on disk; onExpire(draft) is called for drafts that expire
+// unsigned so it can be removed), until the identity event comes back signed
+// or the draft expires. Anyone can start a draft, so each signer pubkey and
+// client IP may only have a few at once.
+export class DraftStore {
+  constructor({ ttl = 15 * 60 * 1000, maxDrafts = 100, maxPerSigner = 3, onExpire = null } = {}) {
+    this.ttl = ttl
+    this.maxDrafts = maxDrafts
+    this.maxPerSigner = maxPerSigner
+    this.onExpire = onExpire
+    this.drafts = new Map()
+  }
+
+  prune() {
+    const now = Date.now()
+    for (const [id, draft] of this.drafts) {
+      if (draft.expiresAt <= now) {
+        this.drafts.delete(id)
+        this.onExpire?.(draft)
+      }
+    }
+  }
+
+  // Throws unless a draft for this signer pubkey and client IP can be added
+  checkRoom({ pubkey, ip }) {
+    this.prune()
+    if (this.drafts.size >= this.maxDrafts) {
+      throw new SignatureError('Too many objects are waiting for a signature; try again later', 503)
+    }
+    const pending = Array.from(this.drafts.values()).filter(draft => draft.pubkey === pubkey || draft.ip === ip)
+    if (pending.length >= this.maxPerSigner) {
+      throw new SignatureError(`At most ${this.maxPerSigner} objects can wait for a signature at once; sign them or let them expire first`, 429)
+    }
+  }
+
+  // draft: { pubkey, ip, ... }
+  add(draft) {
+    this.checkRoom(draft)
+
+    const id = randomBytes(16).toString('hex')
+    const entry = { ...draft, id, expiresAt: Date.now() + this.ttl }
+    this.drafts.set(id, entry)
+    return entry
+  }
+
+  get(id) {
+    this.prune()
+    return this.drafts.get(id) || null
+  }
+
+  delete(id) {
+    this.drafts.delete(id)
+  }
+}
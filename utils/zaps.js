@@ -0,0 +1,322 @@
+import { isIP } from 'net'
+import { verifyEvent, nip57 } from 'nostr-tools'
+import { DEFAULT_REVENUE_SPLIT, effectiveSplit, splitAmount } from './revenueSplit.js'
+
+// Raised when a zap can't be requested (no lightning address, LNURL server
+// errors, amounts out of range); status is the HTTP status to answer with
+export class ZapError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ZapError'
+    this.status = status
+  }
+}
+
+// Lightning address hosts reached over plain HTTP (local LNURL servers in
+// development, with allowInsecureHosts); everything else must be HTTPS
+const INSECURE_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+// Whether a host name or IP address is on this machine or a private network
+export function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return true
+  }
+
+  if (isIP(host) === 4) {
+    const [a, b] = host.split('.').map(Number)
+    return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)
+  }
+  if (isIP(host) === 6) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(host)
+    if (mapped) {
+      return isPrivateHost(mapped[1])
+    }
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host)
+  }
+  return false
+}
+
+const getTag = (event, name) => event.tags.find(tag => tag[0] === name)?.[1] ?? null
+
+// Amount of a BOLT11 invoice in msats; null when it can't be decoded
+// (nip57 reads those as 0 sats, or throws when the invoice isn't a string)
+function invoiceAmountMsats(invoice) {
+  try {
+    return nip57.getSatoshisAmountFromBolt11(invoice) * 1000 || null
+  } catch (error) {
+    return null
+  }
+}
+
+// NIP-57 zaps. A zap resolves the artist's lightning address (LUD-16), asks
+// their LNURL-pay server for an invoice carrying a signed zap request, and is
+// only credited once the LNURL server's zap receipt (kind 9735) for that
+// invoice shows up, either on the relays or posted to the API. Settled zaps
+// are recorded in the revenue ledger, split by the object's revenue split
+// (revenueSplit is the default for objects without their own).
+export class ZapService {
+  constructor(nostrClient, store, {
+    fetch = globalThis.fetch,
+    timeout = 10000,
+    revenueSplit = DEFAULT_REVENUE_SPLIT,
+    allowInsecureHosts = false
+  } = {}) {
+    this.nostrClient = nostrClient
+    this.store = store
+    this.fetch = fetch
+    this.timeout = timeout
+    this.revenueSplit = revenueSplit
+    // Development only: LNURL servers on localhost over plain HTTP
+    this.allowInsecureHosts = allowInsecureHosts
+    this.subscription = null
+  }
+
+  // LNURL-pay endpoint of a lightning address (name@domain)
+  lnurlpUrl(lud16) {
+    const match = /^([a-z0-9\-_.+]+)@([a-z0-9\-.]+(?::\d+)?|\[::1\](?::\d+)?)$/i.exec(lud16 || '')
+    if (!match) {
+      throw new ZapError(`Invalid lightning address: ${lud16}`)
+    }
+
+    const [, name, host] = match
+    const hostname = host.replace(/:\d+$/, '')
+    const insecure = this.allowInsecureHosts && INSECURE_HOSTS.includes(hostname)
+    if (!insecure && isPrivateHost(hostname)) {
+      throw new ZapError(`Invalid lightning address: ${lud16}`)
+    }
+    return `${insecure ? 'http' : 'https'}://${host}/.well-known/lnurlp/${encodeURIComponent(name.toLowerCase())}`
+  }
+
+  // LNURL-pay callback URL; it must be public HTTPS like the address itself
+  callbackUrl(payRequest, lud16) {
+    let callback
+    try {
+      callback = new URL(payRequest.callback)
+    } catch (error) {
+      throw new ZapError(`${lud16} has an invalid LNURL callback`, 502)
+    }
+
+    const insecure = this.allowInsecureHosts && callback.protocol === 'http:' && INSECURE_HOSTS.includes(callback.hostname)
+    if (!insecure && (callback.protocol !== 'https:' || isPrivateHost(callback.hostname))) {
+      throw new ZapError(`${lud16} has an LNURL callback that is not public HTTPS`, 502)
+    }
+    return callback
+  }
+
+  async fetchJson(url) {
+    let response
+    try {
+      response = await this.fetch(url, { signal: AbortSignal.timeout(this.timeout) })
+    } catch (error) {
+      throw new ZapError(`LNURL server unreachable: ${error.message}`, 502)
+    }
+
+    const body = await response.json().catch(() => null)
+    if (!response.ok || !body || body.status === 'ERROR') {
+      throw new ZapError(`LNURL server error: ${body?.reason || response.statusText}`, 502)
+    }
+    return body
+  }
+
+  // Resolve a lightning address to its LNURL-pay parameters; it must
+  // support Nostr zaps (allowsNostr with the key that signs its receipts)
+  async resolvePayEndpoint(lud16) {
+    const payRequest = await this.fetchJson(this.lnurlpUrl(lud16))
+
+    if (payRequest.tag !== 'payRequest' || !payRequest.callback) {
+      throw new ZapError(`${lud16} is not an LNURL-pay address`, 502)
+    }
+    if (!payRequest.allowsNostr || !/^[0-9a-f]{64}$/.test(payRequest.nostrPubkey || '')) {
+      throw new ZapError(`${lud16} does not support Nostr zaps`, 502)
+    }
+    this.callbackUrl(payRequest, lud16)
+
+    return payRequest
+  }
+
+  // Nostr pubkey a zap to an object is for: its creator's, when they signed
+  // the object themselves, else its owner's. Only objects this server minted
+  // that nobody owns yet fall back to the server's key.
+  recipientPubkey(object) {
+    if (object.pubkey && object.pubkey !== this.nostrClient.publicKey) {
+      return object.pubkey
+    }
+    return object.ownerPubkey || this.nostrClient.publicKey
+  }
+
+  // Request an invoice for a zap of `amount` sats to an object's artist and
+  // record it as pending. Nothing is credited until the receipt arrives.
+  async requestZap(object, { amount, comment = '' }) {
+    const lud16 = object.lud16
+    if (!lud16) {
+      throw new ZapError('The artist has no lightning address')
+    }
+
+    const payRequest = await this.resolvePayEndpoint(lud16)
+    const amountMsats = amount * 1000
+    if (amountMsats < payRequest.minSendable || amountMsats > payRequest.maxSendable) {
+      throw new ZapError(
+        `Amount must be between ${Math.ceil(payRequest.minSendable / 1000)} and ${Math.floor(payRequest.maxSendable / 1000)} sats`
+      )
+    }
+    if (comment && payRequest.commentAllowed !== undefined && comment.length > payRequest.commentAllowed) {
+      throw new ZapError(`Comment is limited to ${payRequest.commentAllowed || 0} characters`)
+    }
+
+    const zapRequest = this.nostrClient.createZapRequest({
+      object,
+      amountMsats,
+      comment,
+      recipientPubkey: this.recipientPubkey(object)
+    })
+
+    const callback = this.callbackUrl(payRequest, lud16)
+    callback.searchParams.set('amount', amountMsats.toString())
+    callback.searchParams.set('nostr', JSON.stringify(zapRequest))
+    const { pr: invoice } = await this.fetchJson(callback.toString())
+
+    if (!invoice) {
+      throw new ZapError('LNURL server returned no invoice', 502)
+    }
+    // Never hand out an invoice for another amount than the zap request's
+    const invoiceMsats = invoiceAmountMsats(invoice)
+    if (invoiceMsats === null) {
+      throw new ZapError('LNURL server returned an invalid invoice', 422)
+    }
+    if (invoiceMsats !== amountMsats) {
+      throw new ZapError('LNURL server returned an invoice for the wrong amount', 502)
+    }
+
+    return this.store.createZap({
+      id: zapRequest.id,
+      objectId: object.id,
+      amountMsats,
+      comment,
+      lud16,
+      invoice,
+      nostrPubkey: payRequest.nostrPubkey,
+      zapRequest,
+      status: 'pending',
+      createdAt: Date.now()
+    })
+  }
+
+  // Check a zap receipt against the pending zap it claims to pay (NIP-57
+  // appendix F); returns an error message or null
+  validateReceipt(receipt, zap) {
+    if (receipt.kind !== 9735 || !verifyEvent(receipt)) {
+      return 'Receipt is not a validly signed kind 9735 event'
+    }
+    if (receipt.pubkey !== zap.nostrPubkey) {
+      return "Receipt is not signed by the recipient's LNURL server"
+    }
+    if (getTag(receipt, 'bolt11') !== zap.invoice) {
+      return 'Receipt is for another invoice'
+    }
+
+    const description = getTag(receipt, 'description')
+    const requestError = nip57.validateZapRequest(description)
+    if (requestError) {
+      return requestError
+    }
+    const zapRequest = JSON.parse(description)
+    if (zapRequest.id !== zap.id || getTag(zapRequest, 'amount') !== zap.amountMsats.toString()) {
+      return 'Receipt is for another zap request'
+    }
+    return null
+  }
+
+  // Credit the zap a receipt pays. Receipts for unknown or already settled
+  // zaps are ignored, so seeing the same receipt from several relays (or
+  // posted as well) credits it once.
+  async handleReceipt(receipt) {
+    let zapRequestId = null
+    try {
+      zapRequestId = JSON.parse(getTag(receipt, 'description')).id
+    } catch (error) {
+      return { status: 'invalid', error: 'Receipt has no zap request description' }
+    }
+
+    const zap = await this.store.getZap(zapRequestId)
+    if (!zap) {
+      return { status: 'unknown' }
+    }
+    if (zap.status !== 'pending') {
+      return { status: 'duplicate', zap }
+    }
+
+    const error = this.validateReceipt(receipt, zap)
+    if (error) {
+      console.warn(`Rejected zap receipt ${receipt.id} for zap ${zap.id}: ${error}`)
+      return { status: 'invalid', error, zap }
+    }
+
+    const amount = Math.floor(zap.amountMsats / 1000)
+    const settled = await this.store.settleZap(zap.id, {
+      receiptId: receipt.id,
+      receipt,
+      paidAt: receipt.created_at * 1000
+    }, (object, paid) => {
+      // The whole payment went to the artist's lightning address; the ledger
+      // records what each party is owed out of it
+      const split = effectiveSplit(object, this.revenueSplit)
+      const shares = splitAmount(amount, split)
+      return {
+        objectChanges: { satsBalance: (object?.satsBalance || 0) + shares.object },
+        ledgerEntry: {
+          id: `zap:${paid.id}`,
+          objectId: paid.objectId,
+          artist: object?.artist ?? null,
+          lud16: paid.lud16,
+          ownerPubkey: object?.ownerPubkey ?? null,
+          source: 'zap',
+          sourceId: paid.id,
+          amount,
+          split,
+          shares,
+          createdAt: paid.paidAt
+        }
+      }
+    })
+
+    if (!settled) {
+      return { status: 'duplicate', zap: await this.store.getZap(zap.id) }
+    }
+    console.log(`Zap ${zap.id} paid: ${amount} sats to ${zap.objectId}`)
+    return { status: 'credited', zap: settled }
+  }
+
+  // Look for receipts of pending zaps on the relays (for receipts published
+  // while the subscription was down)
+  async checkReceipts(zap, maxWait = 3000) {
+    const since = Math.floor(zap.createdAt / 1000) - 60
+    const receipts = await this.nostrClient.getZapReceipts(getTag(zap.zapRequest, 'p'), since, maxWait)
+    for (const receipt of receipts) {
+      const result = await this.handleReceipt(receipt)
+      if (result.status === 'credited' && result.zap.id === zap.id) {
+        return result.zap
+      }
+    }
+    return this.store.getZap(zap.id)
+  }
+
+  // Follow receipts for zaps to our objects as they are published. Only
+  // receipts to this server's key are followed; receipts of zaps to creators
+  // and owners are found by checkReceipts (zap status) or posted to the API.
+  start() {
+    if (this.subscription) return
+
+    this.subscription = this.nostrClient.subscribeZapReceipts((receipt) => {
+      this.handleReceipt(receipt).catch(error => {
+        console.warn('Failed to process zap receipt:', error.message)
+      })
+    })
+  }
+
+  stop() {
+    this.subscription?.close()
+    this.subscription = null
+  }
+}